@@ -0,0 +1,161 @@
+import crypto from 'crypto';
+
+/*
+ * Staff authentication for /api/admin.
+ *
+ * API keys: ADMIN_API_KEYS is a comma-separated list of `name:role:key`
+ * entries. A name of the form `name@property` limits that staff member to
+ * one property (see lib/properties.js); other keys see every property. The
+ * older single ADMIN_API_KEY is still accepted as a manager key named
+ * "admin".
+ *
+ * Session tokens: POST /api/admin/login exchanges an API key for a token
+ * signed with ADMIN_SESSION_SECRET, valid for ADMIN_SESSION_TTL_HOURS
+ * (default 8). Either credential is sent as `Authorization: Bearer ...`;
+ * API keys may also use `X-Admin-Key`.
+ */
+
+export const ROLES = ['viewer', 'front_desk', 'manager'];
+
+const TOKEN_PREFIX = 'v1';
+const DEFAULT_SESSION_TTL_HOURS = 8;
+
+// Constant-time string comparison for keys and signatures.
+export function safeEqual(a, b) {
+  const left = Buffer.from(String(a), 'utf8');
+  const right = Buffer.from(String(b), 'utf8');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function readBearer(req) {
+  const header = req.headers.authorization || '';
+  return header.toLowerCase().startsWith('bearer ') ? header.slice(7).trim() : '';
+}
+
+function loadApiKeys() {
+  const keys = String(process.env.ADMIN_API_KEYS || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [login, role, ...rest] = entry.split(':');
+      const [name, property = null] = login.split('@');
+      return { name, role, property, key: rest.join(':') };
+    })
+    .filter((k) => k.name && ROLES.includes(k.role) && k.key);
+
+  if (process.env.ADMIN_API_KEY) {
+    keys.push({ name: 'admin', role: 'manager', property: null, key: process.env.ADMIN_API_KEY });
+  }
+  return keys;
+}
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+function getSessionTtlHours() {
+  const n = Number(process.env.ADMIN_SESSION_TTL_HOURS);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_SESSION_TTL_HOURS;
+}
+
+export function hasRole(staff, role) {
+  return Boolean(staff) && ROLES.indexOf(staff.role) >= ROLES.indexOf(role);
+}
+
+// Guest names, document data, images and TM30 details.
+export function canViewPii(staff) {
+  return hasRole(staff, 'front_desk');
+}
+
+// Staff bound to a property only ever see that property's records.
+export function canAccessProperty(staff, propertyId) {
+  return Boolean(staff) && (!staff.property || staff.property === propertyId);
+}
+
+/**
+ * The property a listing is limited to: the staff member's own, or the one
+ * requested by staff who may see every property (null for all of them).
+ * Returns undefined when the requested property is out of reach.
+ */
+export function resolvePropertyScope(staff, requested) {
+  const wanted = requested ? String(requested) : null;
+  if (!staff.property) return wanted;
+  return !wanted || wanted === staff.property ? staff.property : undefined;
+}
+
+/** Returns { name, role, property } for a configured API key, or null. */
+export function authenticateApiKey(provided) {
+  if (!provided) return null;
+  const match = loadApiKeys().find((k) => safeEqual(provided, k.key));
+  return match ? { name: match.name, role: match.role, property: match.property } : null;
+}
+
+/** Issues a signed staff session token; null when ADMIN_SESSION_SECRET is unset. */
+export function issueSessionToken(staff, now = new Date()) {
+  const secret = process.env.ADMIN_SESSION_SECRET;
+  if (!secret) return null;
+
+  const expiresAt = new Date(now.getTime() + getSessionTtlHours() * 3600 * 1000);
+  const payload = Buffer.from(
+    JSON.stringify({
+      sub: staff.name,
+      role: staff.role,
+      prop: staff.property ?? null,
+      exp: Math.floor(expiresAt.getTime() / 1000),
+    })
+  ).toString('base64url');
+
+  return {
+    token: `${TOKEN_PREFIX}.${payload}.${sign(`${TOKEN_PREFIX}.${payload}`, secret)}`,
+    expires_at: expiresAt.toISOString(),
+  };
+}
+
+/** Returns { name, role, property } for a valid, unexpired session token, or null. */
+export function verifySessionToken(token, now = new Date()) {
+  const secret = process.env.ADMIN_SESSION_SECRET;
+  const [prefix, payload, signature] = String(token || '').split('.');
+  if (!secret || prefix !== TOKEN_PREFIX || !payload || !signature) return null;
+  if (!safeEqual(signature, sign(`${prefix}.${payload}`, secret))) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!ROLES.includes(claims.role) || !claims.sub) return null;
+    if (!Number.isFinite(claims.exp) || claims.exp * 1000 <= now.getTime()) return null;
+    return { name: claims.sub, role: claims.role, property: claims.prop ?? null };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Authenticates the caller and checks they hold at least `role`.
+ * Sends the error response itself and returns null when the request must not
+ * proceed; otherwise returns the staff member as { name, role, property },
+ * where property is null for staff who may see every property. Fails closed
+ * when no credentials are configured.
+ */
+export function requireStaff(req, res, role = 'viewer') {
+  if (loadApiKeys().length === 0 && !process.env.ADMIN_SESSION_SECRET) {
+    console.error('No admin credentials configured - refusing admin request');
+    res.status(500).json({ error: 'Server misconfigured: missing ADMIN_API_KEYS' });
+    return null;
+  }
+
+  const bearer = readBearer(req);
+  const staff =
+    authenticateApiKey(req.headers['x-admin-key']) ||
+    (bearer.startsWith(`${TOKEN_PREFIX}.`) ? verifySessionToken(bearer) : authenticateApiKey(bearer));
+
+  if (!staff) {
+    res.status(401).json({ error: 'Unauthorized' });
+    return null;
+  }
+  if (!hasRole(staff, role)) {
+    res.status(403).json({ error: `Requires ${role} role` });
+    return null;
+  }
+
+  return staff;
+}
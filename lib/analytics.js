@@ -0,0 +1,132 @@
+import { SESSION_STATES, sessionState } from "./sessionState";
+
+// Verification analytics computed from session rows. Each session records
+// when it first reached each funnel step (`step_times`) and how often it hit
+// each failure (`failures`); sessions that predate those columns fall back to
+// the furthest state they are in.
+
+export const FUNNEL_STEPS = ["consent", "guest", "document", "selfie", "results"];
+
+export const FAILURE_REASONS = [
+  "reservation_not_found",
+  "reservation_cancelled",
+  "reservation_departed",
+  "lookup_blocked",
+  "textract_failed",
+  "liveness_failed",
+  "face_mismatch",
+  "document_failed",
+  "mrz_check_failed",
+];
+
+export const BUCKETS = ["day", "week", "month"];
+
+/** Returns step_times with `step` set, keeping the first time it was reached. */
+export function withStepTime(stepTimes, step, at = new Date()) {
+  const times = stepTimes && typeof stepTimes === "object" ? stepTimes : {};
+  return times[step] ? times : { ...times, [step]: at.toISOString() };
+}
+
+/** Returns failures with the counter for `reason` incremented. */
+export function withFailure(failures, reason) {
+  const counts = failures && typeof failures === "object" ? failures : {};
+  return { ...counts, [reason]: (Number(counts[reason]) || 0) + 1 };
+}
+
+// Step timestamps for one session; legacy rows only say which steps were reached.
+function reachedSteps(session) {
+  const times = session.step_times && typeof session.step_times === "object" ? session.step_times : {};
+  if (Object.keys(times).length > 0) return times;
+
+  const state = sessionState(session);
+  const reachedIndex = SESSION_STATES.indexOf(state === "locked" ? "welcome" : state);
+  return Object.fromEntries(
+    FUNNEL_STEPS.filter((step) => SESSION_STATES.indexOf(step) <= reachedIndex).map((s) => [s, null])
+  );
+}
+
+export function bucketStart(iso, bucket) {
+  const d = new Date(iso);
+  if (bucket === "month") return `${d.toISOString().slice(0, 7)}-01`;
+  if (bucket === "week") {
+    // ISO weeks start on Monday.
+    const offset = (d.getUTCDay() + 6) % 7;
+    d.setUTCDate(d.getUTCDate() - offset);
+  }
+  return d.toISOString().slice(0, 10);
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function rate(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 1000 : null;
+}
+
+/**
+ * Summarize sessions (with created_at, status/state, is_verified, step_times
+ * and failures) into time buckets, a step funnel with drop-off rates, failure
+ * counts and the median seconds each step took from the previous one.
+ */
+export function summarizeSessions(sessions = [], { bucket = "day" } = {}) {
+  const buckets = new Map();
+  const reached = Object.fromEntries(FUNNEL_STEPS.map((s) => [s, 0]));
+  const durations = Object.fromEntries(FUNNEL_STEPS.map((s) => [s, []]));
+  const failures = Object.fromEntries(FAILURE_REASONS.map((r) => [r, { occurrences: 0, sessions: 0 }]));
+
+  for (const session of sessions) {
+    const period = bucketStart(session.created_at, bucket);
+    const b = buckets.get(period) || { period_start: period, sessions: 0, verified: 0 };
+    b.sessions += 1;
+    if (session.is_verified === true) b.verified += 1;
+    buckets.set(period, b);
+
+    const steps = reachedSteps(session);
+    let previous = session.created_at;
+    for (const step of FUNNEL_STEPS) {
+      if (!(step in steps)) break;
+      reached[step] += 1;
+      if (steps[step] && previous) {
+        const seconds = (new Date(steps[step]) - new Date(previous)) / 1000;
+        if (Number.isFinite(seconds) && seconds >= 0) durations[step].push(seconds);
+      }
+      previous = steps[step];
+    }
+
+    for (const [reason, count] of Object.entries(session.failures || {})) {
+      if (!failures[reason] || !(Number(count) > 0)) continue;
+      failures[reason].occurrences += Number(count);
+      failures[reason].sessions += 1;
+    }
+  }
+
+  const total = sessions.length;
+  let previousCount = total;
+  const funnel = [{ step: "started", sessions: total, drop_off_rate: null }];
+  for (const step of FUNNEL_STEPS) {
+    funnel.push({
+      step,
+      sessions: reached[step],
+      drop_off_rate: previousCount > 0 ? rate(previousCount - reached[step], previousCount) : null,
+    });
+    previousCount = reached[step];
+  }
+
+  return {
+    totals: {
+      sessions: total,
+      verified: sessions.filter((s) => s.is_verified === true).length,
+      success_rate: rate(sessions.filter((s) => s.is_verified === true).length, total),
+    },
+    buckets: [...buckets.values()]
+      .sort((a, b) => (a.period_start < b.period_start ? -1 : 1))
+      .map((b) => ({ ...b, success_rate: rate(b.verified, b.sessions) })),
+    funnel,
+    failures,
+    median_step_seconds: Object.fromEntries(FUNNEL_STEPS.map((s) => [s, median(durations[s])])),
+  };
+}
@@ -0,0 +1,35 @@
+import { code, count, date, field } from "./fields";
+
+// Agoda YCS booking notifications ("New Booking", "Amendment",
+// "Cancellation" in the subject):
+//   Booking ID: 1029384756
+//   Customer First Name: Jane
+//   Customer Last Name: Doe
+//   Check-in: 2026-11-02
+//   Check-out: 2026-11-05
+//   Room Type: Superior Twin
+//   No. of adult: 2
+//   No. of children: 0
+export const agoda = {
+  name: "agoda",
+  senders: [/@([a-z0-9-]+\.)*agoda\.com\b/i],
+  subjects: [/agoda/i],
+  fingerprint: (text) => /Customer First Name:/i.test(text) && /Booking ID:/i.test(text),
+
+  parse({ text }) {
+    const first = field(text, "Customer First Name");
+    const last = field(text, "Customer Last Name");
+    const bookingId = code(field(text, "Booking ID"));
+    return {
+      guest_name: [first, last].filter(Boolean).join(" "),
+      confirmation_number: bookingId,
+      source: "Agoda",
+      source_reservation_id: bookingId,
+      arrival_date: date(field(text, "Check-in")),
+      departure_date: date(field(text, "Check-out")),
+      room_type: field(text, "Room Type") || null,
+      adults: count(text, "No. of adult", "No. of adults"),
+      children: count(text, "No. of children"),
+    };
+  },
+};
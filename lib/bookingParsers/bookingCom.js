@@ -0,0 +1,32 @@
+import { code, countOf, date, field } from "./fields";
+
+// Booking.com reservation emails to the property ("New reservation",
+// "Modified reservation", "Cancelled reservation"):
+//   Booking number: 4123987650
+//   Guest name: Jane Doe
+//   Check-in: Mon 2 Nov 2026
+//   Check-out: Thu 5 Nov 2026
+//   Room: Deluxe Double Room
+//   Number of guests: 2 adults, 1 child
+export const bookingCom = {
+  name: "booking_com",
+  senders: [/@([a-z0-9-]+\.)*booking\.com\b/i],
+  subjects: [/booking\.com/i],
+  fingerprint: (text) => /Booking number:/i.test(text) && /booking\.com/i.test(text),
+
+  parse({ text }) {
+    const guests = field(text, "Number of guests");
+    const bookingNumber = code(field(text, "Booking number"));
+    return {
+      guest_name: field(text, "Guest name"),
+      confirmation_number: bookingNumber,
+      source: "Booking.com",
+      source_reservation_id: bookingNumber,
+      arrival_date: date(field(text, "Check-in")),
+      departure_date: date(field(text, "Check-out")),
+      room_type: field(text, "Room type", "Room") || null,
+      adults: countOf(guests, "adult"),
+      children: countOf(guests, "child"),
+    };
+  },
+};
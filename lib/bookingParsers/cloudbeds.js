@@ -0,0 +1,35 @@
+import { code, date, field } from "./fields";
+
+// Cloudbeds reservation notifications ("New Reservation", "Reservation
+// Modified", "Reservation Cancelled"):
+//   Guest Name JANE DOE
+//   Confirmation Number 986CVPX4KK
+//   Source Expedia
+//   Source Reservation ID 837124221
+//   Check-In 2026-11-02
+//   Check-Out 2026-11-05
+//   Room Type Deluxe King
+//   Adults: 1 Children: 0
+export const cloudbeds = {
+  name: "cloudbeds",
+  senders: [/@([a-z0-9-]+\.)*cloudbeds\.com\b/i],
+  subjects: [/cloudbeds/i],
+  fingerprint: (text) => /Confirmation Number/i.test(text) && /Source Reservation ID/i.test(text),
+
+  parse({ text, subject }) {
+    const adults = text.match(/Adults:\s*(\d+)/i)?.[1];
+    const children = text.match(/Children:\s*(\d+)/i)?.[1];
+    return {
+      guest_name: field(text, "Guest Name"),
+      confirmation_number:
+        code(field(text, "Confirmation Number")) || code(field(subject, "Confirmation Number")),
+      source: text.match(/^[ \t]*Source[ \t]*:?[ \t]+(?!Reservation ID)([^\r\n]+)/im)?.[1].trim() || null,
+      source_reservation_id: code(field(text, "Source Reservation ID")),
+      arrival_date: date(field(text, "Check-In")),
+      departure_date: date(field(text, "Check-Out")),
+      room_type: field(text, "Room Type") || null,
+      adults: adults === undefined ? null : Number(adults),
+      children: children === undefined ? null : Number(children),
+    };
+  },
+};
@@ -0,0 +1,163 @@
+// Turns the parts of an inbound email (HTML body, .ics and PDF attachments)
+// into plain text the booking parsers can read.
+
+import pdfParse from "pdf-parse/lib/pdf-parse.js";
+
+const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (whole, name) => {
+    if (name[0] === "#") {
+      const cp = name[1] === "x" || name[1] === "X" ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+      return Number.isFinite(cp) && cp > 0 && cp <= 0x10ffff ? String.fromCodePoint(cp) : "";
+    }
+    return ENTITIES[name.toLowerCase()] ?? whole;
+  });
+}
+
+// Text of an HTML fragment on one line.
+function inlineText(html) {
+  return decodeEntities(html.replace(/<br\s*\/?>/gi, " ").replace(/<[^>]*>/g, " "))
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// A table row of label/value cells becomes "Label: Value" lines, so
+// "<td>Guest Name</td><td>Jane Doe</td>" reads like a plain-text email.
+function rowText(rowHtml) {
+  const cells = [...rowHtml.matchAll(/<t[dh]\b[^>]*>([\s\S]*?)(?=<t[dh]\b|<\/tr>|$)/gi)]
+    .map((m) => inlineText(m[1].replace(/<\/t[dh]>/gi, "")))
+    .filter(Boolean);
+  if (cells.length % 2 !== 0) return cells.join(" ");
+
+  const lines = [];
+  for (let i = 0; i < cells.length; i += 2) {
+    lines.push(`${cells[i].replace(/\s*:$/, "")}: ${cells[i + 1]}`);
+  }
+  return lines.join("\n");
+}
+
+/** Structured plain text for an HTML email body, keeping table cells as "Label: Value" pairs. */
+export function htmlToText(html) {
+  const body = String(html || "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style|head|title)\b[^>]*>[\s\S]*?<\/\1>/gi, "")
+    .replace(/<tr\b[^>]*>([\s\S]*?)(?:<\/tr>|(?=<tr\b)|(?=<\/table>))/gi, (_, row) => `\n${rowText(row)}\n`)
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/?(p|div|li|ul|ol|table|tbody|thead|h[1-6]|section|article|header|footer|blockquote)\b[^>]*>/gi, "\n")
+    .replace(/<[^>]*>/g, "");
+
+  return decodeEntities(body)
+    .split("\n")
+    .map((line) => line.replace(/[ \t\u00a0]+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+function unescapeIcs(value) {
+  return value.replace(/\\n/gi, "\n").replace(/\\([,;\\])/g, "$1");
+}
+
+// DTSTART;VALUE=DATE:20261102 or DTSTART;TZID=...:20261102T150000 -> 2026-11-02
+function icsDate(value) {
+  const m = String(value || "").match(/^(\d{4})(\d{2})(\d{2})/);
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+/**
+ * The first event in an iCalendar file as { arrival_date, departure_date,
+ * summary, description }. An all-day DTEND is already the departure day.
+ */
+export function parseIcs(ics) {
+  // Long lines are folded onto continuation lines that start with a space or tab.
+  const lines = String(ics || "")
+    .replace(/\r?\n[ \t]/g, "")
+    .split(/\r?\n/);
+
+  const event = {};
+  let inEvent = false;
+  for (const line of lines) {
+    if (/^BEGIN:VEVENT$/i.test(line)) inEvent = true;
+    else if (/^END:VEVENT$/i.test(line)) break;
+    else if (inEvent) {
+      const m = line.match(/^([A-Z-]+)(?:;[^:]*)?:(.*)$/i);
+      if (m && !(m[1].toUpperCase() in event)) event[m[1].toUpperCase()] = m[2];
+    }
+  }
+
+  return {
+    arrival_date: icsDate(event.DTSTART),
+    departure_date: icsDate(event.DTEND),
+    summary: unescapeIcs(event.SUMMARY || "").trim(),
+    description: unescapeIcs(event.DESCRIPTION || "").trim(),
+  };
+}
+
+export async function pdfToText(buffer) {
+  // pdf.js reads the underlying ArrayBuffer from offset 0, which is wrong for
+  // Buffers sliced out of Node's shared pool; hand it a copy of its own.
+  const { text } = await pdfParse(new Uint8Array(buffer));
+  return String(text || "").trim();
+}
+
+function attachmentKind({ filename = "", contentType = "" }) {
+  const type = contentType.toLowerCase();
+  if (type.includes("text/calendar") || /\.ics$/i.test(filename)) return "ics";
+  if (type.includes("application/pdf") || /\.pdf$/i.test(filename)) return "pdf";
+  return null;
+}
+
+/**
+ * Collects what an inbound email says about its booking. Returns
+ *
+ *   { candidates: [{ source, text }], calendar: { arrival_date, departure_date } | null }
+ *
+ * with one candidate per body (stripped-text or body-plain first, then the
+ * HTML body), each followed by the text of any PDF or calendar attachments.
+ * Attachments are { filename, contentType, content: Buffer }; unreadable or
+ * oversized ones are skipped.
+ */
+export async function collectEmailContent({ strippedText = "", bodyPlain = "", bodyHtml = "", attachments = [] }) {
+  const extras = [];
+  let calendar = null;
+
+  for (const attachment of attachments) {
+    const kind = attachmentKind(attachment);
+    if (!kind || !attachment.content) continue;
+    if (attachment.content.length > MAX_ATTACHMENT_BYTES) {
+      console.warn(`Skipping oversized attachment ${attachment.filename}`);
+      continue;
+    }
+
+    try {
+      if (kind === "pdf") {
+        const text = await pdfToText(attachment.content);
+        if (text) extras.push(text);
+      } else {
+        const event = parseIcs(attachment.content.toString("utf8"));
+        if (!calendar && (event.arrival_date || event.departure_date)) {
+          calendar = { arrival_date: event.arrival_date, departure_date: event.departure_date };
+        }
+        const text = [event.summary, event.description].filter(Boolean).join("\n");
+        if (text) extras.push(text);
+      }
+    } catch (e) {
+      console.warn(`Could not read attachment ${attachment.filename}:`, e?.message || e);
+    }
+  }
+
+  const plain = (strippedText || bodyPlain).trim();
+  const html = htmlToText(bodyHtml);
+  const bodies = [];
+  if (plain) bodies.push({ source: strippedText ? "stripped-text" : "body-plain", text: plain });
+  if (html) bodies.push({ source: "body-html", text: html });
+  if (bodies.length === 0) bodies.push({ source: "attachments", text: "" });
+
+  const candidates = bodies.map((b) => ({
+    source: b.source,
+    text: [b.text, ...extras].filter(Boolean).join("\n\n"),
+  }));
+  return { candidates, calendar };
+}
@@ -0,0 +1,33 @@
+import { code, count, date, field } from "./fields";
+
+// Our direct booking engine's emails, which always carry a
+// "Booked via: RoomQuest Direct" line:
+//   Status: Confirmed | Modified | Cancelled
+//   Reservation Code: RQ-7F3K2P
+//   Lead Guest: Jane Doe
+//   Arrival: 2026-11-02
+//   Departure: 2026-11-05
+//   Room: Deluxe King
+//   Adults: 2
+//   Children: 0
+export const direct = {
+  name: "direct",
+  senders: [],
+  subjects: [],
+  fingerprint: (text) => /Booked via:\s*RoomQuest Direct/i.test(text),
+  statusLine: "Status",
+
+  parse({ text }) {
+    return {
+      guest_name: field(text, "Lead Guest"),
+      confirmation_number: code(field(text, "Reservation Code")),
+      source: "Direct",
+      source_reservation_id: "",
+      arrival_date: date(field(text, "Arrival")),
+      departure_date: date(field(text, "Departure")),
+      room_type: field(text, "Room") || null,
+      adults: count(text, "Adults"),
+      children: count(text, "Children"),
+    };
+  },
+};
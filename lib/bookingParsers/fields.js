@@ -0,0 +1,46 @@
+// Helpers shared by the booking-email parsers.
+
+import { normalizeDocumentDate } from "../documentChecks";
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Value after the first matching `Label:` / `Label` on a line, trimmed, or "".
+ * Labels are tried in order; a trailing colon in the email is optional.
+ */
+export function field(text, ...labels) {
+  for (const label of labels) {
+    const re = new RegExp(`^[ \\t]*${escapeRegExp(label)}[ \\t]*:?[ \\t]+([^\\r\\n]+)`, "im");
+    const value = String(text || "").match(re)?.[1]?.trim();
+    if (value) return value;
+  }
+  return "";
+}
+
+/** First integer in a labelled value ("2", "2 adults"), or null when absent. */
+export function count(text, ...labels) {
+  const n = field(text, ...labels).match(/\d+/)?.[0];
+  return n === undefined ? null : Number(n);
+}
+
+/** Number before `word` in a value like "2 Adults, 1 Child", or null. */
+export function countOf(value, word) {
+  const n = String(value || "").match(new RegExp(`(\\d+)\\s*${word}`, "i"))?.[1];
+  return n === undefined ? null : Number(n);
+}
+
+/** A stay date ("2026-11-02", "Mon 2 Nov 2026", "Nov 2, 2026") as YYYY-MM-DD, or null. */
+export function date(value) {
+  const v = String(value || "")
+    .replace(/^[a-z]+day,?\s+|^(mon|tue|wed|thu|fri|sat|sun),?\s+/i, "")
+    .replace(/\s+(from|until|after|before)\b.*$|\s+\d{1,2}:\d{2}.*$/i, "")
+    .trim();
+  return normalizeDocumentDate(v, "expiry");
+}
+
+/** Reservation codes keep only letters, digits and dashes. */
+export function code(value) {
+  return String(value || "").match(/[A-Z0-9][A-Z0-9-]*/i)?.[0] || "";
+}
@@ -0,0 +1,100 @@
+import { normalizeGuestName, normalizeReservationNumber } from "../names";
+import { agoda } from "./agoda";
+import { bookingCom } from "./bookingCom";
+import { cloudbeds } from "./cloudbeds";
+import { direct } from "./direct";
+import { field } from "./fields";
+import { littleHotelier } from "./littleHotelier";
+import { siteminder } from "./siteminder";
+
+/**
+ * Booking-email parsers. Each parser is
+ *
+ *   { name, senders: [RegExp], subjects: [RegExp], fingerprint(text),
+ *     statusLine?, parse({ text, subject }) }
+ *
+ * and parse() returns { guest_name, confirmation_number, source,
+ * source_reservation_id, arrival_date, departure_date, room_type, adults,
+ * children }, with "" or null for anything the email does not say. A parser
+ * is chosen by sender first, then subject, then content fingerprint, so
+ * forwarded emails (whose sender is the hotel) still reach the right parser.
+ * Sample emails with their expected output live in
+ * fixtures/booking-emails/<parser name>/.
+ */
+export const BOOKING_PARSERS = [cloudbeds, siteminder, bookingCom, agoda, littleHotelier, direct];
+
+export const BOOKING_EVENTS = ["new", "modified", "cancelled"];
+
+const CANCELLED_RE = /\bcancel(?:led|lation|ed)?\b/i;
+const MODIFIED_RE = /\b(?:modif(?:ied|ication)|amend(?:ed|ment)?|changed?)\b/i;
+
+export function selectParser({ from = "", subject = "", text = "" }) {
+  return (
+    BOOKING_PARSERS.find((p) => p.senders.some((re) => re.test(from))) ||
+    BOOKING_PARSERS.find((p) => p.subjects.some((re) => re.test(subject))) ||
+    BOOKING_PARSERS.find((p) => p.fingerprint(text)) ||
+    null
+  );
+}
+
+// A parser's own status line wins; otherwise the subject says what happened.
+// Bodies are not searched: every confirmation mentions its cancellation policy.
+export function classifyBookingEmail(parser, { subject = "", text = "" }) {
+  const status = parser?.statusLine ? field(text, parser.statusLine) : "";
+  for (const value of [status, subject]) {
+    if (CANCELLED_RE.test(value)) return "cancelled";
+    if (MODIFIED_RE.test(value)) return "modified";
+  }
+  return "new";
+}
+
+/**
+ * Parses a booking email into a booking_email_index row. Returns
+ * { parser, event, booking } on success, or { parser, event, booking: null,
+ * reason, missing_fields } when no parser matches ("no_parser") or required
+ * fields came back empty ("missing_fields"): a reservation number always,
+ * and the guest name unless the email is a cancellation. Stay dates from an
+ * attached calendar event (`calendar`) fill in any the text does not give.
+ */
+export function parseBookingEmail({ from = "", subject = "", text = "", calendar = null }) {
+  const parser = selectParser({ from, subject, text });
+  if (!parser) {
+    return { parser: null, event: null, booking: null, reason: "no_parser", missing_fields: [] };
+  }
+
+  const event = classifyBookingEmail(parser, { subject, text });
+  const fields = parser.parse({ text, subject });
+  const missing = [];
+  if (!fields.guest_name && event !== "cancelled") missing.push("guest_name");
+  if (!fields.confirmation_number && !fields.source_reservation_id) {
+    missing.push("confirmation_number");
+  }
+  if (missing.length > 0) {
+    return {
+      parser: parser.name,
+      event,
+      booking: null,
+      reason: "missing_fields",
+      missing_fields: missing,
+    };
+  }
+
+  return {
+    parser: parser.name,
+    event,
+    booking: {
+      guest_name_raw: fields.guest_name,
+      guest_name_norm: normalizeGuestName(fields.guest_name),
+      confirmation_number_raw: fields.confirmation_number,
+      confirmation_number_norm: normalizeReservationNumber(fields.confirmation_number),
+      source_reservation_id_raw: fields.source_reservation_id,
+      source_reservation_id_norm: normalizeReservationNumber(fields.source_reservation_id),
+      source: fields.source || null,
+      arrival_date: fields.arrival_date || calendar?.arrival_date || null,
+      departure_date: fields.departure_date || calendar?.departure_date || null,
+      room_type: fields.room_type || null,
+      adults: fields.adults ?? null,
+      children: fields.children ?? null,
+    },
+  };
+}
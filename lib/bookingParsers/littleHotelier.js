@@ -0,0 +1,33 @@
+import { code, countOf, date, field } from "./fields";
+
+// Little Hotelier booking emails ("You have a new booking", "Booking
+// modified", "Booking cancelled"):
+//   Booking Ref: LH-2093
+//   Guest Name: Jane Doe
+//   Channel: Direct
+//   Channel Ref: 77120
+//   Check In: 02/11/2026
+//   Check Out: 05/11/2026
+//   Room: Garden Bungalow
+//   Guests: 2 Adults, 1 Child
+export const littleHotelier = {
+  name: "little_hotelier",
+  senders: [/@([a-z0-9-]+\.)*littlehotelier\.com\b/i],
+  subjects: [/little hotelier/i],
+  fingerprint: (text) => /Booking Ref:/i.test(text) && /little\s*hotelier/i.test(text),
+
+  parse({ text }) {
+    const guests = field(text, "Guests");
+    return {
+      guest_name: field(text, "Guest Name"),
+      confirmation_number: code(field(text, "Booking Ref")),
+      source: field(text, "Channel") || null,
+      source_reservation_id: code(field(text, "Channel Ref")),
+      arrival_date: date(field(text, "Check In")),
+      departure_date: date(field(text, "Check Out")),
+      room_type: field(text, "Room") || null,
+      adults: countOf(guests, "adult"),
+      children: countOf(guests, "child"),
+    };
+  },
+};
@@ -0,0 +1,34 @@
+import { code, count, date, field } from "./fields";
+
+// SiteMinder channel-manager booking notifications:
+//   Booking Status: New | Modified | Cancelled
+//   Booking Reference: SM-48213390
+//   Channel: Expedia
+//   Channel Booking ID: 837124221
+//   Guest Name: Jane Doe
+//   Arrival: 02 Nov 2026
+//   Departure: 05 Nov 2026
+//   Room Type: Deluxe King
+//   Adults: 2
+//   Children: 1
+export const siteminder = {
+  name: "siteminder",
+  senders: [/@([a-z0-9-]+\.)*siteminder\.com\b/i],
+  subjects: [/siteminder/i],
+  fingerprint: (text) => /Booking Reference:/i.test(text) && /Channel Booking ID:/i.test(text),
+  statusLine: "Booking Status",
+
+  parse({ text }) {
+    return {
+      guest_name: field(text, "Guest Name", "Guest"),
+      confirmation_number: code(field(text, "Booking Reference")),
+      source: field(text, "Channel") || null,
+      source_reservation_id: code(field(text, "Channel Booking ID")),
+      arrival_date: date(field(text, "Arrival")),
+      departure_date: date(field(text, "Departure")),
+      room_type: field(text, "Room Type") || null,
+      adults: count(text, "Adults"),
+      children: count(text, "Children"),
+    };
+  },
+};
@@ -1,132 +1,255 @@
-import { createClient } from '@supabase/supabase-js';
-import { S3Client, DeleteObjectCommand } from '@aws-sdk/client-s3';
-
-const supabase = createClient(
-  process.env.NEXT_PUBLIC_SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
-);
-
-const s3 = new S3Client({ region: process.env.AWS_REGION });
-const BUCKET = process.env.S3_BUCKET_NAME;
-
-export async function deleteOldSessionsAndImages() {
-  const cutoffDate = new Date();
-  cutoffDate.setHours(cutoffDate.getHours() - 72); // 72 hours ago
-  const cutoffTimestamp = cutoffDate.toISOString();
-  
-  console.log('Starting cleanup for sessions older than:', cutoffTimestamp);
-  
-  let deletedSessions = 0;
-  let deletedImages = 0;
+import { meterProvider } from './costs';
+import { getRepository } from './db';
+import { getVerificationProvider } from './providers';
+import { getRetention, retentionCutoffs } from './retention';
+
+// Keys listed by a dry run; the counts cover everything.
+const MAX_REPORTED_KEYS = 100;
+
+// Mailgun stops retrying a message after 8 hours; receipts outlive that by a margin.
+const RECEIPT_RETENTION_MS = 3 * 24 * 60 * 60 * 1000;
+
+// What cleanup reads from each session.
+const SESSION_COLUMNS = [
+  'session_token',
+  'property_id',
+  'created_at',
+  'document_url',
+  'selfie_url',
+  'images_deleted_at',
+];
+
+// Every object stored for the session. Guests upload to demo/<token>/, but
+// document_url and selfie_url are added in case an old row points elsewhere.
+async function sessionImageKeys(storage, session) {
+  const listed = await storage.list(`demo/${session.session_token}/`);
+  const keys = new Set(listed.map((o) => o.key));
+  for (const url of [session.document_url, session.selfie_url]) {
+    const key = url ? storage.keyFromUrl(url) : null;
+    if (key) keys.add(key);
+  }
+  return [...keys];
+}
+
+async function deleteKeys(storage, keys, errors) {
+  if (keys.length === 0) return 0;
+  const { deleted, errors: failed } = await storage.deleteMany(keys);
+  for (const { key, message } of failed) {
+    console.error(`Failed to delete S3 object ${key}:`, message);
+    errors.push(`S3: ${key} - ${message}`);
+  }
+  return deleted.length;
+}
+
+/**
+ * Applies the retention periods in lib/retention.js: deletes session images,
+ * then sessions with their guests and challenges, old API cost rows and the
+ * raw text of booking emails. Cleans up every property unless `propertyId`
+ * limits it to one. With `dryRun` nothing is changed and the counts say what
+ * would have been removed.
+ */
+export async function deleteOldSessionsAndImages({ propertyId = null, dryRun = false, now = new Date() } = {}) {
+  const result = {
+    success: true,
+    dryRun,
+    propertyId,
+    cutoffs: null,
+    cutoffTimestamp: null,
+    imageSessions: 0,
+    deletedImages: 0,
+    deletedSessions: 0,
+    deletedCostRows: 0,
+    purgedBookingEmails: { bookings: 0, versions: 0, unparsed: 0 },
+  };
+  const reportedKeys = [];
   const errors = [];
-  
+
   try {
-    // Find all old sessions
-    const { data: oldSessions, error: fetchError } = await supabase
-      .from('demo_sessions')
-      .select('*')
-      .lt('created_at', cutoffTimestamp);
-    
+    const cutoffs = retentionCutoffs(getRetention(), now);
+    result.cutoffs = cutoffs;
+    result.cutoffTimestamp = cutoffs.sessions;
+
+    console.log(
+      dryRun ? 'Cleanup dry run with cutoffs:' : 'Starting cleanup with cutoffs:',
+      cutoffs,
+      propertyId ? `(property ${propertyId})` : ''
+    );
+
+    const repo = getRepository();
+    const provider = getVerificationProvider();
+
+    if (!dryRun) {
+      // Used Mailgun webhook tokens only need remembering while they are fresh.
+      const { error: tokenError } = await repo.webhookTokens.deleteExpired(now.toISOString());
+      if (tokenError) {
+        console.error('Failed to purge expired webhook tokens:', tokenError.message);
+      }
+
+      // Inbound receipts only answer Mailgun retries of the same message.
+      const receiptCutoff = new Date(now.getTime() - RECEIPT_RETENTION_MS).toISOString();
+      const { error: receiptError } = await repo.inboundReceipts.deleteBefore(receiptCutoff, propertyId);
+      if (receiptError) {
+        console.error('Failed to purge old inbound receipts:', receiptError.message);
+      }
+
+      // Lookup failures only count inside the limiter window; blocked attempts are kept.
+      const { error: lookupError } = await repo.lookupFailures.deleteBefore(cutoffs.sessions, propertyId);
+      if (lookupError) {
+        console.error('Failed to purge old lookup failures:', lookupError.message);
+      }
+    }
+
+    // Sessions past the image cutoff; those also past the session cutoff are deleted.
+    const { data: oldSessions, error: fetchError } = await repo.sessions.listCreatedBefore(
+      cutoffs.images,
+      SESSION_COLUMNS,
+      propertyId
+    );
+
     if (fetchError) {
       throw new Error(`Failed to fetch old sessions: ${fetchError.message}`);
     }
-    
-    if (!oldSessions || oldSessions.length === 0) {
-      console.log('No sessions to clean up');
-      return {
-        success: true,
-        deletedSessions: 0,
-        deletedImages: 0,
-        cutoffTimestamp
-      };
-    }
-    
-    console.log(`Found ${oldSessions.length} sessions to delete`);
-    
-    // Process each session
-    for (const session of oldSessions) {
+
+    console.log(`Found ${(oldSessions || []).length} sessions past the image cutoff`);
+
+    for (const session of oldSessions || []) {
+      const expired = session.created_at < cutoffs.sessions;
+      if (session.images_deleted_at && !expired) continue;
+
       try {
-        // Extract S3 keys from URLs
-        const imagesToDelete = [];
-        
-        if (session.document_url) {
-          // URL format: https://s3.ap-southeast-2.amazonaws.com/hotel-verify-demo-123/demo/token/document.jpg
-          const docKey = session.document_url.split(`${BUCKET}/`)[1];
-          if (docKey) imagesToDelete.push(docKey);
+        let imagesGone = true;
+
+        if (!session.images_deleted_at) {
+          // A dry run writes nothing, cost records included.
+          const storage = dryRun
+            ? provider.storage
+            : meterProvider(provider, {
+                repo,
+                sessionToken: session.session_token,
+                propertyId: session.property_id ?? null,
+              }).storage;
+
+          const keys = await sessionImageKeys(storage, session);
+
+          if (dryRun) {
+            result.deletedImages += keys.length;
+            reportedKeys.push(...keys.slice(0, MAX_REPORTED_KEYS - reportedKeys.length));
+          } else {
+            const deleted = await deleteKeys(storage, keys, errors);
+            result.deletedImages += deleted;
+            imagesGone = deleted === keys.length;
+            if (deleted > 0) console.log(`Deleted ${deleted} S3 objects for session ${session.session_token}`);
+          }
+          if (keys.length > 0) result.imageSessions++;
+
+          if (!dryRun && imagesGone && !expired) {
+            const { error: markError } = await repo.sessions.update(session.session_token, {
+              images_deleted_at: now.toISOString(),
+            });
+            if (markError) {
+              console.error(`Failed to mark images deleted for session ${session.session_token}:`, markError.message);
+            }
+          }
         }
-        
-        if (session.selfie_url) {
-          const selfieKey = session.selfie_url.split(`${BUCKET}/`)[1];
-          if (selfieKey) imagesToDelete.push(selfieKey);
+
+        if (!expired) continue;
+
+        // Kept until its images are gone, so the next run retries them.
+        if (!imagesGone) {
+          errors.push(`Session: ${session.session_token} - kept until its images are deleted`);
+          continue;
         }
-        
-        // Delete images from S3
-        for (const key of imagesToDelete) {
-          try {
-            await s3.send(new DeleteObjectCommand({
-              Bucket: BUCKET,
-              Key: key
-            }));
-            deletedImages++;
-            console.log(`Deleted S3 object: ${key}`);
-          } catch (s3Error) {
-            console.error(`Failed to delete S3 object ${key}:`, s3Error.message);
-            errors.push(`S3: ${key} - ${s3Error.message}`);
-            // Continue even if S3 deletion fails
-          }
+
+        if (dryRun) {
+          result.deletedSessions++;
+          continue;
         }
-        
-        // Delete related API costs
-        const { error: costError } = await supabase
-          .from('demo_api_costs')
-          .delete()
-          .eq('session_id', session.session_token);
-        
-        if (costError) {
-          console.error(`Failed to delete costs for session ${session.session_token}:`, costError.message);
+
+        // API cost records follow RETENTION_COSTS_DAYS instead.
+
+        // Delete per-guest verification records
+        const { error: guestsError } = await repo.guests.deleteForSession(session.session_token);
+
+        if (guestsError) {
+          console.error(`Failed to delete guest records for session ${session.session_token}:`, guestsError.message);
+        }
+
+        // Delete liveness challenges
+        const { error: challengesError } = await repo.challenges.deleteForSession(session.session_token);
+
+        if (challengesError) {
+          console.error(`Failed to delete liveness challenges for session ${session.session_token}:`, challengesError.message);
         }
-        
+
         // Delete the session
-        const { error: deleteError } = await supabase
-          .from('demo_sessions')
-          .delete()
-          .eq('session_token', session.session_token);
-        
+        const { error: deleteError } = await repo.sessions.delete(session.session_token);
+
         if (deleteError) {
           console.error(`Failed to delete session ${session.session_token}:`, deleteError.message);
           errors.push(`Session: ${session.session_token} - ${deleteError.message}`);
         } else {
-          deletedSessions++;
+          result.deletedSessions++;
           console.log(`Deleted session: ${session.session_token}`);
         }
-        
+
       } catch (sessionError) {
         console.error(`Error processing session ${session.session_token}:`, sessionError.message);
         errors.push(`Session processing: ${session.session_token} - ${sessionError.message}`);
       }
     }
-    
-    console.log(`Cleanup complete: ${deletedSessions} sessions, ${deletedImages} images deleted`);
+
+    if (cutoffs.costs) {
+      const { data: costRows, error: costError } = await repo.costs.deleteBefore(cutoffs.costs, { dryRun }, propertyId);
+      if (costError) {
+        console.error('Failed to purge old cost rows:', costError.message);
+        errors.push(`Costs: ${costError.message}`);
+      } else {
+        result.deletedCostRows = costRows;
+      }
+    }
+
+    // The parsed reservation stays; only the email text with guest details goes.
+    if (cutoffs.bookingEmails) {
+      const purges = [
+        ['bookings', repo.bookings],
+        ['versions', repo.bookingVersions],
+        ['unparsed', repo.unparsedEmails],
+      ];
+      for (const [name, table] of purges) {
+        const { data: cleared, error: clearError } = await table.clearRawTextBefore(
+          cutoffs.bookingEmails,
+          { dryRun },
+          propertyId
+        );
+        if (clearError) {
+          console.error(`Failed to purge booking email text (${name}):`, clearError.message);
+          errors.push(`Booking emails (${name}): ${clearError.message}`);
+        } else {
+          result.purgedBookingEmails[name] = cleared;
+        }
+      }
+    }
+
+    console.log(
+      `Cleanup ${dryRun ? 'dry run' : 'complete'}: ${result.deletedSessions} sessions, ${result.deletedImages} images, ` +
+        `${result.deletedCostRows} cost rows`
+    );
     if (errors.length > 0) {
       console.log(`Encountered ${errors.length} errors during cleanup`);
     }
-    
+
     return {
-      success: true,
-      deletedSessions,
-      deletedImages,
-      cutoffTimestamp,
+      ...result,
+      keys: dryRun ? reportedKeys : undefined,
       errors: errors.length > 0 ? errors : undefined
     };
-    
+
   } catch (error) {
     console.error('Cleanup failed:', error);
     return {
+      ...result,
       success: false,
-      error: error.message,
-      deletedSessions,
-      deletedImages,
-      cutoffTimestamp
+      error: error.message
     };
   }
 }
@@ -0,0 +1,79 @@
+// Single place that reads deployment settings from the environment.
+//
+// Canonical names, with the older per-route names still accepted:
+//   DATA_STORE                  "supabase" (default) | "memory"
+//   SUPABASE_URL                (legacy: NEXT_PUBLIC_SUPABASE_URL)
+//   SUPABASE_SERVICE_ROLE_KEY   (legacy: SUPABASE_SERVICE_KEY)
+//   VERIFICATION_PROVIDER       "aws" (default) | "mock"
+//   AWS_REGION, S3_BUCKET_NAME  required for the aws provider
+//   MOCK_FIXTURES_DIR, MOCK_STORAGE_DIR, MOCK_FACE_SIMILARITY  mock provider
+
+export class ConfigError extends Error {
+  constructor(message, missing = []) {
+    super(message);
+    this.name = "ConfigError";
+    this.missing = missing;
+  }
+}
+
+const DATA_STORES = ["supabase", "memory"];
+const PROVIDERS = ["aws", "mock"];
+
+let cached = null;
+
+/**
+ * Read and validate configuration. Throws ConfigError naming every missing
+ * setting for the selected data store and verification provider.
+ */
+export function loadConfig(env = process.env) {
+  const dataStore = String(env.DATA_STORE || "supabase").toLowerCase();
+  const verificationProvider = String(env.VERIFICATION_PROVIDER || "aws").toLowerCase();
+
+  if (!DATA_STORES.includes(dataStore)) {
+    throw new ConfigError(`Unknown DATA_STORE "${dataStore}" (expected ${DATA_STORES.join(", ")})`);
+  }
+  if (!PROVIDERS.includes(verificationProvider)) {
+    throw new ConfigError(
+      `Unknown VERIFICATION_PROVIDER "${verificationProvider}" (expected ${PROVIDERS.join(", ")})`
+    );
+  }
+
+  const config = {
+    dataStore,
+    supabase: {
+      url: env.SUPABASE_URL || env.NEXT_PUBLIC_SUPABASE_URL || null,
+      serviceKey: env.SUPABASE_SERVICE_ROLE_KEY || env.SUPABASE_SERVICE_KEY || null,
+    },
+    verificationProvider,
+    aws: {
+      region: env.AWS_REGION || null,
+      bucket: env.S3_BUCKET_NAME || null,
+    },
+    mock: {
+      fixturesDir: env.MOCK_FIXTURES_DIR || undefined,
+      storageDir: env.MOCK_STORAGE_DIR || undefined,
+      similarity: env.MOCK_FACE_SIMILARITY ? Number(env.MOCK_FACE_SIMILARITY) : undefined,
+    },
+  };
+
+  const missing = [];
+  if (dataStore === "supabase") {
+    if (!config.supabase.url) missing.push("SUPABASE_URL");
+    if (!config.supabase.serviceKey) missing.push("SUPABASE_SERVICE_ROLE_KEY");
+  }
+  if (verificationProvider === "aws") {
+    if (!config.aws.region) missing.push("AWS_REGION");
+    if (!config.aws.bucket) missing.push("S3_BUCKET_NAME");
+  }
+
+  if (missing.length > 0) {
+    throw new ConfigError(`Missing required settings: ${missing.join(", ")}`, missing);
+  }
+
+  return Object.freeze(config);
+}
+
+export function getConfig() {
+  if (!cached) cached = loadConfig();
+  return cached;
+}
@@ -0,0 +1,26 @@
+// CORS for staff-facing routes. Only origins listed in ADMIN_CORS_ORIGINS
+// (comma-separated, e.g. "https://dashboard.example.com") are reflected;
+// other origins get no Access-Control-Allow-Origin header at all.
+
+function allowedOrigins() {
+  return String(process.env.ADMIN_CORS_ORIGINS || '')
+    .split(',')
+    .map((o) => o.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+}
+
+export function setAdminCors(req, res, { methods = 'GET,OPTIONS', exposeHeaders } = {}) {
+  res.setHeader('Vary', 'Origin');
+
+  const origin = req.headers.origin;
+  if (!origin || !allowedOrigins().includes(origin)) return;
+
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Credentials', 'true');
+  res.setHeader('Access-Control-Allow-Methods', methods);
+  res.setHeader(
+    'Access-Control-Allow-Headers',
+    'Authorization, X-Admin-Key, Content-Type, X-Requested-With, Accept'
+  );
+  if (exposeHeaders) res.setHeader('Access-Control-Expose-Headers', exposeHeaders);
+}
@@ -0,0 +1,128 @@
+import { ConfigError } from "./config";
+
+// Per-request unit prices in USD for the aws provider (us-east-1 list prices).
+// Override any entry with PRICE_TABLE, e.g. {"textract.analyze_id": 0.025}.
+// Calls to the mock provider are recorded at zero cost.
+export const DEFAULT_PRICES = {
+  "rekognition.detect_faces": 0.001,
+  "rekognition.compare_faces": 0.001,
+  "textract.analyze_id": 0.025,
+  "s3.put_object": 0.000005,
+  "s3.get_object": 0.0000004,
+  "s3.delete_object": 0,
+  "s3.delete_objects": 0,
+  "s3.list_objects": 0.000005,
+};
+
+export const COST_GROUPS = ["session", "property", "month"];
+
+let cachedPrices = null;
+
+export function getPriceTable() {
+  if (cachedPrices) return cachedPrices;
+
+  let overrides = {};
+  if (process.env.PRICE_TABLE) {
+    try {
+      overrides = JSON.parse(process.env.PRICE_TABLE);
+    } catch {
+      throw new ConfigError("PRICE_TABLE must be a JSON object of operation prices");
+    }
+    const valid =
+      overrides &&
+      typeof overrides === "object" &&
+      !Array.isArray(overrides) &&
+      Object.values(overrides).every((v) => typeof v === "number" && v >= 0);
+    if (!valid) throw new ConfigError("PRICE_TABLE must map operations to non-negative numbers");
+  }
+
+  cachedPrices = Object.freeze({ ...DEFAULT_PRICES, ...overrides });
+  return cachedPrices;
+}
+
+export function unitPrice(providerName, operation) {
+  if (providerName !== "aws") return 0;
+  const price = getPriceTable()[operation];
+  if (price === undefined) console.warn(`No price configured for ${operation}`);
+  return Number(price) || 0;
+}
+
+/**
+ * Wraps a provider so each billable call is written to the cost ledger with
+ * its unit price, attempt count (retries are billed) and outcome. Ledger
+ * writes are best-effort and never fail the call itself. `spentUsd()` on the
+ * returned provider totals what has been recorded through it.
+ */
+export function meterProvider(provider, { repo, sessionToken = null, propertyId = null }) {
+  let spent = 0;
+  const metered = provider.metered(({ operation, ok, attempts, error }) => {
+    const unit = unitPrice(provider.name, operation);
+    const row = {
+      session_id: sessionToken,
+      property_id: propertyId,
+      provider: provider.name,
+      operation,
+      status: ok ? "ok" : "error",
+      error: ok ? null : String(error || "").slice(0, 200),
+      attempts,
+      unit_cost_usd: unit,
+      cost_usd: unit * attempts,
+    };
+    spent += row.cost_usd;
+    Promise.resolve(repo.costs.insert(row))
+      .then(({ error: insertError } = {}) => {
+        if (insertError) console.warn("Cost record insert failed:", insertError.message);
+      })
+      .catch((e) => console.warn("Cost record insert failed:", e?.message || e));
+  });
+  metered.spentUsd = () => spent;
+  return metered;
+}
+
+function groupKey(row, group) {
+  if (group === "all") return "all";
+  if (group === "session") return row.session_id || "unattributed";
+  if (group === "property") return row.property_id || "unassigned";
+  return String(row.created_at || "").slice(0, 7);
+}
+
+/** Totals per session, property or month (or "all"), broken down by operation. */
+export function summarizeCosts(rows = [], group = "month") {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = groupKey(row, group);
+    const g = groups.get(key) || {
+      key,
+      calls: 0,
+      attempts: 0,
+      failed_calls: 0,
+      cost_usd: 0,
+      operations: {},
+    };
+    const attempts = Number(row.attempts) || 1;
+    const cost = Number(row.cost_usd) || 0;
+
+    g.calls += 1;
+    g.attempts += attempts;
+    if (row.status === "error") g.failed_calls += 1;
+    g.cost_usd += cost;
+
+    const op = (g.operations[row.operation] ||= { calls: 0, attempts: 0, cost_usd: 0 });
+    op.calls += 1;
+    op.attempts += attempts;
+    op.cost_usd += cost;
+
+    groups.set(key, g);
+  }
+
+  const round = (n) => Math.round(n * 1e6) / 1e6;
+  return [...groups.values()]
+    .sort((a, b) => (a.key < b.key ? -1 : 1))
+    .map((g) => ({
+      ...g,
+      cost_usd: round(g.cost_usd),
+      operations: Object.fromEntries(
+        Object.entries(g.operations).map(([op, v]) => [op, { ...v, cost_usd: round(v.cost_usd) }])
+      ),
+    }));
+}
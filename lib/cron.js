@@ -0,0 +1,40 @@
+import { safeEqual } from './adminAuth';
+
+/*
+ * Authentication for the /api/maintenance cron routes. Vercel Cron sends
+ * `Authorization: Bearer $CRON_SECRET`; manual runs may pass the secret as
+ * ?token= or X-Cron-Secret instead. Without CRON_SECRET the routes are
+ * refused in production and open, with a warning, everywhere else.
+ */
+
+function readCronToken(req) {
+  const header = String(req.headers.authorization || '');
+  if (header.toLowerCase().startsWith('bearer ')) return header.slice(7).trim();
+  return String(req.query?.token || req.headers['x-cron-secret'] || '');
+}
+
+/**
+ * Answers the request and returns false unless it carries the cron secret.
+ * `name` labels the job in log lines.
+ */
+export function requireCronSecret(req, res, name, env = process.env) {
+  const expectedSecret = env.CRON_SECRET;
+
+  if (!expectedSecret) {
+    if (env.NODE_ENV === 'production') {
+      console.error(`CRON_SECRET not configured - refusing ${name} request`);
+      res.status(500).json({ error: 'Server misconfigured: CRON_SECRET is not set' });
+      return false;
+    }
+    console.warn(`CRON_SECRET not configured - ${name} endpoint is unprotected!`);
+    return true;
+  }
+
+  const token = readCronToken(req);
+  if (!token || !safeEqual(token, expectedSecret)) {
+    console.error('Invalid cron token received');
+    res.status(401).json({ error: 'Unauthorized' });
+    return false;
+  }
+  return true;
+}
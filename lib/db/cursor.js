@@ -0,0 +1,19 @@
+// Opaque keyset cursors for session listings: the sort column's value and
+// the session token of the last row returned, which breaks ties.
+
+export function encodeCursor(row, sort) {
+  return Buffer.from(JSON.stringify({ v: row?.[sort] ?? null, t: row?.session_token })).toString(
+    "base64url"
+  );
+}
+
+/** Returns { value, token }, or null when the cursor is malformed. */
+export function decodeCursor(cursor) {
+  try {
+    const { v, t } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (typeof v !== "string" || typeof t !== "string") return null;
+    return { value: v, token: t };
+  } catch {
+    return null;
+  }
+}
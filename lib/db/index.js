@@ -0,0 +1,46 @@
+import { getConfig } from "../config";
+import { createMemoryRepository } from "./memory";
+import { createSupabaseRepository } from "./supabase";
+
+/**
+ * Data-access layer shared by every route. Methods resolve to
+ * { data, error } like supabase-js, whichever store is configured:
+ *
+ *   sessions        create, get, listByTokens, update, updateMany, delete, search,
+ *                   listCreatedBetween, listCreatedBefore, listTm30Ready,
+ *                   listByTm30Batch
+ *   guests          get, list, listForSessions, upsert, update,
+ *                   listPendingReview, deleteForSession
+ *   bookings        findCandidates, findByReference, insert, update,
+ *                   clearRawTextBefore
+ *   bookingVersions append, clearRawTextBefore
+ *   unparsedEmails  insert, clearRawTextBefore
+ *   webhookTokens   claim, release, deleteExpired
+ *   inboundReceipts claim, complete, release, deleteBefore
+ *   lookupFailures  record, release, listSince, deleteBefore
+ *   lookupBlocks    insert, listBetween
+ *   webhookDeliveries insert, get, update, listDue, list
+ *   costs           insert, listBetween, deleteBefore
+ *   stats           increment
+ *   challenges      create, claim, deleteForSession
+ *   tm30Batches     create
+ *   reviewAudit     append, listForGuest
+ *
+ * Listing and purging methods take a trailing propertyId and touch only that
+ * property's rows; null means every property. bookings.findCandidates always requires one.
+ *
+ * Throws ConfigError on first use when required settings are missing.
+ */
+
+let repository = null;
+
+export function getRepository() {
+  if (repository) return repository;
+
+  const config = getConfig();
+  repository =
+    config.dataStore === "memory"
+      ? createMemoryRepository()
+      : createSupabaseRepository(config.supabase);
+  return repository;
+}
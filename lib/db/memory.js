@@ -0,0 +1,615 @@
+// In-memory repository with the same interface and { data, error } results as
+// the Supabase one. State lives on globalThis so it survives dev hot reloads;
+// it is per-process and lost on restart.
+
+import { encodeCursor } from "./cursor";
+import { SESSION_SUMMARY_COLUMNS } from "./sessionSummary";
+
+function ok(data) {
+  return Promise.resolve({ data, error: null });
+}
+
+function fail(message) {
+  return Promise.resolve({ data: null, error: { message } });
+}
+
+function clone(v) {
+  return v == null ? v : structuredClone(v);
+}
+
+function matches(row, conditions = {}) {
+  return Object.entries(conditions).every(([column, value]) => {
+    if (value === null) return row[column] == null;
+    if (typeof value === "object" && "not" in value) return row[column] !== value.not;
+    return row[column] === value;
+  });
+}
+
+function pick(row, columns) {
+  if (!row || !Array.isArray(columns)) return clone(row);
+  return Object.fromEntries(columns.map((c) => [c, clone(row[c] ?? null)]));
+}
+
+// Null lists every property.
+function inProperty(row, propertyId) {
+  return !propertyId || row.property_id === propertyId;
+}
+
+// Reservations sharing one reservation number; more means bad data.
+const MAX_CANDIDATES = 20;
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+// Blanks raw_text on rows whose `column` is before the cutoff; returns how many.
+function clearRawText(rows, column, beforeIso, dryRun, propertyId) {
+  const old = rows.filter(
+    (r) => inProperty(r, propertyId) && r.raw_text != null && (r[column] ?? r.created_at) < beforeIso
+  );
+  if (!dryRun) for (const r of old) r.raw_text = null;
+  return old.length;
+}
+
+function createStore() {
+  return {
+    sessions: [],
+    guests: [],
+    bookings: [],
+    bookingVersions: [],
+    unparsedEmails: [],
+    costs: [],
+    stats: [],
+    challenges: [],
+    tm30Batches: [],
+    reviewAudit: [],
+    webhookTokens: [],
+    inboundReceipts: [],
+    lookupFailures: [],
+    lookupBlocks: [],
+    webhookDeliveries: [],
+    nextBookingId: 1,
+    nextBookingVersionId: 1,
+    nextUnparsedId: 1,
+    nextAuditId: 1,
+    nextReceiptId: 1,
+    nextLookupFailureId: 1,
+    nextLookupBlockId: 1,
+    nextWebhookDeliveryId: 1,
+  };
+}
+
+export function createMemoryRepository(store = (globalThis.__roomquestMemoryStore ||= createStore())) {
+  const sessions = {
+    create(row) {
+      if (store.sessions.some((s) => s.session_token === row.session_token)) {
+        return fail("duplicate key value violates unique constraint");
+      }
+      const created = { created_at: nowIso(), ...clone(row) };
+      store.sessions.push(created);
+      return ok(clone(created));
+    },
+
+    get(sessionToken, columns = "*") {
+      const row = store.sessions.find((s) => s.session_token === sessionToken);
+      return ok(row ? pick(row, columns) : null);
+    },
+
+    listByTokens(sessionTokens = [], columns = "*") {
+      return ok(
+        store.sessions.filter((s) => sessionTokens.includes(s.session_token)).map((s) => pick(s, columns))
+      );
+    },
+
+    update(sessionToken, patch, conditions = {}) {
+      const row = store.sessions.find(
+        (s) => s.session_token === sessionToken && matches(s, conditions)
+      );
+      if (!row) return ok(null);
+      Object.assign(row, clone(patch));
+      return ok(clone(row));
+    },
+
+    updateMany(sessionTokens, patch, conditions = {}) {
+      const rows = store.sessions.filter(
+        (s) => sessionTokens.includes(s.session_token) && matches(s, conditions)
+      );
+      rows.forEach((row) => Object.assign(row, clone(patch)));
+      return ok(rows.map(clone));
+    },
+
+    delete(sessionToken) {
+      store.sessions = store.sessions.filter((s) => s.session_token !== sessionToken);
+      return ok(null);
+    },
+
+    search({ filters = {}, sort = "created_at", order = "desc", cursor = null, limit = 25 } = {}) {
+      const q = String(filters.q || "").toLowerCase();
+      const matching = store.sessions.filter(
+        (s) =>
+          ["property_id", "status", "current_step", "tm30_status"].every(
+            (column) => !filters[column] || s[column] === filters[column]
+          ) &&
+          (filters.is_verified === undefined || (s.is_verified === true) === filters.is_verified) &&
+          (!filters.from || s.created_at >= filters.from) &&
+          (!filters.to || s.created_at < filters.to) &&
+          (!q ||
+            String(s.guest_name || "").toLowerCase().includes(q) ||
+            String(s.room_number || "").toLowerCase().includes(q))
+      );
+
+      const direction = order === "asc" ? 1 : -1;
+      const key = (s) => [String(s[sort] ?? ""), s.session_token];
+      const compare = (a, b) => {
+        const [av, at] = key(a);
+        const [bv, bt] = key(b);
+        return direction * (av === bv ? (at < bt ? -1 : at > bt ? 1 : 0) : av < bv ? -1 : 1);
+      };
+
+      const sorted = [...matching].sort(compare);
+      const after = cursor
+        ? sorted.filter((s) => compare(s, { [sort]: cursor.value, session_token: cursor.token }) > 0)
+        : sorted;
+      const rows = after.slice(0, limit).map((s) => pick(s, SESSION_SUMMARY_COLUMNS));
+
+      return ok({
+        rows,
+        total: matching.length,
+        next_cursor: after.length > limit ? encodeCursor(rows[rows.length - 1], sort) : null,
+      });
+    },
+
+    listCreatedBetween(fromIso, toIso, columns = "*", propertyId = null) {
+      return ok(
+        store.sessions
+          .filter((s) => inProperty(s, propertyId) && s.created_at >= fromIso && s.created_at < toIso)
+          .sort((a, b) => (a.created_at < b.created_at ? -1 : 1))
+          .map((s) => pick(s, columns))
+      );
+    },
+
+    listCreatedBefore(cutoffIso, columns = "*", propertyId = null) {
+      return ok(
+        store.sessions
+          .filter((s) => inProperty(s, propertyId) && s.created_at < cutoffIso)
+          .sort((a, b) => (a.created_at < b.created_at ? -1 : 1))
+          .map((s) => pick(s, columns))
+      );
+    },
+
+    // Verified sessions of one property whose TM30 info is complete.
+    listTm30Ready(propertyId) {
+      return ok(
+        store.sessions
+          .filter(
+            (s) => s.property_id === propertyId && s.tm30_status === "ready" && s.is_verified === true
+          )
+          .map((s) => pick(s, ["session_token", "property_id", "tm30_info"]))
+      );
+    },
+
+    listByTm30Batch(batchId, propertyId = null) {
+      return ok(
+        store.sessions
+          .filter((s) => inProperty(s, propertyId) && s.tm30_export_batch_id === batchId)
+          .map((s) => pick(s, ["session_token", "property_id", "tm30_info"]))
+      );
+    },
+  };
+
+  const findGuest = (sessionToken, guestIndex) =>
+    store.guests.find((g) => g.session_token === sessionToken && g.guest_index === guestIndex);
+
+  const byGuestIndex = (a, b) => a.guest_index - b.guest_index;
+
+  const guests = {
+    get(sessionToken, guestIndex) {
+      return ok(clone(findGuest(sessionToken, guestIndex) ?? null));
+    },
+
+    list(sessionToken) {
+      return ok(
+        store.guests
+          .filter((g) => g.session_token === sessionToken)
+          .sort(byGuestIndex)
+          .map(clone)
+      );
+    },
+
+    listForSessions(sessionTokens = []) {
+      const bySession = {};
+      for (const g of [...store.guests].sort(byGuestIndex)) {
+        if (sessionTokens.includes(g.session_token)) {
+          (bySession[g.session_token] ||= []).push(clone(g));
+        }
+      }
+      return ok(bySession);
+    },
+
+    upsert(sessionToken, guestIndex, patch = {}) {
+      let row = findGuest(sessionToken, guestIndex);
+      if (!row) {
+        // Mirrors the trigger that copies the session's property onto new guests.
+        const session = store.sessions.find((s) => s.session_token === sessionToken);
+        row = {
+          session_token: sessionToken,
+          property_id: session?.property_id ?? null,
+          guest_index: guestIndex,
+          attempts: 0,
+          verdict: "pending",
+          tm30_info: {},
+          tm30_provenance: {},
+          tm30_status: "draft",
+          tm30_missing_fields: [],
+          verdict_reasons: [],
+          created_at: nowIso(),
+        };
+        store.guests.push(row);
+      }
+      Object.assign(row, clone(patch), { updated_at: nowIso() });
+      return ok(clone(row));
+    },
+
+    update(sessionToken, guestIndex, patch, conditions = {}) {
+      const row = findGuest(sessionToken, guestIndex);
+      if (!row || !matches(row, conditions)) return ok(null);
+      Object.assign(row, clone(patch), { updated_at: nowIso() });
+      return ok(clone(row));
+    },
+
+    listPendingReview(limit = 50, propertyId = null) {
+      return ok(
+        store.guests
+          .filter((g) => inProperty(g, propertyId) && g.review_status === "pending")
+          .sort((a, b) => (a.updated_at < b.updated_at ? -1 : 1))
+          .slice(0, limit)
+          .map(clone)
+      );
+    },
+
+    deleteForSession(sessionToken) {
+      store.guests = store.guests.filter((g) => g.session_token !== sessionToken);
+      return ok(null);
+    },
+  };
+
+  const bookings = {
+    findCandidates({ propertyId, reservationNorm }) {
+      if (!propertyId || !reservationNorm) return ok([]);
+      const columns = [
+        "id",
+        "guest_name_raw",
+        "guest_name_norm",
+        "adults",
+        "children",
+        "status",
+        "arrival_date",
+        "departure_date",
+        "room_type",
+      ];
+      return ok(
+        [...store.bookings]
+          .reverse()
+          .filter(
+            (b) =>
+              b.property_id === propertyId &&
+              (b.confirmation_number_norm === reservationNorm ||
+                b.source_reservation_id_norm === reservationNorm)
+          )
+          .slice(0, MAX_CANDIDATES)
+          .map((b) => pick(b, columns))
+      );
+    },
+
+    findByReference({ propertyId, confirmationNorm, sourceReservationNorm }) {
+      if (!propertyId) return ok([]);
+      const row = [...store.bookings]
+        .reverse()
+        .find(
+          (b) =>
+            b.property_id === propertyId &&
+            ((confirmationNorm && b.confirmation_number_norm === confirmationNorm) ||
+              (sourceReservationNorm && b.source_reservation_id_norm === sourceReservationNorm))
+        );
+      return ok(row ? [clone(row)] : []);
+    },
+
+    insert(row) {
+      const created = { id: store.nextBookingId++, created_at: nowIso(), ...clone(row) };
+      store.bookings.push(created);
+      return ok(clone(created));
+    },
+
+    update(id, patch, conditions = {}) {
+      const row = store.bookings.find((b) => b.id === id && matches(b, conditions));
+      if (!row) return ok(null);
+      Object.assign(row, clone(patch));
+      return ok(clone(row));
+    },
+
+    // By the last email applied to the reservation.
+    clearRawTextBefore(beforeIso, { dryRun = false } = {}, propertyId = null) {
+      return ok(clearRawText(store.bookings, "updated_at", beforeIso, dryRun, propertyId));
+    },
+  };
+
+  const bookingVersions = {
+    append(row) {
+      const created = { id: store.nextBookingVersionId++, created_at: nowIso(), ...clone(row) };
+      store.bookingVersions.push(created);
+      return ok({ id: created.id });
+    },
+
+    clearRawTextBefore(beforeIso, { dryRun = false } = {}, propertyId = null) {
+      return ok(clearRawText(store.bookingVersions, "created_at", beforeIso, dryRun, propertyId));
+    },
+  };
+
+  const unparsedEmails = {
+    insert(row) {
+      const created = { id: store.nextUnparsedId++, created_at: nowIso(), ...clone(row) };
+      store.unparsedEmails.push(created);
+      return ok({ id: created.id });
+    },
+
+    clearRawTextBefore(beforeIso, { dryRun = false } = {}, propertyId = null) {
+      return ok(clearRawText(store.unparsedEmails, "created_at", beforeIso, dryRun, propertyId));
+    },
+  };
+
+  const webhookTokens = {
+    claim(token, expiresAt) {
+      if (store.webhookTokens.some((t) => t.token === token)) return ok(false);
+      store.webhookTokens.push({ token, expires_at: expiresAt, created_at: nowIso() });
+      return ok(true);
+    },
+
+    release(token) {
+      store.webhookTokens = store.webhookTokens.filter((t) => t.token !== token);
+      return ok(null);
+    },
+
+    deleteExpired(beforeIso) {
+      store.webhookTokens = store.webhookTokens.filter((t) => t.expires_at >= beforeIso);
+      return ok(null);
+    },
+  };
+
+  const inboundReceipts = {
+    claim({ propertyId, messageId, staleBefore }) {
+      const existing = store.inboundReceipts.find(
+        (r) => r.property_id === propertyId && r.message_id === messageId
+      );
+      if (!existing) {
+        const created = {
+          id: store.nextReceiptId++,
+          property_id: propertyId,
+          message_id: messageId,
+          status: "processing",
+          result: null,
+          created_at: nowIso(),
+          updated_at: nowIso(),
+        };
+        store.inboundReceipts.push(created);
+        return ok({ claimed: true, receipt: clone(created) });
+      }
+      if (existing.status === "processing" && existing.updated_at < staleBefore) {
+        existing.updated_at = nowIso();
+        return ok({ claimed: true, receipt: clone(existing) });
+      }
+      return ok({ claimed: false, receipt: clone(existing) });
+    },
+
+    complete(id, result) {
+      const row = store.inboundReceipts.find((r) => r.id === id);
+      if (row) Object.assign(row, { status: "done", result: clone(result), updated_at: nowIso() });
+      return ok(null);
+    },
+
+    release(id) {
+      store.inboundReceipts = store.inboundReceipts.filter((r) => r.id !== id);
+      return ok(null);
+    },
+
+    deleteBefore(beforeIso, propertyId = null) {
+      store.inboundReceipts = store.inboundReceipts.filter(
+        (r) => !inProperty(r, propertyId) || r.created_at >= beforeIso
+      );
+      return ok(null);
+    },
+  };
+
+  const lookupFailures = {
+    // Resolves to the ids of the rows written.
+    record(rows) {
+      const created = rows.map((r) => ({ id: store.nextLookupFailureId++, created_at: nowIso(), ...clone(r) }));
+      store.lookupFailures.push(...created);
+      return ok(created.map((r) => ({ id: r.id })));
+    },
+
+    release(ids) {
+      store.lookupFailures = store.lookupFailures.filter((f) => !ids.includes(f.id));
+      return ok(null);
+    },
+
+    listSince(keys, sinceIso) {
+      return ok(
+        store.lookupFailures
+          .filter((f) => keys.includes(f.limit_key) && f.created_at >= sinceIso)
+          .map(clone)
+      );
+    },
+
+    deleteBefore(beforeIso, propertyId = null) {
+      store.lookupFailures = store.lookupFailures.filter(
+        (f) => !inProperty(f, propertyId) || f.created_at >= beforeIso
+      );
+      return ok(null);
+    },
+  };
+
+  const lookupBlocks = {
+    insert(row) {
+      store.lookupBlocks.push({ id: store.nextLookupBlockId++, created_at: nowIso(), ...clone(row) });
+      return ok(null);
+    },
+
+    listBetween(fromIso, toIso, limit, propertyId = null) {
+      return ok(
+        store.lookupBlocks
+          .filter((b) => inProperty(b, propertyId) && b.created_at >= fromIso && b.created_at < toIso)
+          .sort((a, b) => (a.created_at > b.created_at ? -1 : a.created_at < b.created_at ? 1 : b.id - a.id))
+          .slice(0, limit)
+          .map(clone)
+      );
+    },
+  };
+
+  const webhookDeliveries = {
+    insert(row) {
+      const now = nowIso();
+      const created = { id: store.nextWebhookDeliveryId++, created_at: now, updated_at: now, ...clone(row) };
+      store.webhookDeliveries.push(created);
+      return ok(clone(created));
+    },
+
+    get(id) {
+      return ok(clone(store.webhookDeliveries.find((d) => d.id === id) ?? null));
+    },
+
+    update(id, patch, conditions = {}) {
+      const row = store.webhookDeliveries.find((d) => d.id === id && matches(d, conditions));
+      if (!row) return ok(null);
+      Object.assign(row, clone(patch));
+      return ok(clone(row));
+    },
+
+    listDue(nowIso, staleBefore, limit) {
+      return ok(
+        store.webhookDeliveries
+          .filter(
+            (d) =>
+              (d.status === "pending" && d.next_attempt_at <= nowIso) ||
+              (d.status === "sending" && d.updated_at < staleBefore)
+          )
+          .sort((a, b) => (a.next_attempt_at < b.next_attempt_at ? -1 : 1))
+          .slice(0, limit)
+          .map(clone)
+      );
+    },
+
+    // Newest first, optionally one status.
+    list({ status = null, limit }, propertyId = null) {
+      return ok(
+        [...store.webhookDeliveries]
+          .reverse()
+          .filter((d) => inProperty(d, propertyId) && (!status || d.status === status))
+          .slice(0, limit)
+          .map(clone)
+      );
+    },
+  };
+
+  const costs = {
+    insert(rows) {
+      const list = Array.isArray(rows) ? rows : [rows];
+      store.costs.push(...list.map((r) => ({ created_at: nowIso(), ...clone(r) })));
+      return ok(null);
+    },
+
+    listBetween(fromIso, toIso, propertyId = null) {
+      return ok(
+        store.costs
+          .filter((c) => inProperty(c, propertyId) && c.created_at >= fromIso && c.created_at < toIso)
+          .map(clone)
+      );
+    },
+
+    // Resolves to the number of rows deleted, or that would be.
+    deleteBefore(beforeIso, { dryRun = false } = {}, propertyId = null) {
+      const old = (c) => inProperty(c, propertyId) && c.created_at < beforeIso;
+      const count = store.costs.filter(old).length;
+      if (!dryRun) store.costs = store.costs.filter((c) => !old(c));
+      return ok(count);
+    },
+  };
+
+  // Mirrors the increment_demo_stats RPC: one row per UTC day.
+  const stats = {
+    increment({ verified, cost }) {
+      const date = nowIso().slice(0, 10);
+      let row = store.stats.find((s) => s.date === date);
+      if (!row) {
+        row = { date, total_verifications: 0, successful_verifications: 0, total_cost_usd: 0 };
+        store.stats.push(row);
+      }
+      row.total_verifications += 1;
+      if (verified) row.successful_verifications += 1;
+      row.total_cost_usd += Number(cost) || 0;
+      return ok(null);
+    },
+  };
+
+  const challenges = {
+    create(row) {
+      store.challenges.push(clone(row));
+      return ok(null);
+    },
+
+    claim(challengeId, sessionToken) {
+      const row = store.challenges.find(
+        (c) => c.challenge_id === challengeId && c.session_token === sessionToken && !c.used_at
+      );
+      if (!row) return ok(null);
+      row.used_at = nowIso();
+      return ok(clone(row));
+    },
+
+    deleteForSession(sessionToken) {
+      store.challenges = store.challenges.filter((c) => c.session_token !== sessionToken);
+      return ok(null);
+    },
+  };
+
+  const tm30Batches = {
+    create(row) {
+      store.tm30Batches.push({ created_at: nowIso(), ...clone(row) });
+      return ok(null);
+    },
+  };
+
+  const reviewAudit = {
+    append(row) {
+      const created = Object.freeze({ id: store.nextAuditId++, created_at: nowIso(), ...clone(row) });
+      store.reviewAudit.push(created);
+      return ok(clone(created));
+    },
+
+    listForGuest(sessionToken, guestIndex) {
+      return ok(
+        store.reviewAudit
+          .filter((a) => a.session_token === sessionToken && a.guest_index === guestIndex)
+          .map(clone)
+      );
+    },
+  };
+
+  return {
+    name: "memory",
+    sessions,
+    guests,
+    bookings,
+    bookingVersions,
+    unparsedEmails,
+    webhookTokens,
+    inboundReceipts,
+    lookupFailures,
+    lookupBlocks,
+    webhookDeliveries,
+    costs,
+    stats,
+    challenges,
+    tm30Batches,
+    reviewAudit,
+  };
+}
@@ -0,0 +1,28 @@
+// Stable projection for admin session listings: no document data, images or
+// TM30 details, so list responses stay small and their shape does not change
+// when columns are added to demo_sessions.
+export const SESSION_SUMMARY_COLUMNS = [
+  "session_token",
+  "property_id",
+  "status",
+  "state",
+  "current_step",
+  "guest_name",
+  "room_number",
+  "reservation_match",
+  "adults",
+  "children",
+  "is_verified",
+  "verification_score",
+  "liveness_score",
+  "face_match_score",
+  "tm30_status",
+  "expected_guest_count",
+  "verified_guest_count",
+  "requires_additional_guest",
+  "created_at",
+  "updated_at",
+  "expires_at",
+];
+
+export const SESSION_SORT_COLUMNS = ["created_at", "updated_at"];
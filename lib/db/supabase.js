@@ -0,0 +1,646 @@
+import { createClient } from "@supabase/supabase-js";
+import { encodeCursor } from "./cursor";
+import { SESSION_SUMMARY_COLUMNS } from "./sessionSummary";
+
+export const TABLES = {
+  sessions: "demo_sessions",
+  guests: "demo_session_guests",
+  bookings: "booking_email_index",
+  bookingVersions: "booking_email_versions",
+  unparsedEmails: "booking_email_unparsed",
+  costs: "demo_api_costs",
+  stats: "demo_stats",
+  challenges: "demo_liveness_challenges",
+  tm30Batches: "tm30_export_batches",
+  reviewAudit: "review_audit_log",
+  webhookTokens: "mailgun_webhook_tokens",
+  inboundReceipts: "mailgun_inbound_receipts",
+  lookupFailures: "reservation_lookup_failures",
+  lookupBlocks: "reservation_lookup_blocks",
+  webhookDeliveries: "webhook_deliveries",
+};
+
+const UNIQUE_VIOLATION = "23505";
+
+// Conditions: { column: value } means equality, { column: { not: value } }
+// inequality and { column: null } IS NULL.
+function applyConditions(query, conditions = {}) {
+  let q = query;
+  for (const [column, value] of Object.entries(conditions)) {
+    if (value === null) q = q.is(column, null);
+    else if (typeof value === "object" && "not" in value) q = q.neq(column, value.not);
+    else q = q.eq(column, value);
+  }
+  return q;
+}
+
+const PAGE_SIZE = 1000;
+
+// Session tokens per `in` filter.
+const TOKEN_CHUNK_SIZE = 100;
+
+// Reservations sharing one reservation number; more means bad data.
+const MAX_CANDIDATES = 20;
+
+function columnList(columns) {
+  return Array.isArray(columns) ? columns.join(",") : columns || "*";
+}
+
+// Restricts a query to one property; null leaves it unscoped.
+function forProperty(query, propertyId) {
+  return propertyId ? query.eq("property_id", propertyId) : query;
+}
+
+// PostgREST `or` filters are comma separated; quote values so user input
+// cannot add conditions.
+function quoteFilterValue(v) {
+  return `"${String(v).replace(/["\\]/g, "\\$&")}"`;
+}
+
+export function createSupabaseRepository({ url, serviceKey }) {
+  const supabase = createClient(url, serviceKey);
+
+  // Blanks raw_text on rows whose `column` is before the cutoff; resolves to how many.
+  async function clearRawText(tableName, column, beforeIso, dryRun, propertyId) {
+    const table = supabase.from(tableName);
+    const query = dryRun
+      ? table.select("id", { count: "exact", head: true })
+      : table.update({ raw_text: null }, { count: "exact" });
+    const { count, error } = await forProperty(query, propertyId)
+      .not("raw_text", "is", null)
+      .lt(column, beforeIso);
+    return { data: error ? null : count ?? 0, error };
+  }
+
+  const sessions = {
+    create(row) {
+      return supabase.from(TABLES.sessions).insert(row).select("*").single();
+    },
+
+    get(sessionToken, columns = "*") {
+      return supabase
+        .from(TABLES.sessions)
+        .select(columnList(columns))
+        .eq("session_token", sessionToken)
+        .maybeSingle();
+    },
+
+    // Sessions among `sessionTokens` that exist, queried in chunks to keep URLs short.
+    async listByTokens(sessionTokens = [], columns = "*") {
+      const tokens = [...new Set(sessionTokens.filter(Boolean))];
+      const rows = [];
+      for (let i = 0; i < tokens.length; i += TOKEN_CHUNK_SIZE) {
+        const { data, error } = await supabase
+          .from(TABLES.sessions)
+          .select(columnList(columns))
+          .in("session_token", tokens.slice(i, i + TOKEN_CHUNK_SIZE));
+        if (error) return { data: null, error };
+        rows.push(...(data || []));
+      }
+      return { data: rows, error: null };
+    },
+
+    update(sessionToken, patch, conditions = {}) {
+      return applyConditions(
+        supabase.from(TABLES.sessions).update(patch).eq("session_token", sessionToken),
+        conditions
+      )
+        .select("*")
+        .maybeSingle();
+    },
+
+    updateMany(sessionTokens, patch, conditions = {}) {
+      return applyConditions(
+        supabase.from(TABLES.sessions).update(patch).in("session_token", sessionTokens),
+        conditions
+      ).select("*");
+    },
+
+    delete(sessionToken) {
+      return supabase.from(TABLES.sessions).delete().eq("session_token", sessionToken);
+    },
+
+    // Filtered, keyset-paginated listing. `total` counts every row matching
+    // the filters, not just those after the cursor.
+    async search({ filters = {}, sort = "created_at", order = "desc", cursor = null, limit = 25 } = {}) {
+      const filtered = (query) => {
+        let q = query;
+        for (const column of ["property_id", "status", "current_step", "tm30_status"]) {
+          if (filters[column]) q = q.eq(column, filters[column]);
+        }
+        if (filters.is_verified === true) q = q.eq("is_verified", true);
+        if (filters.is_verified === false) q = q.not("is_verified", "is", true);
+        if (filters.from) q = q.gte("created_at", filters.from);
+        if (filters.to) q = q.lt("created_at", filters.to);
+        if (filters.q) {
+          const v = quoteFilterValue(`*${filters.q}*`);
+          q = q.or(`guest_name.ilike.${v},room_number.ilike.${v}`);
+        }
+        return q;
+      };
+
+      const ascending = order === "asc";
+      let query = filtered(supabase.from(TABLES.sessions).select(SESSION_SUMMARY_COLUMNS.join(",")));
+      if (cursor) {
+        const op = ascending ? "gt" : "lt";
+        const v = quoteFilterValue(cursor.value);
+        query = query.or(
+          `${sort}.${op}.${v},and(${sort}.eq.${v},session_token.${op}.${quoteFilterValue(cursor.token)})`
+        );
+      }
+
+      const [page, counted] = await Promise.all([
+        query
+          .order(sort, { ascending })
+          .order("session_token", { ascending })
+          .limit(limit + 1),
+        filtered(supabase.from(TABLES.sessions).select("session_token", { count: "exact", head: true })),
+      ]);
+
+      const error = page.error || counted.error;
+      if (error) return { data: null, error };
+
+      const rows = (page.data || []).slice(0, limit);
+      return {
+        data: {
+          rows,
+          total: counted.count ?? 0,
+          next_cursor: page.data.length > limit ? encodeCursor(rows[rows.length - 1], sort) : null,
+        },
+        error: null,
+      };
+    },
+
+    // Every session created in [fromIso, toIso), paged past PostgREST's row cap.
+    async listCreatedBetween(fromIso, toIso, columns = "*", propertyId = null) {
+      const rows = [];
+      for (let offset = 0; ; offset += PAGE_SIZE) {
+        const { data, error } = await forProperty(
+          supabase.from(TABLES.sessions).select(columnList(columns)),
+          propertyId
+        )
+          .gte("created_at", fromIso)
+          .lt("created_at", toIso)
+          .order("created_at", { ascending: true })
+          .order("session_token", { ascending: true })
+          .range(offset, offset + PAGE_SIZE - 1);
+        if (error) return { data: null, error };
+        rows.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) return { data: rows, error: null };
+      }
+    },
+
+    // Every session created before the cutoff, oldest first, paged with a
+    // (created_at, session_token) cursor so the row cap cannot truncate it.
+    async listCreatedBefore(cutoffIso, columns = "*", propertyId = null) {
+      const selected = columns === "*" ? "*" : [...new Set([...columns, "created_at", "session_token"])];
+      const rows = [];
+      let last = null;
+      for (;;) {
+        let query = forProperty(supabase.from(TABLES.sessions).select(columnList(selected)), propertyId).lt(
+          "created_at",
+          cutoffIso
+        );
+        if (last) {
+          const at = quoteFilterValue(last.created_at);
+          query = query.or(
+            `created_at.gt.${at},and(created_at.eq.${at},session_token.gt.${quoteFilterValue(last.session_token)})`
+          );
+        }
+        const { data, error } = await query
+          .order("created_at", { ascending: true })
+          .order("session_token", { ascending: true })
+          .limit(PAGE_SIZE);
+        if (error) return { data: null, error };
+        rows.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) return { data: rows, error: null };
+        last = data[data.length - 1];
+      }
+    },
+
+    // Verified sessions of one property whose TM30 info is complete.
+    listTm30Ready(propertyId) {
+      return supabase
+        .from(TABLES.sessions)
+        .select("session_token, property_id, tm30_info")
+        .eq("property_id", propertyId)
+        .eq("tm30_status", "ready")
+        .eq("is_verified", true);
+    },
+
+    listByTm30Batch(batchId, propertyId = null) {
+      return forProperty(
+        supabase.from(TABLES.sessions).select("session_token, property_id, tm30_info"),
+        propertyId
+      ).eq("tm30_export_batch_id", batchId);
+    },
+  };
+
+  const guests = {
+    get(sessionToken, guestIndex) {
+      return supabase
+        .from(TABLES.guests)
+        .select("*")
+        .eq("session_token", sessionToken)
+        .eq("guest_index", guestIndex)
+        .maybeSingle();
+    },
+
+    list(sessionToken) {
+      return supabase
+        .from(TABLES.guests)
+        .select("*")
+        .eq("session_token", sessionToken)
+        .order("guest_index", { ascending: true });
+    },
+
+    async listForSessions(sessionTokens = []) {
+      const tokens = [...new Set(sessionTokens.filter(Boolean))];
+      if (tokens.length === 0) return { data: {}, error: null };
+
+      const { data, error } = await supabase
+        .from(TABLES.guests)
+        .select("*")
+        .in("session_token", tokens)
+        .order("guest_index", { ascending: true });
+
+      if (error) return { data: {}, error };
+
+      const bySession = {};
+      for (const row of data || []) {
+        (bySession[row.session_token] ||= []).push(row);
+      }
+      return { data: bySession, error: null };
+    },
+
+    // Only the columns present in `patch` are written on conflict.
+    upsert(sessionToken, guestIndex, patch = {}) {
+      return supabase
+        .from(TABLES.guests)
+        .upsert(
+          {
+            ...patch,
+            session_token: sessionToken,
+            guest_index: guestIndex,
+            updated_at: new Date().toISOString(),
+          },
+          { onConflict: "session_token,guest_index" }
+        )
+        .select("*")
+        .single();
+    },
+
+    // Unlike upsert, never creates a row; resolves to null data when no row
+    // matches the conditions.
+    update(sessionToken, guestIndex, patch, conditions = {}) {
+      return applyConditions(
+        supabase
+          .from(TABLES.guests)
+          .update({ ...patch, updated_at: new Date().toISOString() })
+          .eq("session_token", sessionToken)
+          .eq("guest_index", guestIndex),
+        conditions
+      )
+        .select("*")
+        .maybeSingle();
+    },
+
+    listPendingReview(limit = 50, propertyId = null) {
+      return forProperty(supabase.from(TABLES.guests).select("*"), propertyId)
+        .eq("review_status", "pending")
+        .order("updated_at", { ascending: true })
+        .limit(limit);
+    },
+
+    deleteForSession(sessionToken) {
+      return supabase.from(TABLES.guests).delete().eq("session_token", sessionToken);
+    },
+  };
+
+  const bookings = {
+    // Reservations carrying this reservation number, newest first; the
+    // guest name is matched by the caller.
+    findCandidates({ propertyId, reservationNorm }) {
+      if (!propertyId || !reservationNorm) return Promise.resolve({ data: [], error: null });
+      const v = quoteFilterValue(reservationNorm);
+      return supabase
+        .from(TABLES.bookings)
+        .select(
+          "id, guest_name_raw, guest_name_norm, adults, children, status, arrival_date, departure_date, room_type"
+        )
+        .eq("property_id", propertyId)
+        .or(`confirmation_number_norm.eq.${v},source_reservation_id_norm.eq.${v}`)
+        .order("id", { ascending: false })
+        .limit(MAX_CANDIDATES);
+    },
+
+    // The reservation either reference points at, most recent first.
+    findByReference({ propertyId, confirmationNorm, sourceReservationNorm }) {
+      const refs = [];
+      if (confirmationNorm) {
+        refs.push(`confirmation_number_norm.eq.${quoteFilterValue(confirmationNorm)}`);
+      }
+      if (sourceReservationNorm) {
+        refs.push(`source_reservation_id_norm.eq.${quoteFilterValue(sourceReservationNorm)}`);
+      }
+      if (!propertyId || refs.length === 0) return Promise.resolve({ data: [], error: null });
+
+      return supabase
+        .from(TABLES.bookings)
+        .select("*")
+        .eq("property_id", propertyId)
+        .or(refs.join(","))
+        .order("id", { ascending: false })
+        .limit(1);
+    },
+
+    insert(row) {
+      return supabase.from(TABLES.bookings).insert(row).select("*").single();
+    },
+
+    update(id, patch, conditions = {}) {
+      return applyConditions(supabase.from(TABLES.bookings).update(patch).eq("id", id), conditions)
+        .select("*")
+        .maybeSingle();
+    },
+
+    // By the last email applied to the reservation.
+    clearRawTextBefore(beforeIso, { dryRun = false } = {}, propertyId = null) {
+      return clearRawText(TABLES.bookings, "updated_at", beforeIso, dryRun, propertyId);
+    },
+  };
+
+  const bookingVersions = {
+    append(row) {
+      return supabase.from(TABLES.bookingVersions).insert(row).select("id").single();
+    },
+
+    clearRawTextBefore(beforeIso, { dryRun = false } = {}, propertyId = null) {
+      return clearRawText(TABLES.bookingVersions, "created_at", beforeIso, dryRun, propertyId);
+    },
+  };
+
+  const unparsedEmails = {
+    insert(row) {
+      return supabase.from(TABLES.unparsedEmails).insert(row).select("id").single();
+    },
+
+    clearRawTextBefore(beforeIso, { dryRun = false } = {}, propertyId = null) {
+      return clearRawText(TABLES.unparsedEmails, "created_at", beforeIso, dryRun, propertyId);
+    },
+  };
+
+  const webhookTokens = {
+    // data is false when the token was already used.
+    async claim(token, expiresAt) {
+      const { error } = await supabase
+        .from(TABLES.webhookTokens)
+        .insert({ token, expires_at: expiresAt });
+      if (error?.code === UNIQUE_VIOLATION) return { data: false, error: null };
+      return { data: !error, error: error || null };
+    },
+
+    release(token) {
+      return supabase.from(TABLES.webhookTokens).delete().eq("token", token);
+    },
+
+    deleteExpired(beforeIso) {
+      return supabase.from(TABLES.webhookTokens).delete().lt("expires_at", beforeIso);
+    },
+  };
+
+  const inboundReceipts = {
+    // Resolves to { claimed, receipt }. A receipt left "processing" since
+    // before staleBefore is taken over.
+    async claim({ propertyId, messageId, staleBefore }) {
+      const now = new Date().toISOString();
+      const inserted = await supabase
+        .from(TABLES.inboundReceipts)
+        .insert({ property_id: propertyId, message_id: messageId, status: "processing", updated_at: now })
+        .select("*")
+        .single();
+      if (!inserted.error) return { data: { claimed: true, receipt: inserted.data }, error: null };
+      if (inserted.error.code !== UNIQUE_VIOLATION) return { data: null, error: inserted.error };
+
+      const { data: existing, error } = await supabase
+        .from(TABLES.inboundReceipts)
+        .select("*")
+        .eq("property_id", propertyId)
+        .eq("message_id", messageId)
+        .maybeSingle();
+      if (error) return { data: null, error };
+      if (!existing) return { data: null, error: { message: "Receipt not found" } };
+
+      const stale = new Date(existing.updated_at) < new Date(staleBefore);
+      if (existing.status === "processing" && stale) {
+        const { data: taken, error: takeError } = await supabase
+          .from(TABLES.inboundReceipts)
+          .update({ updated_at: now })
+          .eq("id", existing.id)
+          .eq("status", "processing")
+          .eq("updated_at", existing.updated_at)
+          .select("*")
+          .maybeSingle();
+        if (takeError) return { data: null, error: takeError };
+        if (taken) return { data: { claimed: true, receipt: taken }, error: null };
+      }
+      return { data: { claimed: false, receipt: existing }, error: null };
+    },
+
+    complete(id, result) {
+      return supabase
+        .from(TABLES.inboundReceipts)
+        .update({ status: "done", result, updated_at: new Date().toISOString() })
+        .eq("id", id);
+    },
+
+    release(id) {
+      return supabase.from(TABLES.inboundReceipts).delete().eq("id", id);
+    },
+
+    deleteBefore(beforeIso, propertyId = null) {
+      return forProperty(supabase.from(TABLES.inboundReceipts).delete(), propertyId).lt("created_at", beforeIso);
+    },
+  };
+
+  const lookupFailures = {
+    // Resolves to the ids of the rows written.
+    record(rows) {
+      return supabase.from(TABLES.lookupFailures).insert(rows).select("id");
+    },
+
+    release(ids) {
+      return supabase.from(TABLES.lookupFailures).delete().in("id", ids);
+    },
+
+    listSince(keys, sinceIso) {
+      return supabase
+        .from(TABLES.lookupFailures)
+        .select("id,limit_key,created_at")
+        .in("limit_key", keys)
+        .gte("created_at", sinceIso);
+    },
+
+    deleteBefore(beforeIso, propertyId = null) {
+      return forProperty(supabase.from(TABLES.lookupFailures).delete(), propertyId).lt("created_at", beforeIso);
+    },
+  };
+
+  const lookupBlocks = {
+    insert(row) {
+      return supabase.from(TABLES.lookupBlocks).insert(row);
+    },
+
+    // Newest first.
+    listBetween(fromIso, toIso, limit, propertyId = null) {
+      return forProperty(supabase.from(TABLES.lookupBlocks).select("*"), propertyId)
+        .gte("created_at", fromIso)
+        .lt("created_at", toIso)
+        .order("created_at", { ascending: false })
+        .order("id", { ascending: false })
+        .limit(limit);
+    },
+  };
+
+  const webhookDeliveries = {
+    insert(row) {
+      return supabase.from(TABLES.webhookDeliveries).insert(row).select("*").single();
+    },
+
+    get(id) {
+      return supabase.from(TABLES.webhookDeliveries).select("*").eq("id", id).maybeSingle();
+    },
+
+    update(id, patch, conditions = {}) {
+      return applyConditions(
+        supabase.from(TABLES.webhookDeliveries).update(patch).eq("id", id),
+        conditions
+      )
+        .select("*")
+        .maybeSingle();
+    },
+
+    // Pending deliveries whose retry is due, and ones stuck "sending".
+    listDue(nowIso, staleBefore, limit) {
+      const now = quoteFilterValue(nowIso);
+      const stale = quoteFilterValue(staleBefore);
+      return supabase
+        .from(TABLES.webhookDeliveries)
+        .select("*")
+        .or(
+          `and(status.eq.pending,next_attempt_at.lte.${now}),and(status.eq.sending,updated_at.lt.${stale})`
+        )
+        .order("next_attempt_at", { ascending: true })
+        .limit(limit);
+    },
+
+    // Newest first, optionally one status.
+    list({ status = null, limit }, propertyId = null) {
+      let query = forProperty(supabase.from(TABLES.webhookDeliveries).select("*"), propertyId);
+      if (status) query = query.eq("status", status);
+      return query.order("id", { ascending: false }).limit(limit);
+    },
+  };
+
+  const costs = {
+    insert(rows) {
+      return supabase.from(TABLES.costs).insert(rows);
+    },
+
+    // Every ledger row recorded in [fromIso, toIso), paged like listCreatedBetween.
+    async listBetween(fromIso, toIso, propertyId = null) {
+      const rows = [];
+      for (let offset = 0; ; offset += PAGE_SIZE) {
+        const { data, error } = await forProperty(supabase.from(TABLES.costs).select("*"), propertyId)
+          .gte("created_at", fromIso)
+          .lt("created_at", toIso)
+          .order("created_at", { ascending: true })
+          .order("id", { ascending: true })
+          .range(offset, offset + PAGE_SIZE - 1);
+        if (error) return { data: null, error };
+        rows.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) return { data: rows, error: null };
+      }
+    },
+
+    // Resolves to the number of rows deleted, or that would be.
+    async deleteBefore(beforeIso, { dryRun = false } = {}, propertyId = null) {
+      const table = supabase.from(TABLES.costs);
+      const query = dryRun
+        ? table.select("id", { count: "exact", head: true })
+        : table.delete({ count: "exact" });
+      const { count, error } = await forProperty(query, propertyId).lt("created_at", beforeIso);
+      return { data: error ? null : count ?? 0, error };
+    },
+  };
+
+  const stats = {
+    increment({ verified, cost }) {
+      return supabase.rpc("increment_demo_stats", { verified, cost });
+    },
+  };
+
+  const challenges = {
+    create(row) {
+      return supabase.from(TABLES.challenges).insert(row);
+    },
+
+    // Atomically marks the challenge used; resolves to null data when it does
+    // not exist, belongs to another session or was already used.
+    claim(challengeId, sessionToken) {
+      return supabase
+        .from(TABLES.challenges)
+        .update({ used_at: new Date().toISOString() })
+        .eq("challenge_id", challengeId)
+        .eq("session_token", sessionToken)
+        .is("used_at", null)
+        .select("*")
+        .maybeSingle();
+    },
+
+    deleteForSession(sessionToken) {
+      return supabase.from(TABLES.challenges).delete().eq("session_token", sessionToken);
+    },
+  };
+
+  const tm30Batches = {
+    create(row) {
+      return supabase.from(TABLES.tm30Batches).insert(row);
+    },
+  };
+
+  // Append-only; the table rejects updates and deletes.
+  const reviewAudit = {
+    append(row) {
+      return supabase.from(TABLES.reviewAudit).insert(row).select("*").single();
+    },
+
+    listForGuest(sessionToken, guestIndex) {
+      return supabase
+        .from(TABLES.reviewAudit)
+        .select("*")
+        .eq("session_token", sessionToken)
+        .eq("guest_index", guestIndex)
+        .order("created_at", { ascending: true });
+    },
+  };
+
+  return {
+    name: "supabase",
+    sessions,
+    guests,
+    bookings,
+    bookingVersions,
+    unparsedEmails,
+    webhookTokens,
+    inboundReceipts,
+    lookupFailures,
+    lookupBlocks,
+    webhookDeliveries,
+    costs,
+    stats,
+    challenges,
+    tm30Batches,
+    reviewAudit,
+  };
+}
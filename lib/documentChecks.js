@@ -0,0 +1,159 @@
+// Date normalization and validity rules for ID documents: expiry on arrival,
+// future issue dates and minimum check-in age.
+
+const DEFAULT_MIN_CHECKIN_AGE = 18;
+
+const MONTHS = {
+  jan: 1, janv: 1, ene: 1, gen: 1,
+  feb: 2, fev: 2, fév: 2, febr: 2,
+  mar: 3, mars: 3, mär: 3, mrz: 3,
+  apr: 4, avr: 4, abr: 4,
+  may: 5, mai: 5, mag: 5,
+  jun: 6, juin: 6,
+  jul: 7, juil: 7, lug: 7,
+  aug: 8, aou: 8, aoû: 8, ago: 8,
+  sep: 9, sept: 9, set: 9,
+  oct: 10, okt: 10, ott: 10,
+  nov: 11,
+  dec: 12, déc: 12, dic: 12, dez: 12,
+};
+
+export function getMinCheckinAge() {
+  const n = Number(process.env.MIN_CHECKIN_AGE);
+  return Number.isFinite(n) && n >= 0 ? n : DEFAULT_MIN_CHECKIN_AGE;
+}
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+function toIso(y, m, d) {
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) {
+    return null;
+  }
+  return `${y}-${pad2(m)}-${pad2(d)}`;
+}
+
+/**
+ * Resolve a two-digit year. Birth and issue dates cannot be in the future, so
+ * they take the latest century that keeps them in the past; expiry dates are
+ * assumed to be within 50 years of today.
+ */
+export function inferCentury(yy, kind = "birth", now = new Date()) {
+  const currentYear = now.getUTCFullYear();
+  const century = Math.floor(currentYear / 100) * 100;
+  let year = century + yy;
+
+  if (kind === "expiry") {
+    if (year > currentYear + 50) year -= 100;
+    if (year < currentYear - 50) year += 100;
+    return year;
+  }
+  return year > currentYear ? year - 100 : year;
+}
+
+function resolveYear(raw, kind, now) {
+  return raw.length === 2 ? inferCentury(Number(raw), kind, now) : Number(raw);
+}
+
+/**
+ * Normalize a document date to ISO 8601 (YYYY-MM-DD).
+ * Understands ISO timestamps, MRZ YYMMDD, D/M/Y with "/", "." or "-" and
+ * textual months ("12 JAN 2025", "12 JAN/JANV 25", "Jan 12, 2025").
+ * Returns null when the value cannot be read as a real calendar date.
+ */
+export function normalizeDocumentDate(value, kind = "birth", now = new Date()) {
+  if (value === undefined || value === null) return null;
+  const v = String(value).trim().toLowerCase();
+  if (!v) return null;
+
+  let m = v.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (m) return toIso(Number(m[1]), Number(m[2]), Number(m[3]));
+
+  m = v.match(/^(\d{2})(\d{2})(\d{2})$/);
+  if (m) return toIso(inferCentury(Number(m[1]), kind, now), Number(m[2]), Number(m[3]));
+
+  m = v.match(/^(\d{4})[/.](\d{1,2})[/.](\d{1,2})$/);
+  if (m) return toIso(Number(m[1]), Number(m[2]), Number(m[3]));
+
+  m = v.match(/^(\d{1,2})[/.\-\s](\d{1,2})[/.\-\s](\d{2}|\d{4})$/);
+  if (m) {
+    let day = Number(m[1]);
+    let month = Number(m[2]);
+    // Day-first unless that is impossible (US-style MM/DD/YYYY).
+    if (month > 12 && day <= 12) [day, month] = [month, day];
+    return toIso(resolveYear(m[3], kind, now), month, day);
+  }
+
+  const monthOf = (token) => MONTHS[token] ?? MONTHS[token.slice(0, 3)];
+
+  m = v.match(/^(\d{1,2})[\s.\-/]*([\p{L}]+)(?:\/[\p{L}]+)?[\s.\-/,]*(\d{2}|\d{4})$/u);
+  if (m && monthOf(m[2])) {
+    return toIso(resolveYear(m[3], kind, now), monthOf(m[2]), Number(m[1]));
+  }
+
+  m = v.match(/^([\p{L}]+)[\s.]+(\d{1,2}),?\s+(\d{2}|\d{4})$/u);
+  if (m && monthOf(m[1])) {
+    return toIso(resolveYear(m[3], kind, now), monthOf(m[1]), Number(m[2]));
+  }
+
+  return null;
+}
+
+function isoDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function ageOn(birthIso, onIso) {
+  const [by, bm, bd] = birthIso.split("-").map(Number);
+  const [y, m, d] = onIso.split("-").map(Number);
+  return y - by - (m < bm || (m === bm && d < bd) ? 1 : 0);
+}
+
+/**
+ * Evaluate document validity for a stay starting on `arrivalDate`, or today
+ * when that is earlier or unknown, so a past arrival never passes an expired
+ * document.
+ * Returns { status: "pass" | "flag" | "fail", reasons: [{ code, severity, message }] }.
+ * "fail" reasons block verification; "flag" reasons are for staff review.
+ */
+export function evaluateDocumentValidity(
+  { date_of_birth, date_of_issue, expiration_date } = {},
+  { arrivalDate = null, minAge = getMinCheckinAge(), now = new Date() } = {}
+) {
+  const today = isoDay(now);
+  const booked = normalizeDocumentDate(arrivalDate, "expiry", now);
+  const arrival = booked && booked > today ? booked : today;
+  const reasons = [];
+  const add = (code, severity, message) => reasons.push({ code, severity, message });
+
+  if (!expiration_date) {
+    add("expiry_unreadable", "flag", "Expiry date could not be read");
+  } else if (expiration_date < arrival) {
+    add("document_expired", "fail", `Document expired on ${expiration_date} (arrival ${arrival})`);
+  }
+
+  if (date_of_issue && date_of_issue > today) {
+    add("issue_date_in_future", "fail", `Issue date ${date_of_issue} is in the future`);
+  }
+  if (date_of_issue && expiration_date && date_of_issue >= expiration_date) {
+    add("issue_after_expiry", "flag", "Issue date is not before the expiry date");
+  }
+
+  if (!date_of_birth) {
+    add("birth_date_unreadable", "flag", "Date of birth could not be read");
+  } else if (date_of_birth > today) {
+    add("birth_date_in_future", "fail", `Date of birth ${date_of_birth} is in the future`);
+  } else if (ageOn(date_of_birth, arrival) < minAge) {
+    add("under_minimum_age", "fail", `Guest is under the minimum check-in age of ${minAge}`);
+  }
+
+  const status = reasons.some((r) => r.severity === "fail")
+    ? "fail"
+    : reasons.length > 0
+    ? "flag"
+    : "pass";
+
+  return { status, reasons, arrival_date: arrival, min_age: minAge };
+}
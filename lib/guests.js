@@ -0,0 +1,26 @@
+// Public shape of a per-guest verification record (see guests in lib/db).
+export function toGuestSummary(row) {
+  return {
+    guest_index: row.guest_index,
+    document_uploaded: Boolean(row.document_key),
+    selfie_uploaded: Boolean(row.selfie_key),
+    extracted_info: row.extracted_info ?? null,
+    face_match_score: row.face_match_score ?? null,
+    liveness_score: row.liveness_score ?? null,
+    verification_score: row.verification_score ?? null,
+    name_match_score: row.name_match_score ?? null,
+    name_match_verdict: row.name_match_verdict ?? null,
+    name_match: row.name_match ?? null,
+    tm30_info: row.tm30_info ?? {},
+    tm30_provenance: row.tm30_provenance ?? {},
+    tm30_status: row.tm30_status ?? "draft",
+    tm30_missing_fields: row.tm30_missing_fields ?? [],
+    document_checks: row.document_checks ?? null,
+    liveness: row.liveness ?? null,
+    attempts: row.attempts ?? 0,
+    verdict: row.verdict ?? "pending",
+    verdict_reasons: row.verdict_reasons ?? [],
+    review_status: row.review_status ?? null,
+    updated_at: row.updated_at ?? null,
+  };
+}
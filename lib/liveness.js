@@ -0,0 +1,156 @@
+import crypto from "crypto";
+
+// Challenge-response liveness: the server picks a random action per attempt and
+// checks it across the submitted frames using Rekognition DetectFaces output.
+
+export const CHALLENGE_TYPES = {
+  turn_left: "Slowly turn your head to the left, then back to the camera",
+  turn_right: "Slowly turn your head to the right, then back to the camera",
+  smile: "Start with a neutral face, then smile",
+  blink: "Look at the camera and blink",
+};
+
+export const MIN_FRAMES = 3;
+export const MAX_FRAMES = 8;
+
+const DEFAULT_TTL_SECONDS = 120;
+const MIN_FACE_CONFIDENCE = 90;
+const MIN_ATTRIBUTE_CONFIDENCE = 80;
+const TURN_YAW_DEGREES = 20;
+const FRONTAL_MAX_DEGREES = 15;
+// CompareFaces similarity every challenge frame must reach against the selfie.
+const SAME_FACE_MIN_SIMILARITY = 0.8;
+
+export function getChallengeTtlSeconds() {
+  const n = Number(process.env.LIVENESS_CHALLENGE_TTL_SECONDS);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_TTL_SECONDS;
+}
+
+export function createChallenge(now = new Date()) {
+  const types = Object.keys(CHALLENGE_TYPES);
+  const type = types[crypto.randomInt(types.length)];
+  return {
+    challenge_id: crypto.randomBytes(16).toString("base64url"),
+    type,
+    instructions: CHALLENGE_TYPES[type],
+    issued_at: now.toISOString(),
+    expires_at: new Date(now.getTime() + getChallengeTtlSeconds() * 1000).toISOString(),
+  };
+}
+
+function attr(face, name) {
+  const a = face?.[name];
+  if (!a || (a.Confidence ?? 0) < MIN_ATTRIBUTE_CONFIDENCE) return null;
+  return Boolean(a.Value);
+}
+
+function isFrontal(face) {
+  return (
+    Math.abs(face?.Pose?.Yaw ?? 90) <= FRONTAL_MAX_DEGREES &&
+    Math.abs(face?.Pose?.Pitch ?? 90) <= FRONTAL_MAX_DEGREES &&
+    attr(face, "EyesOpen") !== false
+  );
+}
+
+function clamp01(n) {
+  return Math.min(Math.max(n, 0), 1);
+}
+
+// Returns { performed, strength } for the requested action.
+function checkAction(type, faces) {
+  if (type === "turn_left" || type === "turn_right") {
+    // Yaw as reported by Rekognition for the unmirrored frames; the action
+    // must move away from the starting pose by at least TURN_YAW_DEGREES.
+    const start = faces[0].Pose?.Yaw ?? 0;
+    const deltas = faces.slice(1).map((f) => (f.Pose?.Yaw ?? 0) - start);
+    const best = type === "turn_left" ? -Math.min(...deltas) : Math.max(...deltas);
+    return { performed: best >= TURN_YAW_DEGREES, strength: clamp01(best / (TURN_YAW_DEGREES * 2)) };
+  }
+
+  if (type === "smile") {
+    const neutral = faces.some((f) => attr(f, "Smile") === false);
+    const smiles = faces.filter((f) => attr(f, "Smile") === true);
+    const strength = Math.max(0, ...smiles.map((f) => f.Smile.Confidence / 100));
+    return { performed: neutral && smiles.length > 0, strength };
+  }
+
+  if (type === "blink") {
+    const open = faces.some((f) => attr(f, "EyesOpen") === true);
+    const closed = faces.filter((f) => attr(f, "EyesOpen") === false);
+    const strength = Math.max(0, ...closed.map((f) => f.EyesOpen.Confidence / 100));
+    return { performed: open && closed.length > 0, strength };
+  }
+
+  return { performed: false, strength: 0 };
+}
+
+/**
+ * Evaluate a challenge against DetectFaces results, one entry per frame
+ * (the FaceDetails array of that frame).
+ * Returns { passed, score, reasons, best_frame_index }; `best_frame_index`
+ * is the sharpest frontal frame, used as the selfie for face comparison.
+ */
+export function evaluateChallenge(type, frameFaces = []) {
+  const reasons = [];
+
+  if (!CHALLENGE_TYPES[type]) reasons.push("unknown_challenge");
+  if (frameFaces.length < MIN_FRAMES) reasons.push("too_few_frames");
+
+  frameFaces.forEach((faces, i) => {
+    const count = (faces || []).length;
+    if (count === 0) reasons.push(`no_face_frame_${i}`);
+    else if (count > 1) reasons.push(`multiple_faces_frame_${i}`);
+    else if ((faces[0].Confidence ?? 0) < MIN_FACE_CONFIDENCE) reasons.push(`low_confidence_frame_${i}`);
+  });
+
+  const faces = frameFaces.map((f) => f?.[0]).filter(Boolean);
+
+  let bestFrameIndex = null;
+  let bestQuality = -1;
+  frameFaces.forEach((f, i) => {
+    const face = f?.length === 1 ? f[0] : null;
+    if (!face || !isFrontal(face)) return;
+    const quality = (face.Quality?.Sharpness ?? 0) + (face.Quality?.Brightness ?? 0);
+    if (quality > bestQuality) {
+      bestQuality = quality;
+      bestFrameIndex = i;
+    }
+  });
+  if (bestFrameIndex === null) reasons.push("no_frontal_frame");
+
+  if (reasons.length > 0) {
+    return { passed: false, score: 0, reasons, best_frame_index: bestFrameIndex };
+  }
+
+  const action = checkAction(type, faces);
+  if (!action.performed) reasons.push("challenge_not_performed");
+
+  const avgConfidence = faces.reduce((sum, f) => sum + (f.Confidence ?? 0), 0) / faces.length / 100;
+  const score = (action.performed ? 0.6 : 0) + 0.2 * action.strength + 0.2 * avgConfidence;
+
+  return {
+    passed: action.performed,
+    score: Math.round(score * 1000) / 1000,
+    reasons,
+    best_frame_index: bestFrameIndex,
+  };
+}
+
+/**
+ * Compare every other challenge frame with the selfie frame, so the face
+ * that performed the challenge is the one matched against the document.
+ * Returns { passed, reasons, min_similarity }.
+ */
+export async function checkSameFace(provider, frameBuffers, selfieIndex) {
+  const reasons = [];
+  let minSimilarity = 1;
+
+  for (let i = 0; i < frameBuffers.length; i++) {
+    if (i === selfieIndex) continue;
+    const { similarity } = await provider.compareFaces(frameBuffers[i], frameBuffers[selfieIndex]);
+    minSimilarity = Math.min(minSimilarity, similarity);
+    if (similarity < SAME_FACE_MIN_SIMILARITY) reasons.push(`face_changed_frame_${i}`);
+  }
+
+  return { passed: reasons.length === 0, reasons, min_similarity: minSimilarity };
+}
@@ -0,0 +1,173 @@
+import { ConfigError } from "./config";
+
+/*
+ * Brute-force protection for the reservation lookup in update_guest.
+ *
+ * Failed lookups are recorded in the repository (so every serverless
+ * instance sees them) under one key per session token, client IP and
+ * normalized reservation number. Within LOOKUP_WINDOW_SECONDS (default 900):
+ *
+ *   - after the second failure on a key, the next lookup must wait 2s, then
+ *     4s, 8s ... up to 60s after the latest failure;
+ *   - reaching the key's failure limit locks it for LOOKUP_LOCKOUT_SECONDS
+ *     (default 900).
+ *
+ * LOOKUP_MAX_FAILURES overrides the limits, e.g. "session:5,ip:20,reservation:10".
+ * Every attempt is recorded before the lookup runs and removed again only
+ * when it finds the reservation. Successful lookups do not reset anything
+ * else, so a known reservation cannot be used to clear the counters between
+ * guesses.
+ */
+
+export const LIMIT_SCOPES = ["session", "ip", "reservation"];
+
+const DEFAULT_MAX_FAILURES = { session: 5, ip: 20, reservation: 10 };
+const DEFAULT_WINDOW_SECONDS = 900;
+const DEFAULT_LOCKOUT_SECONDS = 900;
+const MAX_DELAY_SECONDS = 60;
+
+function positiveSeconds(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+export function getLookupLimits(env = process.env) {
+  const maxFailures = { ...DEFAULT_MAX_FAILURES };
+  for (const entry of String(env.LOOKUP_MAX_FAILURES || "").split(",")) {
+    if (!entry.trim()) continue;
+    const [scope, value] = entry.split(":").map((s) => s.trim());
+    const n = Number(value);
+    if (!LIMIT_SCOPES.includes(scope) || !Number.isInteger(n) || n < 1) {
+      throw new ConfigError("LOOKUP_MAX_FAILURES entries must be scope:count", ["LOOKUP_MAX_FAILURES"]);
+    }
+    maxFailures[scope] = n;
+  }
+
+  return {
+    windowSeconds: positiveSeconds(env.LOOKUP_WINDOW_SECONDS, DEFAULT_WINDOW_SECONDS),
+    lockoutSeconds: positiveSeconds(env.LOOKUP_LOCKOUT_SECONDS, DEFAULT_LOCKOUT_SECONDS),
+    maxFailures,
+  };
+}
+
+// X-Forwarded-For is whatever the client sent first, so it is never used.
+// On Vercel (VERCEL is set) the edge network writes X-Real-IP itself and
+// overwrites any client value; elsewhere the socket peer is the client.
+export function clientIp(req, env = process.env) {
+  if (env.VERCEL) {
+    const platformIp = String(req.headers["x-real-ip"] || "").trim();
+    if (platformIp) return platformIp;
+  }
+  return req.socket?.remoteAddress || null;
+}
+
+/** Limiter keys for one lookup; the reservation key is per property. */
+export function lookupKeys({ propertyId, sessionToken, ip, reservationNorm }) {
+  return [
+    sessionToken && { scope: "session", key: `session:${sessionToken}` },
+    ip && { scope: "ip", key: `ip:${ip}` },
+    reservationNorm && { scope: "reservation", key: `reservation:${propertyId}:${reservationNorm}` },
+  ].filter(Boolean);
+}
+
+/** Seconds to wait after the latest of `failures` recent failures. */
+export function delayAfter(failures) {
+  return failures < 2 ? 0 : Math.min(2 ** (failures - 1), MAX_DELAY_SECONDS);
+}
+
+// End of the latest lockout for one key, from its failure times (ms, ascending).
+function lockedUntil(times, maxFailures, limits) {
+  const windowMs = limits.windowSeconds * 1000;
+
+  // Locked from any failure that brought the window up to the limit.
+  let until = 0;
+  for (let i = maxFailures - 1; i < times.length; i += 1) {
+    if (times[i] - times[i - maxFailures + 1] < windowMs) {
+      until = Math.max(until, times[i] + limits.lockoutSeconds * 1000);
+    }
+  }
+  return until;
+}
+
+// The most restrictive block among `keys` given their earlier attempts, or null.
+function blockFor(rows, keys, now, limits) {
+  let blocked = null;
+  for (const { scope, key } of keys) {
+    const times = rows
+      .filter((r) => r.limit_key === key)
+      .map((r) => new Date(r.created_at).getTime())
+      .sort((a, b) => a - b);
+    if (times.length === 0) continue;
+
+    const locked = lockedUntil(times, limits.maxFailures[scope], limits);
+    const recent = times.filter((t) => t > now.getTime() - limits.windowSeconds * 1000);
+    const delayedUntil = recent.length ? recent[recent.length - 1] + delayAfter(recent.length) * 1000 : 0;
+
+    const until = Math.max(locked, delayedUntil);
+    if (until <= now.getTime() || (blocked && until <= blocked.until)) continue;
+    blocked = {
+      until,
+      scope,
+      reason: locked >= delayedUntil ? "lockout" : "delay",
+      failures: recent.length,
+    };
+  }
+  return blocked;
+}
+
+/**
+ * Claims one lookup attempt. The attempt is recorded against every key
+ * before anything is counted, so parallel requests see each other and a
+ * burst cannot slip past the limits between a check and a later write.
+ *
+ * Resolves to { data: { allowed: true, attemptIds } } or { data: { allowed:
+ * false, scope, reason: "delay" | "lockout", failures, retry_after_seconds } }
+ * for the most restrictive key. An allowed attempt stays recorded as a failure
+ * unless the caller releases it with releaseLookup once the lookup succeeds;
+ * a refused one is removed again.
+ */
+export async function claimLookup(
+  repo,
+  keys,
+  { propertyId = null, now = new Date(), limits = getLookupLimits() } = {}
+) {
+  const { data: recorded, error: recordError } = await repo.lookupFailures.record(
+    keys.map((k) => ({ limit_key: k.key, property_id: propertyId }))
+  );
+  if (recordError) return { data: null, error: recordError };
+  const attemptIds = (recorded || []).map((r) => r.id);
+
+  const lookbackMs = (limits.windowSeconds + limits.lockoutSeconds) * 1000;
+  const since = new Date(now.getTime() - lookbackMs).toISOString();
+  const { data: rows, error } = await repo.lookupFailures.listSince(
+    keys.map((k) => k.key),
+    since
+  );
+  if (error) {
+    await repo.lookupFailures.release(attemptIds);
+    return { data: null, error };
+  }
+
+  // Every attempt but this one, including others still in flight.
+  const others = (rows || []).filter((r) => !attemptIds.includes(r.id));
+  const blocked = blockFor(others, keys, now, limits);
+  if (!blocked) return { data: { allowed: true, attemptIds }, error: null };
+
+  const { error: releaseError } = await repo.lookupFailures.release(attemptIds);
+  if (releaseError) console.warn("Refused lookup attempt not released:", releaseError.message);
+  return {
+    data: {
+      allowed: false,
+      scope: blocked.scope,
+      reason: blocked.reason,
+      failures: blocked.failures,
+      retry_after_seconds: Math.ceil((blocked.until - now.getTime()) / 1000),
+    },
+    error: null,
+  };
+}
+
+/** Forgets a claimed attempt whose lookup found the reservation. */
+export function releaseLookup(repo, attemptIds) {
+  return repo.lookupFailures.release(attemptIds);
+}
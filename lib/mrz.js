@@ -0,0 +1,190 @@
+// ICAO 9303 machine readable zone parsing for TD1 (ID cards, 3x30),
+// TD2 (2x36) and TD3 (passports, 2x44).
+
+const FORMATS = {
+  TD1: { lines: 3, length: 30 },
+  TD2: { lines: 2, length: 36 },
+  TD3: { lines: 2, length: 44 },
+};
+
+const CHECK_WEIGHTS = [7, 3, 1];
+
+function charValue(ch) {
+  if (ch >= "0" && ch <= "9") return ch.charCodeAt(0) - 48;
+  if (ch >= "A" && ch <= "Z") return ch.charCodeAt(0) - 55;
+  return 0; // "<" filler (and anything unreadable)
+}
+
+export function computeCheckDigit(value) {
+  let sum = 0;
+  for (let i = 0; i < value.length; i++) {
+    sum += charValue(value[i]) * CHECK_WEIGHTS[i % 3];
+  }
+  return sum % 10;
+}
+
+// A filler "<" in a check position is only valid when the checked field is empty.
+function checkDigitMatches(value, checkChar) {
+  if (checkChar === "<") return value.replace(/</g, "") === "";
+  if (!/^[0-9]$/.test(checkChar)) return false;
+  return computeCheckDigit(value) === Number(checkChar);
+}
+
+function field(s) {
+  return s.replace(/</g, " ").trim().replace(/\s+/g, " ") || null;
+}
+
+function parseName(s) {
+  const [surname = "", ...rest] = s.split("<<");
+  return {
+    surname: field(surname),
+    given_names: field(rest.join("<")),
+  };
+}
+
+function parseSex(ch) {
+  if (ch === "M" || ch === "F" || ch === "X") return ch;
+  return null;
+}
+
+function splitLines(mrz) {
+  const text = String(mrz || "").toUpperCase().replace(/\r/g, "\n");
+
+  const lines = text
+    .split("\n")
+    .map((l) => l.replace(/\s+/g, ""))
+    .filter(Boolean);
+
+  if (lines.length >= 2) return lines;
+
+  // Single blob: infer layout from total length.
+  const blob = lines[0] || "";
+  for (const { lines: count, length } of Object.values(FORMATS)) {
+    if (blob.length === count * length) {
+      return Array.from({ length: count }, (_, i) => blob.slice(i * length, (i + 1) * length));
+    }
+  }
+  return [];
+}
+
+export function detectMrzFormat(lines) {
+  if (!Array.isArray(lines) || lines.length < 2) return null;
+  if (lines.length >= 3) return "TD1";
+
+  const longest = Math.max(lines[0].length, lines[1].length);
+  if (longest > 40) return "TD3";
+  if (longest > 32) return "TD2";
+  return null;
+}
+
+function collectChecks(checks) {
+  const failed = Object.entries(checks)
+    .filter(([, ok]) => ok === false)
+    .map(([name]) => name);
+  return { checks, failed_checks: failed, check_digits_valid: failed.length === 0 };
+}
+
+function parseTD1(lines) {
+  const [l1, l2, l3] = lines.map((l) => l.padEnd(30, "<").slice(0, 30));
+
+  // Document numbers longer than 9 characters overflow into the optional data,
+  // with "<" in the regular check position (ICAO 9303-5 §4.2.4).
+  let docNumberRaw = l1.slice(5, 14);
+  let docCheckChar = l1[14];
+  let optional1 = l1.slice(15, 30);
+  if (docCheckChar === "<" && optional1[0] !== "<") {
+    const overflow = optional1.split("<")[0];
+    docNumberRaw += overflow.slice(0, -1);
+    docCheckChar = overflow.slice(-1);
+    optional1 = optional1.slice(overflow.length);
+  }
+
+  const checks = {
+    document_number: checkDigitMatches(docNumberRaw, docCheckChar),
+    date_of_birth: checkDigitMatches(l2.slice(0, 6), l2[6]),
+    expiration_date: checkDigitMatches(l2.slice(8, 14), l2[14]),
+    composite: checkDigitMatches(
+      l1.slice(5, 30) + l2.slice(0, 7) + l2.slice(8, 15) + l2.slice(18, 29),
+      l2[29]
+    ),
+  };
+
+  return {
+    format: "TD1",
+    document_code: field(l1.slice(0, 2)),
+    issuing_country: field(l1.slice(2, 5)),
+    document_number: field(docNumberRaw),
+    optional_data: field(optional1),
+    dob_yymmdd: field(l2.slice(0, 6)),
+    sex: parseSex(l2[7]),
+    exp_yymmdd: field(l2.slice(8, 14)),
+    nationality: field(l2.slice(15, 18)),
+    optional_data_2: field(l2.slice(18, 29)),
+    ...parseName(l3),
+    ...collectChecks(checks),
+  };
+}
+
+// TD2 and TD3 share the same layout; only the field widths at the end differ.
+function parseTwoLine(lines, format) {
+  const { length } = FORMATS[format];
+  const [l1, l2] = lines.map((l) => l.padEnd(length, "<").slice(0, length));
+  const isVisa = l1[0] === "V"; // MRV-A/B carry no composite check digit
+
+  const optionalEnd = format === "TD3" ? 42 : 35;
+
+  const checks = {
+    document_number: checkDigitMatches(l2.slice(0, 9), l2[9]),
+    date_of_birth: checkDigitMatches(l2.slice(13, 19), l2[19]),
+    expiration_date: checkDigitMatches(l2.slice(21, 27), l2[27]),
+  };
+
+  if (format === "TD3" && !isVisa) {
+    checks.personal_number = checkDigitMatches(l2.slice(28, 42), l2[42]);
+  }
+  if (!isVisa) {
+    checks.composite = checkDigitMatches(
+      l2.slice(0, 10) + l2.slice(13, 20) + l2.slice(21, length - 1),
+      l2[length - 1]
+    );
+  }
+
+  const optional = field(l2.slice(28, isVisa ? length : optionalEnd));
+
+  return {
+    format,
+    document_code: field(l1.slice(0, 2)),
+    issuing_country: field(l1.slice(2, 5)),
+    document_number: field(l2.slice(0, 9)),
+    nationality: field(l2.slice(10, 13)),
+    dob_yymmdd: field(l2.slice(13, 19)),
+    sex: parseSex(l2[20]),
+    exp_yymmdd: field(l2.slice(21, 27)),
+    ...(format === "TD3" ? { personal_number: optional } : { optional_data: optional }),
+    ...parseName(l1.slice(5)),
+    ...collectChecks(checks),
+  };
+}
+
+/**
+ * Parse an MRZ string (newline separated or concatenated) into fields.
+ * Returns null when the text cannot be recognised as TD1/TD2/TD3.
+ * Every ICAO check digit is validated; failures are listed in `failed_checks`.
+ */
+export function parseMrz(mrz) {
+  try {
+    const lines = splitLines(mrz);
+    const format = detectMrzFormat(lines);
+    if (!format) return null;
+
+    const parsed = format === "TD1" ? parseTD1(lines) : parseTwoLine(lines, format);
+
+    return {
+      ...parsed,
+      passport_number: parsed.document_number, // kept for older clients
+      lines: lines.slice(0, FORMATS[format].lines),
+    };
+  } catch {
+    return null;
+  }
+}
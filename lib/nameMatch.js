@@ -0,0 +1,165 @@
+// Compares the reservation guest name with the name read from an ID document.
+// Tolerates swapped given/family order, missing middle names, diacritics,
+// MRZ "<" separators and common transliterations.
+
+import { normalizeGuestName } from "./names";
+
+export const NAME_MATCH_THRESHOLD = 0.85;
+export const NAME_PARTIAL_THRESHOLD = 0.6;
+
+/**
+ * Fold a name to lowercase ASCII tokens (see normalizeGuestName).
+ * "<" (MRZ filler), hyphens and punctuation all act as separators.
+ */
+export function nameTokens(name) {
+  const folded = normalizeGuestName(name);
+  return folded ? folded.split(" ").map(canonicalToken) : [];
+}
+
+// German/Nordic umlauts are written "ue"/"oe"/"ae" in the MRZ but "u"/"o"/"a"
+// once accents are stripped elsewhere, so both spellings collapse to one form.
+function canonicalToken(token) {
+  return token.replace(/([aou])e/g, "$1").replace(/(.)\1+/g, "$1");
+}
+
+function editDistance(a, b) {
+  if (a === b) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(
+        prev[j] + 1,
+        cur[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  // Initials: "j" vs "jane"
+  if ((a.length === 1 || b.length === 1) && a[0] === b[0]) return 0.8;
+
+  const longest = Math.max(a.length, b.length);
+  const allowed = longest >= 8 ? 2 : longest >= 4 ? 1 : 0;
+  const distance = editDistance(a, b);
+  if (distance > allowed) return 0;
+  return 1 - distance / longest;
+}
+
+// Greedy best-pair assignment; name token counts are tiny.
+function matchTokens(left, right) {
+  const pairs = [];
+  left.forEach((a, i) =>
+    right.forEach((b, j) => {
+      const score = tokenSimilarity(a, b);
+      if (score > 0) pairs.push({ i, j, score });
+    })
+  );
+  pairs.sort((x, y) => y.score - x.score);
+
+  const usedLeft = new Set();
+  const usedRight = new Set();
+  const matched = [];
+  for (const p of pairs) {
+    if (usedLeft.has(p.i) || usedRight.has(p.j)) continue;
+    usedLeft.add(p.i);
+    usedRight.add(p.j);
+    matched.push({ reservation: left[p.i], document: right[p.j], score: p.score });
+  }
+
+  return {
+    matched,
+    unmatchedLeft: left.filter((_, i) => !usedLeft.has(i)),
+    unmatchedRight: right.filter((_, j) => !usedRight.has(j)),
+  };
+}
+
+function round(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+/**
+ * Compare a reservation name against the extracted document name.
+ * `documentName` may be a string or { full_name, first_name, middle_name, last_name }.
+ * Returns { score, verdict, ... } where verdict is match | partial | mismatch | unavailable.
+ */
+export function compareNames(reservationName, documentName) {
+  const doc =
+    typeof documentName === "string" ? { full_name: documentName } : documentName || {};
+
+  const docFull =
+    doc.full_name || [doc.first_name, doc.middle_name, doc.last_name].filter(Boolean).join(" ");
+
+  const reservationTokens = nameTokens(reservationName);
+  const documentTokens = nameTokens(docFull);
+  const surnameTokens = nameTokens(doc.last_name);
+
+  const base = {
+    reservation_name: reservationName || null,
+    document_name: docFull || null,
+  };
+
+  if (reservationTokens.length === 0 || documentTokens.length === 0) {
+    return { ...base, score: null, verdict: "unavailable", matched_tokens: [] };
+  }
+
+  // "MaryAnn Lee" vs "Mary Ann Lee": compare with all separators removed,
+  // in written order and with the family name moved to the other end.
+  const compactForms = (tokens) => [
+    tokens.join(""),
+    [...tokens.slice(1), tokens[0]].join(""),
+    [tokens[tokens.length - 1], ...tokens.slice(0, -1)].join(""),
+  ];
+  const documentCompact = compactForms(documentTokens);
+  if (compactForms(reservationTokens).some((f) => documentCompact.includes(f))) {
+    return {
+      ...base,
+      score: 1,
+      verdict: "match",
+      matched_tokens: reservationTokens,
+      unmatched_reservation_tokens: [],
+      unmatched_document_tokens: [],
+    };
+  }
+
+  const { matched, unmatchedLeft, unmatchedRight } = matchTokens(
+    reservationTokens,
+    documentTokens
+  );
+
+  const matchedWeight = matched.reduce((sum, m) => sum + m.score, 0);
+  const smaller = Math.min(reservationTokens.length, documentTokens.length);
+
+  // Coverage of the shorter name forgives a missing middle name; the Dice
+  // term keeps "Jane" from fully matching "Jane Mary Doe".
+  const coverage = matchedWeight / smaller;
+  const dice = (2 * matchedWeight) / (reservationTokens.length + documentTokens.length);
+  let score = 0.75 * coverage + 0.25 * dice;
+
+  const surnameMatched =
+    surnameTokens.length === 0 ||
+    surnameTokens.some((s) => matched.some((m) => m.document === s));
+  if (!surnameMatched) score = Math.min(score, NAME_MATCH_THRESHOLD - 0.01);
+
+  const verdict =
+    score >= NAME_MATCH_THRESHOLD
+      ? "match"
+      : score >= NAME_PARTIAL_THRESHOLD
+      ? "partial"
+      : "mismatch";
+
+  return {
+    ...base,
+    score: round(score),
+    verdict,
+    surname_matched: surnameMatched,
+    matched_tokens: matched.map((m) => m.document),
+    unmatched_reservation_tokens: unmatchedLeft,
+    unmatched_document_tokens: unmatchedRight,
+  };
+}
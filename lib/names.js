@@ -0,0 +1,47 @@
+// Normalization shared by everything that compares guest names or
+// reservation numbers: inbound booking emails store these forms and the
+// check-in lookup and document name check compare against them.
+
+const SPECIAL_LETTERS = {
+  ß: "ss",
+  æ: "ae",
+  œ: "oe",
+  ø: "o",
+  đ: "d",
+  ð: "d",
+  ł: "l",
+  þ: "th",
+  ı: "i",
+};
+
+// ICAO 9303 Part 3 transliteration for Cyrillic.
+const CYRILLIC = {
+  а: "a", б: "b", в: "v", г: "g", д: "d", е: "e", ё: "e", ж: "zh", з: "z",
+  и: "i", й: "i", к: "k", л: "l", м: "m", н: "n", о: "o", п: "p", р: "r",
+  с: "s", т: "t", у: "u", ф: "f", х: "kh", ц: "ts", ч: "ch", ш: "sh",
+  щ: "shch", ъ: "ie", ы: "y", ь: "", э: "e", ю: "iu", я: "ia", і: "i",
+  ї: "i", є: "ie", ґ: "g",
+};
+
+/**
+ * Lowercase ASCII words separated by single spaces: "José O'Brien-Núñez"
+ * becomes "jose o brien nunez". Diacritics are dropped, Cyrillic is
+ * transliterated, and "<" (MRZ filler), hyphens and punctuation separate words.
+ */
+export function normalizeGuestName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[Ѐ-ӿ]/g, (ch) => CYRILLIC[ch] ?? ch)
+    .replace(/[ßæœøđðłþı]/g, (ch) => SPECIAL_LETTERS[ch])
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/** Uppercase letters and digits only: "sm-4821 3390" becomes "SM48213390". */
+export function normalizeReservationNumber(value) {
+  return String(value || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+}
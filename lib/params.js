@@ -0,0 +1,22 @@
+// Query parameter helpers shared by the admin API routes.
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// A real calendar day as YYYY-MM-DD; Date.parse alone accepts "2026-02-30".
+export function isDay(value) {
+  if (!DATE_RE.test(String(value))) return false;
+  const d = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === value;
+}
+
+export function addDays(day, n) {
+  const d = new Date(`${day}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+// Integer within [min, max]; anything that is not a number gives min.
+export function clampInt(n, min, max) {
+  const x = Number.isFinite(Number(n)) ? Math.trunc(Number(n)) : min;
+  return Math.min(Math.max(x, min), max);
+}
@@ -0,0 +1,59 @@
+import { safeEqual } from "./adminAuth";
+import { ConfigError } from "./config";
+
+/*
+ * Hotel properties (tenants).
+ *
+ * PROPERTIES is a comma-separated list of `id:inbound_address:api_key`
+ * entries. The API key lets that property start verification sessions
+ * (sent as `X-Property-Key`), and booking emails are attributed to the
+ * property whose inbound address they were sent to. Every session, booking
+ * and guest record carries the property_id it belongs to.
+ */
+
+const ID_RE = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+// "Front Desk <desk@in.example.com>" -> "desk@in.example.com"
+export function normalizeAddress(value) {
+  const s = String(value || "").trim();
+  const bracketed = s.match(/<([^>]+)>/);
+  return (bracketed ? bracketed[1] : s).trim().toLowerCase();
+}
+
+/** Configured properties as [{ id, inbound_address, api_key }]; throws ConfigError when unset. */
+export function loadProperties(env = process.env) {
+  const entries = String(env.PROPERTIES || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  if (entries.length === 0) throw new ConfigError("missing PROPERTIES", ["PROPERTIES"]);
+
+  const properties = entries.map((entry) => {
+    const [id, address, ...rest] = entry.split(":");
+    return { id, inbound_address: normalizeAddress(address), api_key: rest.join(":") };
+  });
+
+  const invalid = properties.filter((p) => !ID_RE.test(p.id) || !p.inbound_address || !p.api_key);
+  if (invalid.length > 0) {
+    throw new ConfigError("PROPERTIES entries must be id:inbound_address:api_key", ["PROPERTIES"]);
+  }
+  if (new Set(properties.map((p) => p.id)).size !== properties.length) {
+    throw new ConfigError("PROPERTIES contains duplicate ids", ["PROPERTIES"]);
+  }
+  return properties;
+}
+
+/** Returns { id } for a property API key, or null. */
+export function authenticateProperty(provided) {
+  const properties = loadProperties();
+  if (!provided) return null;
+  const match = properties.find((p) => safeEqual(provided, p.api_key));
+  return match ? { id: match.id } : null;
+}
+
+/** Returns { id } for the property that owns an inbound address, or null. */
+export function propertyForRecipient(recipient) {
+  const address = normalizeAddress(recipient);
+  const match = loadProperties().find((p) => p.inbound_address === address);
+  return match ? { id: match.id } : null;
+}
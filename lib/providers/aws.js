@@ -0,0 +1,182 @@
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command,
+} from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import {
+  RekognitionClient,
+  CompareFacesCommand,
+  DetectFacesCommand,
+} from "@aws-sdk/client-rekognition";
+import { TextractClient, AnalyzeIDCommand } from "@aws-sdk/client-textract";
+
+// DeleteObjects accepts at most this many keys per request.
+const MAX_DELETE_KEYS = 1000;
+
+async function streamToBuffer(readable) {
+  const chunks = [];
+  for await (const chunk of readable) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+export function createAwsProvider({ region, bucket }) {
+  const clients = {
+    s3: new S3Client({ region }),
+    rekognition: new RekognitionClient({ region }),
+    textract: new TextractClient({ region }),
+  };
+  return buildProvider(clients, bucket, null);
+}
+
+// `listener` receives { operation, ok, attempts, error } after every billable
+// request, including the SDK's own retries (reported as attempts).
+function buildProvider(clients, bucket, listener) {
+  const { s3, rekognition, textract } = clients;
+
+  async function send(operation, client, command) {
+    try {
+      const res = await client.send(command);
+      listener?.({ operation, ok: true, attempts: res?.$metadata?.attempts ?? 1 });
+      return res;
+    } catch (e) {
+      listener?.({
+        operation,
+        ok: false,
+        attempts: e?.$metadata?.attempts ?? 1,
+        error: e?.name || e?.message || String(e),
+      });
+      throw e;
+    }
+  }
+
+  return {
+    name: "aws",
+
+    metered(onCall) {
+      return buildProvider(clients, bucket, onCall);
+    },
+
+    async detectFaces(image) {
+      const res = await send(
+        "rekognition.detect_faces",
+        rekognition,
+        new DetectFacesCommand({
+          Image: { Bytes: image },
+          Attributes: ["ALL"],
+        })
+      );
+      return res.FaceDetails || [];
+    },
+
+    async compareFaces(source, target) {
+      const res = await send(
+        "rekognition.compare_faces",
+        rekognition,
+        new CompareFacesCommand({
+          SourceImage: { Bytes: source },
+          TargetImage: { Bytes: target },
+          SimilarityThreshold: 80,
+        })
+      );
+      return { similarity: (res.FaceMatches?.[0]?.Similarity || 0) / 100 };
+    },
+
+    async analyzeId(image) {
+      const res = await send(
+        "textract.analyze_id",
+        textract,
+        new AnalyzeIDCommand({
+          DocumentPages: [{ Bytes: image }],
+        })
+      );
+      return res?.IdentityDocuments?.[0]?.IdentityDocumentFields || [];
+    },
+
+    storage: {
+      url(key) {
+        return `s3://${bucket}/${key}`;
+      },
+
+      keyFromUrl(url) {
+        return String(url || "").split(`${bucket}/`)[1] || null;
+      },
+
+      async put(key, body, contentType = "application/octet-stream") {
+        await send(
+          "s3.put_object",
+          s3,
+          new PutObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            Body: body,
+            ContentType: contentType,
+          })
+        );
+      },
+
+      async get(key) {
+        const obj = await send("s3.get_object", s3, new GetObjectCommand({ Bucket: bucket, Key: key }));
+        if (!obj.Body) throw new Error(`Empty object body: ${key}`);
+        return streamToBuffer(obj.Body);
+      },
+
+      async delete(key) {
+        await send("s3.delete_object", s3, new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+      },
+
+      // Resolves to { deleted: [key], errors: [{ key, message }] }; a failed
+      // request marks every key in it as failed.
+      async deleteMany(keys) {
+        const result = { deleted: [], errors: [] };
+        for (let i = 0; i < keys.length; i += MAX_DELETE_KEYS) {
+          const batch = keys.slice(i, i + MAX_DELETE_KEYS);
+          try {
+            const res = await send(
+              "s3.delete_objects",
+              s3,
+              new DeleteObjectsCommand({
+                Bucket: bucket,
+                Delete: { Objects: batch.map((Key) => ({ Key })), Quiet: true },
+              })
+            );
+            const failed = new Map((res.Errors || []).map((e) => [e.Key, e.Message || e.Code]));
+            for (const key of batch) {
+              if (failed.has(key)) result.errors.push({ key, message: failed.get(key) });
+              else result.deleted.push(key);
+            }
+          } catch (e) {
+            result.errors.push(...batch.map((key) => ({ key, message: e?.message || String(e) })));
+          }
+        }
+        return result;
+      },
+
+      presign(key, expiresIn) {
+        return getSignedUrl(s3, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn });
+      },
+
+      async list(prefix) {
+        const objects = [];
+        let ContinuationToken;
+        do {
+          const page = await send(
+            "s3.list_objects",
+            s3,
+            new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken })
+          );
+          for (const o of page.Contents || []) {
+            objects.push({ key: o.Key, size: o.Size, last_modified: o.LastModified });
+          }
+          ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (ContinuationToken);
+        return objects;
+      },
+    },
+  };
+}
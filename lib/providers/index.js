@@ -0,0 +1,37 @@
+import { getConfig } from "../config";
+import { createAwsProvider } from "./aws";
+import { createMockProvider } from "./mock";
+
+/**
+ * Verification provider interface:
+ *
+ *   name                              "aws" | "mock"
+ *   detectFaces(image)                Rekognition-shaped FaceDetails[]
+ *   compareFaces(source, target)      { similarity } in 0..1
+ *   analyzeId(image)                  Textract-shaped IdentityDocumentFields[]
+ *   storage.put(key, body, type)
+ *   storage.get(key)                  Buffer; throws when the object is missing
+ *   storage.delete(key)
+ *   storage.deleteMany(keys)          { deleted: [key], errors: [{ key, message }] },
+ *                                     batched 1000 keys per request
+ *   storage.presign(key, seconds)     short-lived read URL
+ *   storage.list(prefix)              [{ key, size, last_modified }]
+ *   storage.url(key) / storage.keyFromUrl(url)
+ *   metered(onCall)                   same provider, reporting every billable
+ *                                     call as { operation, ok, attempts, error }
+ *
+ * Selected with VERIFICATION_PROVIDER (default "aws"); see lib/config.js.
+ */
+
+let provider = null;
+
+export function getVerificationProvider() {
+  if (provider) return provider;
+
+  const config = getConfig();
+  provider =
+    config.verificationProvider === "mock"
+      ? createMockProvider(config.mock)
+      : createAwsProvider(config.aws);
+  return provider;
+}
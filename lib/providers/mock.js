@@ -0,0 +1,221 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+/*
+ * Deterministic offline provider for local development and CI.
+ *
+ * Images can steer the result in two ways:
+ *  - by content hash: fixtures/mock-provider/{ocr,faces}/<sha256>.json
+ *  - by embedding a JSON descriptor as the image itself, e.g.
+ *      {"mock": {"ocr": "expired", "face": {"yaw": -30}, "similarity": 0.4}}
+ *    ("ocr"/"faces" name a fixture file; "face" builds a single face),
+ *    padded with spaces to pass the API's minimum image size.
+ * Otherwise ocr/default.json and a frontal, eyes-open face are used, and
+ * compareFaces returns MOCK_FACE_SIMILARITY (default 0.99).
+ */
+
+const DEFAULT_FIXTURES_DIR = path.join(process.cwd(), "fixtures", "mock-provider");
+const DEFAULT_STORAGE_DIR = path.join(os.tmpdir(), "roomquest-mock-storage");
+
+function sha256(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+function readDescriptor(image) {
+  const text = Buffer.from(image).toString("utf8").trim();
+  if (!text.startsWith("{")) return {};
+  try {
+    return JSON.parse(text)?.mock || {};
+  } catch {
+    return {};
+  }
+}
+
+export function mockFace({
+  yaw = 0,
+  pitch = 0,
+  smile = false,
+  eyes_open = true,
+  confidence = 99.5,
+} = {}) {
+  return {
+    Confidence: confidence,
+    Pose: { Yaw: yaw, Pitch: pitch, Roll: 0 },
+    Smile: { Value: smile, Confidence: 98 },
+    EyesOpen: { Value: eyes_open, Confidence: 98 },
+    Quality: { Brightness: 70, Sharpness: 80 },
+  };
+}
+
+export function createMockProvider({
+  fixturesDir = DEFAULT_FIXTURES_DIR,
+  storageDir = DEFAULT_STORAGE_DIR,
+  similarity = 0.99,
+} = {}) {
+  async function readFixture(kind, name) {
+    if (!/^[\w.-]+$/.test(name)) throw new Error(`Invalid mock fixture name: ${name}`);
+    const file = path.join(fixturesDir, kind, `${name}.json`);
+    try {
+      return JSON.parse(await fs.readFile(file, "utf8"));
+    } catch (e) {
+      if (e.code === "ENOENT") return undefined;
+      throw e;
+    }
+  }
+
+  async function fixtureFor(kind, image, named) {
+    if (named) {
+      const fixture = await readFixture(kind, named);
+      if (fixture === undefined) throw new Error(`Mock fixture not found: ${kind}/${named}`);
+      return fixture;
+    }
+    return readFixture(kind, sha256(image));
+  }
+
+  function objectPath(key) {
+    const resolved = path.resolve(storageDir, key);
+    if (!resolved.startsWith(path.resolve(storageDir) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return resolved;
+  }
+
+  // Mirrors the aws provider's metering so cost records exist in development.
+  async function track(listener, operation, fn) {
+    try {
+      const result = await fn();
+      listener?.({ operation, ok: true, attempts: 1 });
+      return result;
+    } catch (e) {
+      listener?.({ operation, ok: false, attempts: 1, error: e?.message || String(e) });
+      throw e;
+    }
+  }
+
+  function build(listener) {
+    return {
+      name: "mock",
+
+      metered(onCall) {
+        return build(onCall);
+      },
+
+      detectFaces(image) {
+        return track(listener, "rekognition.detect_faces", async () => {
+          const descriptor = readDescriptor(image);
+          if (descriptor.face) return [mockFace(descriptor.face)];
+
+          const fixture = await fixtureFor("faces", image, descriptor.faces);
+          return fixture ?? [mockFace()];
+        });
+      },
+
+      compareFaces(source) {
+        return track(listener, "rekognition.compare_faces", async () => {
+          const descriptor = readDescriptor(source);
+          const value = Number(descriptor.similarity ?? similarity);
+          return { similarity: Number.isFinite(value) ? value : 0 };
+        });
+      },
+
+      analyzeId(image) {
+        return track(listener, "textract.analyze_id", async () => {
+          const descriptor = readDescriptor(image);
+          const fixture =
+            (await fixtureFor("ocr", image, descriptor.ocr)) ??
+            (await readFixture("ocr", "default"));
+
+          if (!fixture) return [];
+          if (fixture.error) throw new Error(fixture.error);
+
+          return Object.entries(fixture).map(([type, text]) => ({
+            Type: { Text: type },
+            ValueDetection: { Text: String(text), Confidence: 99 },
+          }));
+        });
+      },
+
+      storage: {
+        url(key) {
+          return `file://${objectPath(key)}`;
+        },
+
+        keyFromUrl(url) {
+          const prefix = `file://${path.resolve(storageDir)}${path.sep}`;
+          const s = String(url || "");
+          return s.startsWith(prefix) ? s.slice(prefix.length) : null;
+        },
+
+        put(key, body) {
+          return track(listener, "s3.put_object", async () => {
+            const file = objectPath(key);
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, body);
+          });
+        },
+
+        get(key) {
+          return track(listener, "s3.get_object", () => fs.readFile(objectPath(key)));
+        },
+
+        delete(key) {
+          return track(listener, "s3.delete_object", () => fs.rm(objectPath(key), { force: true }));
+        },
+
+        async deleteMany(keys) {
+          const result = { deleted: [], errors: [] };
+          await track(listener, "s3.delete_objects", async () => {
+            for (const key of keys) {
+              try {
+                await fs.rm(objectPath(key), { force: true });
+                result.deleted.push(key);
+              } catch (e) {
+                result.errors.push({ key, message: e?.message || String(e) });
+              }
+            }
+          });
+          return result;
+        },
+
+        // Local files cannot be signed; the expiry is only carried along.
+        async presign(key, expiresIn) {
+          const expires = Math.floor(Date.now() / 1000) + expiresIn;
+          return `file://${objectPath(key)}?expires=${expires}`;
+        },
+
+        async list(prefix) {
+          const root = path.resolve(storageDir);
+          const objects = [];
+
+          async function walk(dir) {
+            let entries;
+            try {
+              entries = await fs.readdir(dir, { withFileTypes: true });
+            } catch (e) {
+              if (e.code === "ENOENT") return;
+              throw e;
+            }
+            for (const entry of entries) {
+              const full = path.join(dir, entry.name);
+              if (entry.isDirectory()) {
+                await walk(full);
+                continue;
+              }
+              const key = path.relative(root, full).split(path.sep).join("/");
+              if (!key.startsWith(prefix)) continue;
+              const stat = await fs.stat(full);
+              objects.push({ key, size: stat.size, last_modified: stat.mtime });
+            }
+          }
+
+          await track(listener, "s3.list_objects", () => walk(root));
+          return objects;
+        },
+      },
+    };
+  }
+
+  return build(null);
+}
@@ -0,0 +1,98 @@
+import { NAME_MATCH_THRESHOLD, compareNames } from "./nameMatch";
+import { normalizeGuestName } from "./names";
+
+// Matches the name a guest types at check-in against the reservations that
+// carry the reservation number they entered. The number must match exactly;
+// the name is checked by the first rule that accepts it, most certain first:
+//
+//   exact          same words, same spelling
+//   diacritics     equal once accents and punctuation are folded ("José" / "Jose")
+//   name_order     given and family name swapped ("Doe Jane")
+//   token_set      the same words in another order
+//   missing_token  one name leaves out a word of the other (a middle name)
+//   edit_distance  close spellings, initials or split words ("Jane Do", "J Doe")
+
+export const MATCH_RULES = [
+  "exact",
+  "diacritics",
+  "name_order",
+  "token_set",
+  "missing_token",
+  "edit_distance",
+];
+
+const RULE_CONFIDENCE = {
+  exact: 1,
+  diacritics: 0.98,
+  name_order: 0.95,
+  token_set: 0.93,
+  missing_token: 0.9,
+};
+
+// Below every rule above, so a close spelling never outranks them.
+const MAX_EDIT_DISTANCE_CONFIDENCE = 0.89;
+
+// Case and spacing only, keeping accents.
+function plainName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+function sameWords(a, b) {
+  return a.length === b.length && [...a].sort().join(" ") === [...b].sort().join(" ");
+}
+
+// Every word of `shorter` appears in `longer`, each used once.
+function containsWords(longer, shorter) {
+  const remaining = [...longer];
+  return shorter.every((word) => {
+    const i = remaining.indexOf(word);
+    if (i === -1) return false;
+    remaining.splice(i, 1);
+    return true;
+  });
+}
+
+/** { confidence, rule } when the entered name is the booked guest's, or null. */
+export function matchGuestName(entered, booked) {
+  const a = normalizeGuestName(entered);
+  const b = normalizeGuestName(booked);
+  if (!a || !b) return null;
+
+  const rule = (name) => ({ confidence: RULE_CONFIDENCE[name], rule: name });
+
+  if (a === b) return rule(plainName(entered) === plainName(booked) ? "exact" : "diacritics");
+
+  const enteredWords = a.split(" ");
+  const bookedWords = b.split(" ");
+  if ([...enteredWords].reverse().join(" ") === b) return rule("name_order");
+  if (sameWords(enteredWords, bookedWords)) return rule("token_set");
+
+  const [shorter, longer] =
+    enteredWords.length < bookedWords.length ? [enteredWords, bookedWords] : [bookedWords, enteredWords];
+  // A lone word ("Doe") is too little to identify the guest by.
+  if (shorter.length < 2 && longer.length > shorter.length) return null;
+  if (containsWords(longer, shorter)) return rule("missing_token");
+
+  const { score } = compareNames(booked, entered);
+  if (score !== null && score >= NAME_MATCH_THRESHOLD) {
+    return { confidence: Math.min(score, MAX_EDIT_DISTANCE_CONFIDENCE), rule: "edit_distance" };
+  }
+  return null;
+}
+
+/**
+ * The candidate reservation (newest first) whose guest best matches the
+ * entered name, as { booking, confidence, rule }, or null when none does.
+ * Ties keep the newer reservation.
+ */
+export function matchReservation(candidates, enteredName) {
+  let best = null;
+  for (const booking of candidates || []) {
+    const match = matchGuestName(enteredName, booking.guest_name_raw || booking.guest_name_norm);
+    if (match && (!best || match.confidence > best.confidence)) best = { booking, ...match };
+  }
+  return best;
+}
@@ -0,0 +1,140 @@
+// Reservation lifecycle from inbound booking emails. Each reservation is one
+// booking_email_index row, found again by its normalized confirmation number
+// or source reservation id; every email that touches it adds a version.
+
+export const RESERVATION_STATUSES = ["confirmed", "cancelled"];
+
+// Columns copied into each version snapshot.
+const SNAPSHOT_FIELDS = [
+  "guest_name_raw",
+  "confirmation_number_raw",
+  "source_reservation_id_raw",
+  "source",
+  "arrival_date",
+  "departure_date",
+  "room_type",
+  "adults",
+  "children",
+  "status",
+];
+
+function isBlank(v) {
+  return v === null || v === undefined || v === "";
+}
+
+// The references a reservation was first recorded under. A channel manager
+// and the PMS may quote different confirmation numbers for one reservation,
+// so later emails only fill these in when they are blank.
+const REFERENCE_FIELDS = [
+  "confirmation_number_raw",
+  "confirmation_number_norm",
+  "source_reservation_id_raw",
+  "source_reservation_id_norm",
+];
+
+// A later email may leave out details (cancellations rarely repeat the stay);
+// blank values keep what earlier emails said.
+function mergeBooking(existing, incoming) {
+  const merged = {};
+  for (const [key, value] of Object.entries(incoming)) {
+    const keep = isBlank(value) || (REFERENCE_FIELDS.includes(key) && !isBlank(existing[key]));
+    merged[key] = keep ? existing[key] ?? value : value;
+  }
+  return merged;
+}
+
+function snapshot(row) {
+  return Object.fromEntries(SNAPSHOT_FIELDS.map((f) => [f, row?.[f] ?? null]));
+}
+
+/**
+ * Creates or updates the reservation a parsed booking email refers to and
+ * appends a version. Resolves to { data: { booking_id, version, status,
+ * created }, error }.
+ */
+export async function recordBookingEmail(repo, { propertyId, parser, event, booking, rawText }) {
+  const { data: found, error: findError } = await repo.bookings.findByReference({
+    propertyId,
+    confirmationNorm: booking.confirmation_number_norm,
+    sourceReservationNorm: booking.source_reservation_id_norm,
+  });
+  if (findError) return { data: null, error: findError };
+
+  const existing = found?.[0] ?? null;
+  const status = event === "cancelled" ? "cancelled" : "confirmed";
+  const now = new Date().toISOString();
+
+  let row;
+  if (!existing) {
+    const { data, error } = await repo.bookings.insert({
+      property_id: propertyId,
+      ...booking,
+      adults: booking.adults ?? 0,
+      children: booking.children ?? 0,
+      status,
+      version: 1,
+      last_event: event,
+      parser,
+      raw_text: rawText,
+      updated_at: now,
+    });
+    if (error) return { data: null, error };
+    row = data;
+  } else {
+    const version = existing.version ?? 1;
+    // Conditional on the version read, so two emails for one reservation
+    // processed together cannot overwrite each other.
+    const { data, error } = await repo.bookings.update(
+      existing.id,
+      {
+        ...mergeBooking(existing, booking),
+        status,
+        version: version + 1,
+        last_event: event,
+        parser,
+        raw_text: rawText,
+        updated_at: now,
+      },
+      { version }
+    );
+    if (error) return { data: null, error };
+    if (!data) return { data: null, error: { message: "Reservation was updated concurrently" } };
+    row = data;
+  }
+
+  const { error: versionError } = await repo.bookingVersions.append({
+    booking_id: row.id,
+    property_id: propertyId,
+    version: row.version,
+    event,
+    parser,
+    snapshot: snapshot(row),
+    raw_text: rawText,
+  });
+  if (versionError) {
+    console.warn(`Booking version insert failed for ${row.id}:`, versionError.message);
+  }
+
+  return {
+    data: { booking_id: row.id, version: row.version, status: row.status, created: !existing },
+    error: null,
+  };
+}
+
+/**
+ * Why a matched reservation cannot be used to check in, as
+ * { reason, message }, or null when it can. Departure day itself still counts.
+ */
+export function reservationRefusal(booking, now = new Date()) {
+  if (booking?.status === "cancelled") {
+    return { reason: "reservation_cancelled", message: "This reservation has been cancelled." };
+  }
+  const today = now.toISOString().slice(0, 10);
+  if (booking?.departure_date && String(booking.departure_date).slice(0, 10) < today) {
+    return {
+      reason: "reservation_departed",
+      message: "This reservation's departure date has passed.",
+    };
+  }
+  return null;
+}
@@ -0,0 +1,64 @@
+import { ConfigError } from "./config";
+
+/*
+ * How long each class of data is kept before /api/maintenance/cleanup
+ * removes it:
+ *
+ *   RETENTION_IMAGES_HOURS         document and selfie images (default 72)
+ *   RETENTION_SESSIONS_HOURS       sessions, guests and challenges (default 72)
+ *   RETENTION_COSTS_DAYS           API cost ledger rows (default: kept)
+ *   RETENTION_BOOKING_EMAILS_DAYS  raw text of inbound booking emails (default 90)
+ *
+ * The cost and booking email settings accept "never". A session's images go
+ * with it, so images cannot be kept longer than sessions.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const DEFAULTS = {
+  RETENTION_IMAGES_HOURS: 72,
+  RETENTION_SESSIONS_HOURS: 72,
+  RETENTION_COSTS_DAYS: null,
+  RETENTION_BOOKING_EMAILS_DAYS: 90,
+};
+
+// Retention in ms for one setting; null means "never delete".
+function readPeriod(env, name, unitMs, { allowNever }) {
+  const raw = String(env[name] ?? "").trim().toLowerCase();
+  if (!raw) return DEFAULTS[name] === null ? null : DEFAULTS[name] * unitMs;
+  if (raw === "never" && allowNever) return null;
+
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n <= 0) {
+    const expected = allowNever ? 'a positive number or "never"' : "a positive number";
+    throw new ConfigError(`${name} must be ${expected}`, [name]);
+  }
+  return n * unitMs;
+}
+
+/** Retention periods in ms ({ images, sessions, costs, bookingEmails }); null is kept forever. */
+export function getRetention(env = process.env) {
+  const retention = {
+    images: readPeriod(env, "RETENTION_IMAGES_HOURS", HOUR_MS, { allowNever: false }),
+    sessions: readPeriod(env, "RETENTION_SESSIONS_HOURS", HOUR_MS, { allowNever: false }),
+    costs: readPeriod(env, "RETENTION_COSTS_DAYS", DAY_MS, { allowNever: true }),
+    bookingEmails: readPeriod(env, "RETENTION_BOOKING_EMAILS_DAYS", DAY_MS, { allowNever: true }),
+  };
+  if (retention.images > retention.sessions) {
+    throw new ConfigError("RETENTION_IMAGES_HOURS must not exceed RETENTION_SESSIONS_HOURS", [
+      "RETENTION_IMAGES_HOURS",
+    ]);
+  }
+  return retention;
+}
+
+/** ISO cutoff per data class for a run at `now`; null where data is kept. */
+export function retentionCutoffs(retention, now = new Date()) {
+  return Object.fromEntries(
+    Object.entries(retention).map(([key, ms]) => [
+      key,
+      ms === null ? null : new Date(now.getTime() - ms).toISOString(),
+    ])
+  );
+}
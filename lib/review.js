@@ -0,0 +1,36 @@
+// Manual review of guests the automated checks could not clear: a failed
+// face check, or a pass that still carries warnings staff should confirm.
+
+export const REVIEW_DECISIONS = ["approve", "reject"];
+
+const DEFAULT_URL_TTL_SECONDS = 300;
+
+export function getReviewUrlTtlSeconds() {
+  const n = Number(process.env.REVIEW_URL_TTL_SECONDS);
+  return Number.isFinite(n) && n > 0 ? Math.min(n, 3600) : DEFAULT_URL_TTL_SECONDS;
+}
+
+/** True when the document's MRZ failed an ICAO check digit. */
+export function mrzCheckFailed(guest) {
+  return (guest?.extracted_info?.mrz_failed_checks || []).length > 0;
+}
+
+/**
+ * Codes that warrant a look. A failed MRZ check digit is a fraud signal, so
+ * it also holds the guest until staff approve them.
+ */
+export function reviewFlags(guest) {
+  const flags = [];
+  if (mrzCheckFailed(guest)) flags.push("mrz_check_failed");
+  if (guest?.name_match_verdict === "partial") flags.push("name_partial_match");
+  if (guest?.name_match_verdict === "mismatch") flags.push("name_mismatch");
+  for (const r of guest?.document_checks?.reasons || []) {
+    if (r.severity === "flag") flags.push(r.code);
+  }
+  return flags;
+}
+
+/** review_status to store after a face check: "pending" queues the guest. */
+export function reviewStatusAfterFaceCheck(guest, guestVerified) {
+  return !guestVerified || reviewFlags(guest).length > 0 ? "pending" : null;
+}
@@ -0,0 +1,137 @@
+// Verification session state machine. `state` records how far the session has
+// got; every verify.js action declares the states it may run from.
+//
+//   welcome   session created
+//   consent   consent logged
+//   guest     reservation matched; waiting for the next guest's document
+//   document  document on file for the current guest; waiting for the face check
+//   selfie    face check failed for the current guest; retry or re-upload
+//   results   every expected guest verified
+//   locked    expired; no further actions
+
+export const SESSION_STATES = [
+  "welcome",
+  "consent",
+  "guest",
+  "document",
+  "selfie",
+  "results",
+  "locked",
+];
+
+export const ACTION_STATES = {
+  get_session: ["welcome", "consent", "guest", "document", "selfie", "results"],
+  log_consent: ["welcome", "consent"],
+  update_guest: ["consent", "guest"],
+  tm30_update: ["consent", "guest", "document", "selfie", "results"],
+  upload_document: ["guest", "document", "selfie"],
+  liveness_challenge: ["document", "selfie"],
+  verify_face: ["document", "selfie"],
+};
+
+const DEFAULT_TTL_HOURS = 24;
+
+export class SessionStateError extends Error {
+  constructor(code, message, { status = 409, state = null, allowed = [] } = {}) {
+    super(message);
+    this.name = "SessionStateError";
+    this.code = code;
+    this.status = status;
+    this.state = state;
+    this.allowed = allowed;
+  }
+
+  toJSON() {
+    return {
+      error: this.message,
+      code: this.code,
+      state: this.state,
+      allowed_states: this.allowed.length > 0 ? this.allowed : undefined,
+    };
+  }
+}
+
+export function getSessionTtlHours() {
+  const n = Number(process.env.SESSION_TTL_HOURS);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_TTL_HOURS;
+}
+
+export function sessionExpiresAt(from = new Date()) {
+  return new Date(from.getTime() + getSessionTtlHours() * 3600 * 1000).toISOString();
+}
+
+// Sessions created before `state` existed only carry `status`.
+const LEGACY_STATUS_STATES = {
+  started: "welcome",
+  consent_logged: "consent",
+  guest_info_saved: "guest",
+  document_uploaded: "document",
+  partial_verified: "guest",
+  failed: "selfie",
+  verified: "results",
+  rejected: "locked",
+};
+
+export function sessionState(session) {
+  if (SESSION_STATES.includes(session?.state)) return session.state;
+  return LEGACY_STATUS_STATES[session?.status] || "welcome";
+}
+
+export function isSessionExpired(session, now = new Date()) {
+  const expiresAt = session?.expires_at
+    ? new Date(session.expires_at)
+    : session?.created_at
+    ? new Date(new Date(session.created_at).getTime() + getSessionTtlHours() * 3600 * 1000)
+    : null;
+  return Boolean(expiresAt) && !Number.isNaN(expiresAt.getTime()) && expiresAt <= now;
+}
+
+/**
+ * Throws SessionStateError unless `action` may run on `session` now.
+ * Expiry is reported as such whether or not the session was already locked.
+ * `session` needs state, status, created_at, expires_at and verified_guest_count.
+ */
+export function assertActionAllowed(action, session, now = new Date()) {
+  const state = sessionState(session);
+  const allowed = ACTION_STATES[action] || [];
+
+  if (isSessionExpired(session, now)) {
+    throw new SessionStateError(
+      "session_expired",
+      "This verification link has expired. Please ask the front desk for a new one.",
+      { status: 410, state }
+    );
+  }
+  if (state === "locked") {
+    throw new SessionStateError("session_locked", "This verification session is locked.", {
+      status: 423,
+      state,
+    });
+  }
+  if (!allowed.includes(state)) {
+    throw new SessionStateError(
+      "invalid_state",
+      `Action "${action}" is not allowed while the session is in state "${state}".`,
+      { state, allowed }
+    );
+  }
+  // "guest" also means waiting for the next guest; matching another
+  // reservation then would attach verified guests to it.
+  if (action === "update_guest" && Number(session?.verified_guest_count) > 0) {
+    throw new SessionStateError(
+      "reservation_locked",
+      "The reservation cannot be changed after a guest has been verified.",
+      { state }
+    );
+  }
+  return state;
+}
+
+/**
+ * State after a face check: the next guest's document, the results, or a
+ * retry (a failing document sends the guest back to the upload step).
+ */
+export function stateAfterFaceCheck({ guestVerified, requiresAdditionalGuest, documentFailed }) {
+  if (guestVerified) return requiresAdditionalGuest ? "guest" : "results";
+  return documentFailed ? "guest" : "selfie";
+}
@@ -0,0 +1,215 @@
+import { ConfigError } from "./config";
+import { meterProvider } from "./costs";
+
+/*
+ * Reconciles the image bucket with the sessions table.
+ *
+ * Guest uploads are written to demo/<session_token>/ before the session row
+ * is updated, so a failed update, or a session deleted some other way,
+ * leaves objects no cleanup will find. A folder whose session no longer
+ * exists and whose newest object is older than STORAGE_ORPHAN_GRACE_HOURS
+ * (default 24) is an orphan. STORAGE_ORPHAN_ACTION decides what happens to it:
+ *
+ *   quarantine  (default) move it under quarantine/, where it is deleted
+ *               after STORAGE_QUARANTINE_DAYS (default 30)
+ *   delete      delete it
+ *
+ * The run also reports sessions whose recorded document or selfie objects
+ * are missing, for sessions whose images retention has not removed yet.
+ */
+
+export const ORPHAN_ACTIONS = ["quarantine", "delete"];
+
+const IMAGE_PREFIX = "demo/";
+const QUARANTINE_PREFIX = "quarantine/";
+
+const DEFAULT_GRACE_HOURS = 24;
+const DEFAULT_QUARANTINE_DAYS = 30;
+
+// Objects copied into quarantine in parallel.
+const BATCH_SIZE = 10;
+
+// Session tokens per guests lookup.
+const TOKEN_CHUNK_SIZE = 100;
+
+// Orphan keys listed in the report; the counts cover everything.
+const MAX_REPORTED_KEYS = 100;
+
+function positiveNumber(env, name, fallback) {
+  if (env[name] === undefined || env[name] === "") return fallback;
+  const n = Number(env[name]);
+  if (!Number.isFinite(n) || n <= 0) throw new ConfigError(`${name} must be a positive number`, [name]);
+  return n;
+}
+
+export function getOrphanPolicy(env = process.env) {
+  const action = String(env.STORAGE_ORPHAN_ACTION || "quarantine").toLowerCase();
+  if (!ORPHAN_ACTIONS.includes(action)) {
+    throw new ConfigError(`STORAGE_ORPHAN_ACTION must be one of ${ORPHAN_ACTIONS.join(", ")}`, [
+      "STORAGE_ORPHAN_ACTION",
+    ]);
+  }
+  return {
+    action,
+    graceHours: positiveNumber(env, "STORAGE_ORPHAN_GRACE_HOURS", DEFAULT_GRACE_HOURS),
+    quarantineDays: positiveNumber(env, "STORAGE_QUARANTINE_DAYS", DEFAULT_QUARANTINE_DAYS),
+  };
+}
+
+// demo/<token>/document_1.jpg -> <token>; null for keys outside a folder.
+function folderToken(key) {
+  const m = key.slice(IMAGE_PREFIX.length).match(/^([^/]+)\//);
+  return m ? m[1] : null;
+}
+
+function lastModifiedMs(object) {
+  return new Date(object.last_modified).getTime();
+}
+
+// Deletes keys with batched requests; resolves to how many were deleted.
+async function deleteKeys(storage, keys, errors) {
+  if (keys.length === 0) return 0;
+  const { deleted, errors: failed } = await storage.deleteMany(keys);
+  errors.push(...failed.map(({ key, message }) => `S3: ${key} - ${message}`));
+  return deleted.length;
+}
+
+// Copies each object under quarantine/, BATCH_SIZE at a time, then deletes
+// the originals that were copied. Resolves to how many were moved.
+async function quarantineKeys(storage, keys, errors) {
+  const copied = [];
+  for (let i = 0; i < keys.length; i += BATCH_SIZE) {
+    const batch = keys.slice(i, i + BATCH_SIZE);
+    const results = await Promise.allSettled(
+      batch.map(async (key) => storage.put(`${QUARANTINE_PREFIX}${key}`, await storage.get(key)))
+    );
+    results.forEach((result, j) => {
+      if (result.status === "fulfilled") copied.push(batch[j]);
+      else errors.push(`S3: ${batch[j]} - ${result.reason?.message || result.reason}`);
+    });
+  }
+  return deleteKeys(storage, copied, errors);
+}
+
+// Objects each session's rows point at, for sessions that still have images.
+async function referencedKeys(repo, storage, sessions) {
+  const tokens = sessions.map((s) => s.session_token);
+  const guestsBySession = {};
+  for (let i = 0; i < tokens.length; i += TOKEN_CHUNK_SIZE) {
+    const { data, error } = await repo.guests.listForSessions(tokens.slice(i, i + TOKEN_CHUNK_SIZE));
+    if (error) return { data: null, error };
+    Object.assign(guestsBySession, data);
+  }
+
+  const refs = new Map();
+  for (const session of sessions) {
+    const keys = new Set();
+    for (const url of [session.document_url, session.selfie_url]) {
+      const key = url ? storage.keyFromUrl(url) : null;
+      if (key) keys.add(key);
+    }
+    for (const guest of guestsBySession[session.session_token] || []) {
+      if (guest.document_key) keys.add(guest.document_key);
+      if (guest.selfie_key) keys.add(guest.selfie_key);
+    }
+    refs.set(session.session_token, keys);
+  }
+  return { data: refs, error: null };
+}
+
+/**
+ * Moves or deletes orphaned upload folders, purges expired quarantine and
+ * lists sessions with missing objects. With `dryRun` nothing is changed.
+ * Resolves to a report; repository and listing failures throw.
+ */
+export async function reconcileStorage(
+  repo,
+  provider,
+  { dryRun = false, now = new Date(), policy = getOrphanPolicy() } = {}
+) {
+  // A dry run writes nothing, cost records included.
+  const storage = dryRun ? provider.storage : meterProvider(provider, { repo }).storage;
+  const graceCutoff = now.getTime() - policy.graceHours * 60 * 60 * 1000;
+  const quarantineCutoff = now.getTime() - policy.quarantineDays * 24 * 60 * 60 * 1000;
+  const errors = [];
+
+  const objects = await storage.list(IMAGE_PREFIX);
+  const folders = new Map();
+  for (const object of objects) {
+    const token = folderToken(object.key);
+    if (!token) continue;
+    if (!folders.has(token)) folders.set(token, []);
+    folders.get(token).push(object);
+  }
+
+  const { data: existing, error: existingError } = await repo.sessions.listByTokens(
+    [...folders.keys()],
+    ["session_token"]
+  );
+  if (existingError) throw new Error(`Failed to look up sessions: ${existingError.message}`);
+  const known = new Set((existing || []).map((s) => s.session_token));
+
+  // Orphans: no session, and nothing written within the grace period.
+  const orphanFolders = [...folders.entries()].filter(
+    ([token, list]) => !known.has(token) && Math.max(...list.map(lastModifiedMs)) < graceCutoff
+  );
+  const orphanKeys = orphanFolders.flatMap(([, list]) => list.map((o) => o.key));
+
+  let handled = 0;
+  if (!dryRun && orphanKeys.length > 0) {
+    handled =
+      policy.action === "delete"
+        ? await deleteKeys(storage, orphanKeys, errors)
+        : await quarantineKeys(storage, orphanKeys, errors);
+    console.log(`Storage reconcile: ${policy.action}d ${handled} of ${orphanKeys.length} orphaned objects`);
+  }
+
+  const expiredQuarantine = (await storage.list(QUARANTINE_PREFIX))
+    .filter((o) => lastModifiedMs(o) < quarantineCutoff)
+    .map((o) => o.key);
+  const purged = dryRun ? 0 : await deleteKeys(storage, expiredQuarantine, errors);
+
+  // Sessions past the grace period whose images should still be there.
+  const { data: sessions, error: sessionsError } = await repo.sessions.listCreatedBetween(
+    new Date(0).toISOString(),
+    new Date(graceCutoff).toISOString(),
+    ["session_token", "property_id", "created_at", "document_url", "selfie_url", "images_deleted_at"]
+  );
+  if (sessionsError) throw new Error(`Failed to list sessions: ${sessionsError.message}`);
+  const withImages = (sessions || []).filter((s) => !s.images_deleted_at);
+
+  const { data: refs, error: refsError } = await referencedKeys(repo, storage, withImages);
+  if (refsError) throw new Error(`Failed to list guests: ${refsError.message}`);
+
+  const stored = new Set(objects.map((o) => o.key));
+  const missing = [];
+  for (const session of withImages) {
+    const keys = [...refs.get(session.session_token)].filter((key) => !stored.has(key));
+    if (keys.length === 0) continue;
+    missing.push({
+      session_token: session.session_token,
+      property_id: session.property_id ?? null,
+      created_at: session.created_at,
+      missing_keys: keys.sort(),
+    });
+  }
+  if (missing.length > 0) {
+    console.warn(`Storage reconcile: ${missing.length} sessions reference missing objects`);
+  }
+
+  return {
+    dryRun,
+    action: policy.action,
+    graceCutoff: new Date(graceCutoff).toISOString(),
+    scanned: { objects: objects.length, folders: folders.size },
+    orphans: {
+      folders: orphanFolders.length,
+      objects: orphanKeys.length,
+      handled,
+      keys: orphanKeys.slice(0, MAX_REPORTED_KEYS),
+    },
+    quarantine: { expired: expiredQuarantine.length, deleted: purged },
+    missing,
+    errors,
+  };
+}
@@ -0,0 +1,215 @@
+// TM30 (notification of residence for foreigners) helpers shared by the
+// verify flow and the admin export.
+
+// A row immigration accepts needs the guest's name and passport number too.
+export const TM30_REQUIRED_KEYS = [
+  "first_name",
+  "last_name",
+  "passport_number",
+  "nationality",
+  "sex",
+  "arrival_date_time",
+  "departure_date",
+  "property",
+  "room_number",
+];
+
+// Column layout of the immigration portal's bulk-upload template.
+export const TM30_COLUMNS = [
+  { key: "first_name", header: "ชื่อ (First Name) *" },
+  { key: "middle_name", header: "ชื่อกลาง (Middle Name)" },
+  { key: "last_name", header: "นามสกุล (Last Name)" },
+  { key: "gender", header: "เพศ (Gender) *" },
+  { key: "passport_number", header: "เลขหนังสือเดินทาง (Passport No.) *" },
+  { key: "nationality", header: "สัญชาติ (Nationality) *" },
+  { key: "birth_date", header: "วัน เดือน ปี เกิด (Birth Date) DD/MM/YYYY" },
+  { key: "checkout_date", header: "วันที่แจ้งออกจากที่พัก (Check-out Date) DD/MM/YYYY" },
+  { key: "phone", header: "เบอร์โทรศัพท์ (Phone No.)" },
+];
+
+function isBlank(v) {
+  return v === undefined || v === null || String(v).trim() === "";
+}
+
+// Fields a guest's ID document can supply, mapped from extraction keys.
+const EXTRACTED_TM30_FIELDS = {
+  first_name: "first_name",
+  middle_name: "middle_name",
+  last_name: "last_name",
+  sex: "sex",
+  nationality: "nationality",
+  passport_number: "document_number",
+  date_of_birth: "date_of_birth",
+};
+
+const AUTOMATIC_SOURCES = ["ocr", "mrz"];
+
+export function missingTm30Fields(info = {}) {
+  return TM30_REQUIRED_KEYS.filter((k) => isBlank(info?.[k]));
+}
+
+/**
+ * Turn Textract/MRZ extraction into merge candidates: { key: { value, source } }.
+ * `source` is "ocr" or "mrz" as recorded in `extracted.field_sources`.
+ */
+export function tm30CandidatesFromExtraction(extracted) {
+  const sources = extracted?.field_sources || {};
+  const candidates = {};
+  for (const [tm30Key, extractedKey] of Object.entries(EXTRACTED_TM30_FIELDS)) {
+    const value = extracted?.[extractedKey];
+    if (!isBlank(value)) {
+      candidates[tm30Key] = { value, source: sources[extractedKey] || "ocr" };
+    }
+  }
+  return candidates;
+}
+
+export function manualTm30Candidates(payload = {}) {
+  return Object.fromEntries(
+    Object.entries(payload).map(([k, value]) => [k, { value, source: "manual" }])
+  );
+}
+
+/**
+ * Merge candidates into a draft. Automatic values (ocr/mrz) only fill blanks or
+ * replace other automatic values; anything entered manually, or present without
+ * provenance, is never overwritten by extraction. Manual blanks clear a field.
+ */
+export function mergeTm30Draft(draft = {}, provenance = {}, candidates = {}) {
+  const info = { ...(draft || {}) };
+  const sources = { ...(provenance || {}) };
+  const changed = [];
+
+  for (const [key, { value, source }] of Object.entries(candidates)) {
+    const automatic = AUTOMATIC_SOURCES.includes(source);
+
+    if (isBlank(value)) {
+      if (!automatic && key in info) {
+        delete info[key];
+        delete sources[key];
+        changed.push(key);
+      }
+      continue;
+    }
+
+    const existingAutomatic = AUTOMATIC_SOURCES.includes(sources[key]);
+    if (automatic && !isBlank(info[key]) && !existingAutomatic) continue;
+
+    if (info[key] !== value || sources[key] !== source) {
+      info[key] = value;
+      sources[key] = source;
+      changed.push(key);
+    }
+  }
+
+  return { info, provenance: sources, changed };
+}
+
+/**
+ * What will actually be submitted for a guest: the guest's draft with
+ * session-level values (entered by staff or the guest) taking precedence over
+ * extracted ones, but not over the guest's own manual entries.
+ */
+export function effectiveTm30Info(sessionInfo = {}, guest = null) {
+  const guestInfo = guest?.tm30_info || {};
+  const guestSources = guest?.tm30_provenance || {};
+  const out = { ...guestInfo };
+
+  for (const [key, value] of Object.entries(sessionInfo || {})) {
+    if (isBlank(value)) continue;
+    if (guestSources[key] === "manual" && !isBlank(guestInfo[key])) continue;
+    out[key] = value;
+  }
+  return out;
+}
+
+/**
+ * Per-guest status plus the session status: "ready" only when every guest's
+ * effective info is complete. Without guest drafts the session info is checked
+ * on its own, as before per-guest drafts existed.
+ */
+export function computeTm30Statuses(sessionInfo = {}, guests = []) {
+  const guestStatuses = guests.map((guest) => {
+    const missing = missingTm30Fields(effectiveTm30Info(sessionInfo, guest));
+    return {
+      guest_index: guest.guest_index,
+      tm30_status: missing.length === 0 ? "ready" : "draft",
+      missing_fields: missing,
+    };
+  });
+
+  const missing =
+    guests.length === 0
+      ? missingTm30Fields(sessionInfo)
+      : [...new Set(guestStatuses.flatMap((g) => g.missing_fields))];
+
+  return {
+    tm30_status: missing.length === 0 ? "ready" : "draft",
+    missing_fields: missing,
+    guests: guestStatuses,
+  };
+}
+
+// Accepts ISO dates/timestamps, DD/MM/YYYY and MRZ-style YYMMDD.
+export function toTm30Date(value) {
+  if (isBlank(value)) return "";
+  const v = String(value).trim();
+
+  let m = v.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (m) return `${m[3]}/${m[2]}/${m[1]}`;
+
+  m = v.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (m) return `${m[1].padStart(2, "0")}/${m[2].padStart(2, "0")}/${m[3]}`;
+
+  return v;
+}
+
+function toTm30Gender(sex) {
+  const s = String(sex || "").trim().toUpperCase();
+  if (s.startsWith("M")) return "M";
+  if (s.startsWith("F")) return "F";
+  return "";
+}
+
+/**
+ * One export row per guest. The guest's effective TM30 info wins over raw OCR
+ * output, so staff corrections are what reach immigration.
+ */
+export function buildTm30Rows(session, guests = []) {
+  const sources = guests.length > 0 ? guests : [null];
+
+  return sources.map((guest) => {
+    const ocr = guest?.extracted_info?.textract || {};
+    const info = effectiveTm30Info(session?.tm30_info, guest);
+    const pick = (key, ...fallbacks) =>
+      [info[key], ...fallbacks].find((v) => !isBlank(v)) ?? "";
+
+    return {
+      session_token: session.session_token,
+      guest_index: guest?.guest_index ?? 1,
+      first_name: pick("first_name", ocr.first_name),
+      middle_name: pick("middle_name", ocr.middle_name),
+      last_name: pick("last_name", ocr.last_name),
+      gender: toTm30Gender(pick("sex", ocr.sex)),
+      passport_number: pick("passport_number", ocr.document_number),
+      nationality: String(pick("nationality", ocr.nationality)).toUpperCase(),
+      birth_date: toTm30Date(pick("date_of_birth", ocr.date_of_birth)),
+      checkout_date: toTm30Date(info.departure_date),
+      phone: pick("phone"),
+    };
+  });
+}
+
+function csvCell(value) {
+  const s = String(value ?? "");
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// UTF-8 BOM so Excel opens the Thai headers correctly.
+export function toTm30Csv(rows) {
+  const lines = [
+    TM30_COLUMNS.map((c) => csvCell(c.header)).join(","),
+    ...rows.map((row) => TM30_COLUMNS.map((c) => csvCell(row[c.key])).join(",")),
+  ];
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
@@ -0,0 +1,278 @@
+import crypto from "crypto";
+import { ConfigError } from "./config";
+
+/*
+ * Outbound webhooks for verification events.
+ *
+ * WEBHOOK_ENDPOINTS is a JSON array of
+ *
+ *   { "id": "pms", "url": "https://...", "secret": "...",
+ *     "events": ["guest.verified", ...], "property": "riverside" }
+ *
+ * where events (default: all) and property (default: every property) are
+ * optional. Each event is POSTed as JSON and signed the way Mailgun signs its
+ * webhooks, with the body included:
+ *
+ *   X-Webhook-Timestamp  unix seconds
+ *   X-Webhook-Token      random, unique per attempt
+ *   X-Webhook-Signature  hex HMAC-SHA256(secret, timestamp + token + body)
+ *
+ * Every delivery is logged and sent by the /api/maintenance/webhooks cron,
+ * which retries failed attempts with exponential backoff (30s, 1m, 2m ...)
+ * until WEBHOOK_MAX_ATTEMPTS (default 6), after which the delivery is
+ * "failed" and can be replayed from /api/admin/webhooks.
+ *
+ * vercel.json runs that cron every minute, which Vercel only allows on Pro
+ * and higher plans; Hobby crons run at most once a day. On Hobby, remove the
+ * entry and call the endpoint every minute from an external scheduler with
+ * CRON_SECRET (see lib/cron.js) instead, or events arrive a day late.
+ *
+ * Payloads carry ids and outcomes only; receivers fetch guest details with
+ * get_session.
+ */
+
+export const WEBHOOK_EVENTS = [
+  "session.started",
+  "reservation.matched",
+  "document.extracted",
+  "guest.verified",
+  "guest.failed",
+  "session.verified",
+  "tm30.ready",
+];
+
+export const DELIVERY_STATUSES = ["pending", "sending", "delivered", "failed"];
+
+const DEFAULT_MAX_ATTEMPTS = 6;
+const BASE_RETRY_SECONDS = 30;
+const SEND_TIMEOUT_MS = 5000;
+
+// A delivery left "sending" this long belongs to a request that died.
+export const SENDING_STALE_MS = 5 * 60 * 1000;
+
+const ID_RE = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+/** Configured endpoints; [] when WEBHOOK_ENDPOINTS is unset, ConfigError when invalid. */
+export function loadWebhookEndpoints(env = process.env) {
+  if (!env.WEBHOOK_ENDPOINTS) return [];
+
+  let endpoints;
+  try {
+    endpoints = JSON.parse(env.WEBHOOK_ENDPOINTS);
+  } catch {
+    throw new ConfigError("WEBHOOK_ENDPOINTS must be a JSON array", ["WEBHOOK_ENDPOINTS"]);
+  }
+
+  const valid =
+    Array.isArray(endpoints) &&
+    endpoints.every(
+      (e) =>
+        e &&
+        ID_RE.test(String(e.id)) &&
+        /^https?:\/\//.test(String(e.url)) &&
+        typeof e.secret === "string" &&
+        e.secret.length > 0 &&
+        (e.events === undefined ||
+          (Array.isArray(e.events) && e.events.every((ev) => WEBHOOK_EVENTS.includes(ev))))
+    );
+  if (!valid) {
+    throw new ConfigError(
+      "WEBHOOK_ENDPOINTS entries need id, http(s) url, secret and known events",
+      ["WEBHOOK_ENDPOINTS"]
+    );
+  }
+  if (new Set(endpoints.map((e) => e.id)).size !== endpoints.length) {
+    throw new ConfigError("WEBHOOK_ENDPOINTS contains duplicate ids", ["WEBHOOK_ENDPOINTS"]);
+  }
+
+  return endpoints.map((e) => ({
+    id: e.id,
+    url: e.url,
+    secret: e.secret,
+    events: e.events || WEBHOOK_EVENTS,
+    property: e.property || null,
+  }));
+}
+
+function getMaxAttempts() {
+  const n = Number(process.env.WEBHOOK_MAX_ATTEMPTS);
+  return Number.isInteger(n) && n > 0 ? n : DEFAULT_MAX_ATTEMPTS;
+}
+
+/** Seconds before retrying after the `attempts`-th failed attempt. */
+export function retryDelaySeconds(attempts) {
+  return BASE_RETRY_SECONDS * 2 ** Math.max(attempts - 1, 0);
+}
+
+export function signWebhook(secret, timestamp, token, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(String(timestamp) + token + body)
+    .digest("hex");
+}
+
+async function post(endpoint, payload) {
+  const body = JSON.stringify(payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const token = crypto.randomBytes(16).toString("hex");
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), SEND_TIMEOUT_MS);
+  try {
+    const response = await fetch(endpoint.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "RoomQuest-Webhooks/1",
+        "X-Webhook-Event": payload.event,
+        "X-Webhook-Id": payload.id,
+        "X-Webhook-Timestamp": timestamp,
+        "X-Webhook-Token": token,
+        "X-Webhook-Signature": signWebhook(endpoint.secret, timestamp, token, body),
+      },
+      body,
+      signal: controller.signal,
+    });
+    return { ok: response.ok, statusCode: response.status, error: response.ok ? null : `HTTP ${response.status}` };
+  } catch (e) {
+    return {
+      ok: false,
+      statusCode: null,
+      error: e?.name === "AbortError" ? "Timed out" : String(e?.message || e).slice(0, 200),
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Makes one attempt at a logged delivery and records the outcome. Another
+ * request already sending it wins; resolves to { data: delivery | null, error }.
+ */
+export async function attemptDelivery(repo, delivery, endpoints = loadWebhookEndpoints()) {
+  const { data: claimed, error: claimError } = await repo.webhookDeliveries.update(
+    delivery.id,
+    { status: "sending", updated_at: new Date().toISOString() },
+    { status: delivery.status, attempts: delivery.attempts, updated_at: delivery.updated_at }
+  );
+  if (claimError) return { data: null, error: claimError };
+  if (!claimed) return { data: null, error: null };
+
+  const endpoint = endpoints.find((e) => e.id === delivery.endpoint_id);
+  const result = endpoint
+    ? await post(endpoint, delivery.payload)
+    : { ok: false, statusCode: null, error: "Endpoint is no longer configured" };
+
+  const attempts = (delivery.attempts || 0) + 1;
+  const now = new Date();
+  const giveUp = !endpoint || attempts >= getMaxAttempts();
+  const patch = {
+    attempts,
+    last_attempt_at: now.toISOString(),
+    last_status_code: result.statusCode,
+    last_error: result.error,
+    updated_at: now.toISOString(),
+  };
+  if (result.ok) {
+    Object.assign(patch, { status: "delivered", delivered_at: now.toISOString(), next_attempt_at: null });
+  } else if (giveUp) {
+    Object.assign(patch, { status: "failed", next_attempt_at: null });
+  } else {
+    const next = new Date(now.getTime() + retryDelaySeconds(attempts) * 1000);
+    Object.assign(patch, { status: "pending", next_attempt_at: next.toISOString() });
+  }
+
+  if (!result.ok) {
+    console.warn(`Webhook ${delivery.event} to ${delivery.endpoint_id} failed (attempt ${attempts}):`, result.error);
+  }
+  return repo.webhookDeliveries.update(delivery.id, patch, { status: "sending" });
+}
+
+/**
+ * Queues `event` for every endpoint subscribed to it for the property. The
+ * delivery cron sends it, so the request that raised the event never waits
+ * on a receiver. Best-effort: failures never reach the caller.
+ */
+export async function emitWebhookEvent(repo, { event, propertyId = null, sessionToken = null, data = {} }) {
+  try {
+    const endpoints = loadWebhookEndpoints().filter(
+      (e) => e.events.includes(event) && (!e.property || e.property === propertyId)
+    );
+    if (endpoints.length === 0) return;
+
+    const payload = {
+      id: crypto.randomUUID(),
+      event,
+      created_at: new Date().toISOString(),
+      property_id: propertyId,
+      session_token: sessionToken,
+      data,
+    };
+
+    await Promise.all(
+      endpoints.map(async (endpoint) => {
+        const { error } = await repo.webhookDeliveries.insert({
+          event_id: payload.id,
+          endpoint_id: endpoint.id,
+          event,
+          property_id: propertyId,
+          session_token: sessionToken,
+          payload,
+          status: "pending",
+          attempts: 0,
+          next_attempt_at: payload.created_at,
+          updated_at: payload.created_at,
+        });
+        if (error) console.error(`Webhook delivery log insert failed for ${event}:`, error.message);
+      })
+    );
+  } catch (e) {
+    console.error(`Webhook ${event} not queued:`, e?.message || e);
+  }
+}
+
+/** Sends deliveries that are due. Resolves to { processed, delivered, failed, errors }. */
+export async function deliverDueWebhooks(repo, { limit = 50, now = new Date() } = {}) {
+  const endpoints = loadWebhookEndpoints();
+  const { data: due, error } = await repo.webhookDeliveries.listDue(
+    now.toISOString(),
+    new Date(now.getTime() - SENDING_STALE_MS).toISOString(),
+    limit
+  );
+  if (error) throw new Error(`Failed to list due webhooks: ${error.message}`);
+
+  const summary = { processed: 0, delivered: 0, failed: 0, errors: [] };
+  for (const delivery of due || []) {
+    const { data: updated, error: sendError } = await attemptDelivery(repo, delivery, endpoints);
+    if (sendError) {
+      summary.errors.push(`${delivery.id}: ${sendError.message}`);
+      continue;
+    }
+    if (!updated) continue;
+    summary.processed += 1;
+    if (updated.status === "delivered") summary.delivered += 1;
+    if (updated.status === "failed") summary.failed += 1;
+  }
+  return summary;
+}
+
+/**
+ * Sends a failed delivery again with a fresh attempt budget. Resolves to
+ * { data: delivery, error }; data is null when it is not in a replayable state.
+ */
+export async function replayDelivery(repo, delivery, replayedBy) {
+  const { data: reset, error } = await repo.webhookDeliveries.update(
+    delivery.id,
+    {
+      status: "pending",
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+      replayed_by: replayedBy,
+      replayed_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    },
+    { status: "failed" }
+  );
+  if (error || !reset) return { data: null, error };
+  return attemptDelivery(repo, reset);
+}
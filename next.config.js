@@ -2,7 +2,9 @@ module.exports = {
   async headers() {
     return [
       {
-        source: '/api/:path*',
+        // Admin routes set their own CORS headers from ADMIN_CORS_ORIGINS
+        // (lib/cors.js); a wildcard here would override that allow-list.
+        source: '/api/:path((?!admin(?:/|$)).*)',
         headers: [
           { key: 'Access-Control-Allow-Credentials', value: 'true' },
           { key: 'Access-Control-Allow-Origin', value: '*' },
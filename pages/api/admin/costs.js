@@ -0,0 +1,73 @@
+import { requireStaff, resolvePropertyScope } from '../../../lib/adminAuth';
+import { setAdminCors } from '../../../lib/cors';
+import { COST_GROUPS, summarizeCosts } from '../../../lib/costs';
+import { getRepository } from '../../../lib/db';
+import { addDays, isDay } from '../../../lib/params';
+
+const MAX_DAYS = 366;
+
+export default async function handler(req, res) {
+  setAdminCors(req, res);
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Spend and billing figures are for managers only.
+  const staff = requireStaff(req, res, 'manager');
+  if (!staff) return;
+
+  const propertyId = resolvePropertyScope(staff, req.query.property);
+  if (propertyId === undefined) return res.status(403).json({ error: 'No access to this property' });
+
+  // Inclusive UTC day range; defaults to the current month so far.
+  const today = new Date().toISOString().slice(0, 10);
+  const to = String(req.query.to || today);
+  const from = String(req.query.from || `${to.slice(0, 7)}-01`);
+  const group = String(req.query.group || 'month');
+
+  if (!isDay(from) || !isDay(to)) {
+    return res.status(400).json({ error: 'from and to must be YYYY-MM-DD' });
+  }
+  if (from > to) return res.status(400).json({ error: 'from must not be after to' });
+  if (addDays(from, MAX_DAYS) <= to) {
+    return res.status(400).json({ error: `Date range is limited to ${MAX_DAYS} days` });
+  }
+  if (!COST_GROUPS.includes(group)) {
+    return res.status(400).json({ error: `group must be one of ${COST_GROUPS.join(', ')}` });
+  }
+
+  try {
+    const { data, error } = await getRepository().costs.listBetween(
+      `${from}T00:00:00.000Z`,
+      `${addDays(to, 1)}T00:00:00.000Z`,
+      propertyId
+    );
+    if (error) return res.status(500).json({ error: error.message });
+
+    const rows = data || [];
+    const [total] = summarizeCosts(rows, 'all');
+
+    return res.json({
+      from,
+      to,
+      group,
+      property_id: propertyId,
+      totals: {
+        calls: total?.calls ?? 0,
+        attempts: total?.attempts ?? 0,
+        failed_calls: total?.failed_calls ?? 0,
+        cost_usd: total?.cost_usd ?? 0,
+        operations: total?.operations ?? {},
+      },
+      groups: summarizeCosts(rows, group),
+    });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+}
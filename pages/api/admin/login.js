@@ -0,0 +1,35 @@
+import { authenticateApiKey, issueSessionToken } from '../../../lib/adminAuth';
+import { setAdminCors } from '../../../lib/cors';
+
+// Exchanges a staff API key for a short-lived signed session token, so
+// dashboards do not need to keep the long-lived key around.
+export default async function handler(req, res) {
+  setAdminCors(req, res, { methods: 'POST,OPTIONS' });
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { api_key } = req.body || {};
+  const staff = authenticateApiKey(api_key || req.headers['x-admin-key']);
+  if (!staff) return res.status(401).json({ error: 'Unauthorized' });
+
+  const session = issueSessionToken(staff);
+  if (!session) {
+    return res.status(500).json({ error: 'Server misconfigured: missing ADMIN_SESSION_SECRET' });
+  }
+
+  return res.status(200).json({
+    success: true,
+    token: session.token,
+    expires_at: session.expires_at,
+    name: staff.name,
+    role: staff.role,
+    property: staff.property,
+  });
+}
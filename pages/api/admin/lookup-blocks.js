@@ -0,0 +1,81 @@
+import { requireStaff, resolvePropertyScope } from '../../../lib/adminAuth';
+import { setAdminCors } from '../../../lib/cors';
+import { getRepository } from '../../../lib/db';
+import { LIMIT_SCOPES } from '../../../lib/lookupLimiter';
+import { addDays, clampInt, isDay } from '../../../lib/params';
+
+const DEFAULT_DAYS = 7;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+export default async function handler(req, res) {
+  setAdminCors(req, res);
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Reservation lookups refused by the brute-force limiter, newest first.
+  // They carry client IPs and guessed reservation numbers, so managers only.
+  const staff = requireStaff(req, res, 'manager');
+  if (!staff) return;
+
+  const propertyId = resolvePropertyScope(staff, req.query.property);
+  if (propertyId === undefined) return res.status(403).json({ error: 'No access to this property' });
+
+  // Inclusive UTC day range; defaults to the last week.
+  const today = new Date().toISOString().slice(0, 10);
+  const to = String(req.query.to || today);
+  const from = String(req.query.from || addDays(to, 1 - DEFAULT_DAYS));
+  if (!isDay(from) || !isDay(to)) {
+    return res.status(400).json({ error: 'from and to must be YYYY-MM-DD' });
+  }
+  if (from > to) return res.status(400).json({ error: 'from must not be after to' });
+
+  const limit = clampInt(req.query.limit ?? DEFAULT_LIMIT, 1, MAX_LIMIT);
+
+  try {
+    const { data, error } = await getRepository().lookupBlocks.listBetween(
+      `${from}T00:00:00.000Z`,
+      `${addDays(to, 1)}T00:00:00.000Z`,
+      limit,
+      propertyId
+    );
+    if (error) return res.status(500).json({ error: error.message });
+
+    const blocks = (data || []).map((b) => ({
+      id: b.id,
+      created_at: b.created_at,
+      property_id: b.property_id ?? null,
+      session_token: b.session_token ?? null,
+      ip: b.ip ?? null,
+      reservation_norm: b.reservation_norm ?? null,
+      scope: b.scope,
+      reason: b.reason,
+      failures: b.failures ?? 0,
+      retry_after_seconds: b.retry_after_seconds ?? 0,
+    }));
+
+    return res.json({
+      from,
+      to,
+      property_id: propertyId,
+      limit,
+      totals: {
+        blocks: blocks.length,
+        lockouts: blocks.filter((b) => b.reason === 'lockout').length,
+        by_scope: Object.fromEntries(
+          LIMIT_SCOPES.map((scope) => [scope, blocks.filter((b) => b.scope === scope).length])
+        ),
+      },
+      blocks,
+    });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,303 @@
+import { canAccessProperty, requireStaff, resolvePropertyScope } from '../../../lib/adminAuth';
+import { withStepTime } from '../../../lib/analytics';
+import { setAdminCors } from '../../../lib/cors';
+import { getRepository } from '../../../lib/db';
+import { toGuestSummary } from '../../../lib/guests';
+import { clampInt } from '../../../lib/params';
+import { getVerificationProvider } from '../../../lib/providers';
+import { REVIEW_DECISIONS, getReviewUrlTtlSeconds, reviewFlags } from '../../../lib/review';
+import { sessionState, stateAfterFaceCheck } from '../../../lib/sessionState';
+import { emitWebhookEvent } from '../../../lib/webhooks';
+
+const MAX_QUEUE = 100;
+const MAX_REASON_LENGTH = 500;
+
+// States in which approving a failed guest can still advance the session.
+const APPROVABLE_STATES = ['guest', 'document', 'selfie'];
+
+async function listQueue(repo, limit, propertyId) {
+  const { data: pending, error } = await repo.guests.listPendingReview(limit, propertyId);
+  if (error) return { data: null, error };
+
+  const tokens = [...new Set((pending || []).map((g) => g.session_token))];
+  const sessions = {};
+  await Promise.all(
+    tokens.map(async (token) => {
+      const { data } = await repo.sessions.get(token, [
+        'guest_name',
+        'room_number',
+        'state',
+        'expires_at',
+      ]);
+      sessions[token] = data || {};
+    })
+  );
+
+  return {
+    data: (pending || []).map((g) => ({
+      session_token: g.session_token,
+      property_id: g.property_id ?? null,
+      guest_index: g.guest_index,
+      guest_name: sessions[g.session_token]?.guest_name ?? null,
+      room_number: sessions[g.session_token]?.room_number ?? null,
+      session_state: sessions[g.session_token]?.state ?? null,
+      verdict: g.verdict ?? null,
+      verdict_reasons: g.verdict_reasons ?? [],
+      flags: reviewFlags(g),
+      attempts: g.attempts ?? 0,
+      face_match_score: g.face_match_score ?? null,
+      liveness_score: g.liveness_score ?? null,
+      name_match_verdict: g.name_match_verdict ?? null,
+      waiting_since: g.updated_at ?? null,
+    })),
+    error: null,
+  };
+}
+
+async function presignOrNull(storage, key, ttl) {
+  if (!key) return null;
+  try {
+    return await storage.presign(key, ttl);
+  } catch (e) {
+    console.warn(`Presign failed for ${key}:`, e?.message || e);
+    return null;
+  }
+}
+
+export default async function handler(req, res) {
+  setAdminCors(req, res, { methods: 'GET,POST,OPTIONS' });
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Reviewers see document images and guest data.
+  const staff = requireStaff(req, res, 'front_desk');
+  if (!staff) return;
+
+  try {
+    const repo = getRepository();
+
+    if (req.method === 'GET' && !req.query.session_token) {
+      const propertyId = resolvePropertyScope(staff, req.query.property);
+      if (propertyId === undefined) return res.status(403).json({ error: 'No access to this property' });
+
+      const limit = clampInt(req.query.limit ?? 50, 1, MAX_QUEUE);
+      const { data: queue, error } = await listQueue(repo, limit, propertyId);
+      if (error) return res.status(500).json({ error: error.message });
+      return res.json({ success: true, queue });
+    }
+
+    if (req.method === 'GET') {
+      const sessionToken = String(req.query.session_token);
+      const guestIndex = clampInt(req.query.guest_index, 1, 10);
+
+      const { data: guest, error } = await repo.guests.get(sessionToken, guestIndex);
+      if (error) return res.status(500).json({ error: error.message });
+      if (!guest || !canAccessProperty(staff, guest.property_id)) {
+        return res.status(404).json({ error: 'Guest not found' });
+      }
+
+      const { data: session } = await repo.sessions.get(sessionToken, [
+        'guest_name',
+        'room_number',
+        'state',
+        'status',
+        'expected_guest_count',
+        'verified_guest_count',
+        'expires_at',
+        'images_deleted_at',
+      ]);
+      const { data: history } = await repo.reviewAudit.listForGuest(sessionToken, guestIndex);
+
+      const storage = getVerificationProvider().storage;
+      const ttl = getReviewUrlTtlSeconds();
+      // Retention cleanup may already have deleted the images.
+      const imagesDeleted = Boolean(session?.images_deleted_at);
+      const [documentUrl, selfieUrl] = await Promise.all([
+        presignOrNull(storage, imagesDeleted ? null : guest.document_key, ttl),
+        presignOrNull(storage, imagesDeleted ? null : guest.selfie_key, ttl),
+      ]);
+
+      return res.json({
+        success: true,
+        session_token: sessionToken,
+        session: session || null,
+        guest: toGuestSummary(guest),
+        flags: reviewFlags(guest),
+        document_url: documentUrl,
+        selfie_url: selfieUrl,
+        urls_expire_at: new Date(Date.now() + ttl * 1000).toISOString(),
+        history: history || [],
+      });
+    }
+
+    const { session_token, guest_index, decision, reason } = req.body || {};
+    if (!session_token) return res.status(400).json({ error: 'session_token required' });
+    if (!REVIEW_DECISIONS.includes(decision)) {
+      return res.status(400).json({ error: `decision must be one of ${REVIEW_DECISIONS.join(', ')}` });
+    }
+    const reasonText = typeof reason === 'string' ? reason.trim() : '';
+    if (!reasonText) return res.status(400).json({ error: 'reason required' });
+    if (reasonText.length > MAX_REASON_LENGTH) {
+      return res.status(400).json({ error: `reason must be at most ${MAX_REASON_LENGTH} characters` });
+    }
+
+    const guestIndex = clampInt(guest_index, 1, 10);
+    const { data: guest, error: guestError } = await repo.guests.get(session_token, guestIndex);
+    if (guestError) return res.status(500).json({ error: guestError.message });
+    if (!guest || !canAccessProperty(staff, guest.property_id)) {
+      return res.status(404).json({ error: 'Guest not found' });
+    }
+    if (guest.review_status !== 'pending') {
+      return res.status(409).json({ error: 'Guest is not awaiting review' });
+    }
+
+    const { data: session, error: sessionError } = await repo.sessions.get(session_token);
+    if (sessionError || !session) return res.status(404).json({ error: 'Session not found' });
+
+    const expected = clampInt(session.expected_guest_count, 1, 10);
+    const verifiedBefore = clampInt(session.verified_guest_count, 0, 10);
+
+    // Approving a failed guest counts as the pass they did not get; a flagged
+    // guest who already passed is only confirmed.
+    const advances = decision === 'approve' && guest.verdict !== 'verified';
+    // Rejecting a guest who passed takes back the pass they were counted for.
+    const retracts = decision === 'reject' && guest.verdict === 'verified';
+    if (advances) {
+      if (guestIndex !== verifiedBefore + 1) {
+        return res.status(409).json({ error: `Guest ${guestIndex} is not the guest being verified` });
+      }
+      const state = sessionState(session);
+      if (!APPROVABLE_STATES.includes(state)) {
+        return res.status(409).json({ error: `Session in state "${state}" cannot be advanced` });
+      }
+    }
+
+    const now = new Date().toISOString();
+    const newVerdict = decision === 'approve' ? 'verified' : 'rejected';
+
+    // Conditional on review_status so two reviewers cannot both decide.
+    const { data: claimed, error: claimError } = await repo.guests.update(
+      session_token,
+      guestIndex,
+      {
+        review_status: decision === 'approve' ? 'approved' : 'rejected',
+        verdict: newVerdict,
+        reviewed_by: staff.name,
+        reviewed_at: now,
+      },
+      { review_status: 'pending' }
+    );
+    if (claimError) return res.status(500).json({ error: claimError.message });
+    if (!claimed) return res.status(409).json({ error: 'Guest was reviewed by another request' });
+
+    const verifiedAfter = advances
+      ? Math.min(verifiedBefore + 1, expected)
+      : retracts
+      ? Math.max(verifiedBefore - 1, 0)
+      : verifiedBefore;
+    const requiresAdditionalGuest = verifiedAfter < expected;
+
+    const { data: audit, error: auditError } = await repo.reviewAudit.append({
+      session_token,
+      guest_index: guestIndex,
+      decision,
+      reason: reasonText,
+      reviewer_name: staff.name,
+      reviewer_role: staff.role,
+      previous_verdict: guest.verdict ?? null,
+      new_verdict: newVerdict,
+      details: {
+        flags: reviewFlags(guest),
+        verdict_reasons: guest.verdict_reasons ?? [],
+        verified_guest_count: verifiedAfter,
+      },
+    });
+
+    // No decision without its audit record.
+    if (auditError) {
+      await repo.guests.update(session_token, guestIndex, {
+        review_status: 'pending',
+        verdict: guest.verdict ?? null,
+        reviewed_by: guest.reviewed_by ?? null,
+        reviewed_at: guest.reviewed_at ?? null,
+      });
+      console.error('Review audit insert failed:', auditError);
+      return res.status(500).json({ error: 'Failed to record review decision' });
+    }
+
+    let sessionPatch = null;
+    if (advances) {
+      sessionPatch = {
+        status: requiresAdditionalGuest ? 'partial_verified' : 'verified',
+        state: stateAfterFaceCheck({ guestVerified: true, requiresAdditionalGuest, documentFailed: false }),
+        current_step: requiresAdditionalGuest ? 'document' : 'results',
+        is_verified: !requiresAdditionalGuest,
+        verified_guest_count: verifiedAfter,
+        requires_additional_guest: requiresAdditionalGuest,
+        step_times: requiresAdditionalGuest
+          ? session.step_times
+          : withStepTime(session.step_times, 'results', new Date(now)),
+        updated_at: now,
+      };
+    } else if (decision === 'reject') {
+      // A rejected guest has to check in at the desk; stop the online flow.
+      sessionPatch = {
+        status: 'rejected',
+        state: 'locked',
+        is_verified: false,
+        verified_guest_count: verifiedAfter,
+        requires_additional_guest: requiresAdditionalGuest,
+        updated_at: now,
+      };
+    }
+
+    if (sessionPatch) {
+      const { error: updateError } = await repo.sessions.update(session_token, sessionPatch);
+      if (updateError) {
+        console.error('Review session update failed:', updateError);
+        return res.status(500).json({ error: 'Decision recorded but session update failed' });
+      }
+    }
+
+    // A manual approval is the pass the guest did not get from the face check.
+    if (advances) {
+      const webhook = { propertyId: guest.property_id ?? null, sessionToken: session_token };
+      await emitWebhookEvent(repo, {
+        ...webhook,
+        event: 'guest.verified',
+        data: {
+          guest_index: guestIndex,
+          reviewed_by: staff.name,
+          verified_guest_count: verifiedAfter,
+          expected_guest_count: expected,
+        },
+      });
+      if (!requiresAdditionalGuest) {
+        await emitWebhookEvent(repo, {
+          ...webhook,
+          event: 'session.verified',
+          data: { verified_guest_count: verifiedAfter, expected_guest_count: expected },
+        });
+      }
+    }
+
+    return res.json({
+      success: true,
+      decision,
+      guest: toGuestSummary(claimed),
+      verified_guest_count: verifiedAfter,
+      requires_additional_guest: requiresAdditionalGuest,
+      audit_id: audit?.id ?? null,
+    });
+  } catch (error) {
+    console.error('Review error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
@@ -1,16 +1,106 @@
-import { createClient } from '@supabase/supabase-js';
+import { canViewPii, requireStaff, resolvePropertyScope } from '../../../lib/adminAuth';
+import { setAdminCors } from '../../../lib/cors';
+import { getRepository } from '../../../lib/db';
+import { decodeCursor } from '../../../lib/db/cursor';
+import { SESSION_SORT_COLUMNS } from '../../../lib/db/sessionSummary';
+import { addDays, isDay } from '../../../lib/params';
 
-const supabase = createClient(
-  process.env.NEXT_PUBLIC_SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
-);
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+const TIMESTAMP_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d{1,6})?)?(?:Z|[+-]\d{2}:\d{2})$/;
+
+// Hidden from viewers.
+const SESSION_PII = ['guest_name', 'room_number'];
+
+function toGuestListItem(g) {
+  return {
+    guest_index: g.guest_index,
+    verdict: g.verdict ?? null,
+    verdict_reasons: g.verdict_reasons ?? [],
+    attempts: g.attempts ?? 0,
+    face_match_score: g.face_match_score ?? null,
+    liveness_score: g.liveness_score ?? null,
+    verification_score: g.verification_score ?? null,
+    name_match_verdict: g.name_match_verdict ?? null,
+    tm30_status: g.tm30_status ?? null,
+    updated_at: g.updated_at ?? null,
+  };
+}
+
+function omit(row, keys) {
+  const copy = { ...row };
+  for (const key of keys) delete copy[key];
+  return copy;
+}
+
+// The booked guest name recorded with the reservation match is PII too.
+function withoutPii(row) {
+  const copy = omit(row, SESSION_PII);
+  if (copy.reservation_match) copy.reservation_match = omit(copy.reservation_match, ['guest_name']);
+  return copy;
+}
+
+// `from`/`to` accept a day (to is inclusive) or a full ISO timestamp on a
+// real calendar day; anything else is undefined.
+function parseBound(value, endOfDay) {
+  if (!value) return null;
+  const v = String(value);
+  if (isDay(v)) return `${endOfDay ? addDays(v, 1) : v}T00:00:00.000Z`;
+  if (!TIMESTAMP_RE.test(v) || !isDay(v.slice(0, 10))) return undefined;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? undefined : d.toISOString();
+}
+
+/** Validates the query string; returns { options } or { error }. */
+function parseListQuery(query) {
+  const filters = {};
+  for (const column of ['status', 'current_step', 'tm30_status']) {
+    if (query[column]) filters[column] = String(query[column]);
+  }
+
+  if (query.is_verified !== undefined) {
+    if (!['true', 'false'].includes(query.is_verified)) {
+      return { error: 'is_verified must be true or false' };
+    }
+    filters.is_verified = query.is_verified === 'true';
+  }
+
+  const from = parseBound(query.from, false);
+  const to = parseBound(query.to, true);
+  if (from === undefined || to === undefined) {
+    return { error: 'from and to must be YYYY-MM-DD or ISO timestamps' };
+  }
+  if (from) filters.from = from;
+  if (to) filters.to = to;
+
+  const q = String(query.q || '').trim();
+  if (q.length > 100) return { error: 'q must be at most 100 characters' };
+  if (q) filters.q = q.replace(/[%*]/g, '');
+
+  const sort = String(query.sort || 'created_at');
+  if (!SESSION_SORT_COLUMNS.includes(sort)) {
+    return { error: `sort must be one of ${SESSION_SORT_COLUMNS.join(', ')}` };
+  }
+
+  const order = String(query.order || 'desc');
+  if (!['asc', 'desc'].includes(order)) return { error: 'order must be asc or desc' };
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) return { error: 'Invalid cursor' };
+  }
+
+  return { options: { filters, sort, order, limit, cursor } };
+}
 
 export default async function handler(req, res) {
-  // CORS headers
-  res.setHeader('Access-Control-Allow-Credentials', 'true');
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version');
+  setAdminCors(req, res);
 
   if (req.method === 'OPTIONS') {
     res.status(200).end();
@@ -21,14 +111,45 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  const staff = requireStaff(req, res, 'viewer');
+  if (!staff) return;
+
+  const { options, error: queryError } = parseListQuery(req.query || {});
+  if (queryError) return res.status(400).json({ error: queryError });
+
+  // Matching on guest names would reveal them to roles that cannot see them.
+  const showPii = canViewPii(staff);
+  if (options.filters.q && !showPii) {
+    return res.status(403).json({ error: 'Searching by guest name requires access to guest details' });
+  }
+
+  const propertyId = resolvePropertyScope(staff, req.query?.property);
+  if (propertyId === undefined) return res.status(403).json({ error: 'No access to this property' });
+  if (propertyId) options.filters.property_id = propertyId;
+
   try {
-    const { data } = await supabase
-      .from('demo_sessions')
-      .select('*')
-      .order('created_at', { ascending: false })
-      .limit(20);
-    
-    return res.json(data || []);
+    const repo = getRepository();
+    const { data: page, error } = await repo.sessions.search(options);
+    if (error) return res.status(500).json({ error: error.message });
+
+    const { data: guestsBySession, error: guestsError } = await repo.guests.listForSessions(
+      page.rows.map((s) => s.session_token)
+    );
+    if (guestsError) {
+      console.warn('Guest records lookup failed:', guestsError.message);
+    }
+
+    const sessions = page.rows.map((s) => ({
+      ...(showPii ? s : withoutPii(s)),
+      guests: (guestsBySession?.[s.session_token] || []).map(toGuestListItem),
+    }));
+
+    return res.json({
+      sessions,
+      total: page.total,
+      limit: options.limit,
+      next_cursor: page.next_cursor,
+    });
   } catch (error) {
     return res.status(500).json({ error: error.message });
   }
@@ -1,16 +1,24 @@
-import { createClient } from '@supabase/supabase-js';
+import { requireStaff, resolvePropertyScope } from '../../../lib/adminAuth';
+import { BUCKETS, summarizeSessions } from '../../../lib/analytics';
+import { setAdminCors } from '../../../lib/cors';
+import { getRepository } from '../../../lib/db';
+import { addDays, isDay } from '../../../lib/params';
 
-const supabase = createClient(
-  process.env.NEXT_PUBLIC_SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
-);
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 366;
+
+const ANALYTICS_COLUMNS = [
+  'session_token',
+  'created_at',
+  'status',
+  'state',
+  'is_verified',
+  'step_times',
+  'failures',
+];
 
 export default async function handler(req, res) {
-  // CORS headers
-  res.setHeader('Access-Control-Allow-Credentials', 'true');
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version');
+  setAdminCors(req, res);
 
   if (req.method === 'OPTIONS') {
     res.status(200).end();
@@ -21,17 +29,44 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  const staff = requireStaff(req, res, 'viewer');
+  if (!staff) return;
+
+  const propertyId = resolvePropertyScope(staff, req.query.property);
+  if (propertyId === undefined) return res.status(403).json({ error: 'No access to this property' });
+
+  // Inclusive UTC day range; defaults to the last 30 days.
+  const today = new Date().toISOString().slice(0, 10);
+  const to = String(req.query.to || today);
+  const from = String(req.query.from || addDays(to, 1 - DEFAULT_DAYS));
+  const bucket = String(req.query.bucket || 'day');
+
+  if (!isDay(from) || !isDay(to)) {
+    return res.status(400).json({ error: 'from and to must be YYYY-MM-DD' });
+  }
+  if (from > to) return res.status(400).json({ error: 'from must not be after to' });
+  if (addDays(from, MAX_DAYS) <= to) {
+    return res.status(400).json({ error: `Date range is limited to ${MAX_DAYS} days` });
+  }
+  if (!BUCKETS.includes(bucket)) {
+    return res.status(400).json({ error: `bucket must be one of ${BUCKETS.join(', ')}` });
+  }
+
   try {
-    const { data } = await supabase
-      .from('demo_stats')
-      .select('*')
-      .eq('date', new Date().toISOString().split('T')[0])
-      .single();
-    
-    return res.json(data || {
-      total_verifications: 0,
-      successful_verifications: 0,
-      total_cost_usd: 0
+    const { data: sessions, error } = await getRepository().sessions.listCreatedBetween(
+      `${from}T00:00:00.000Z`,
+      `${addDays(to, 1)}T00:00:00.000Z`,
+      ANALYTICS_COLUMNS,
+      propertyId
+    );
+    if (error) return res.status(500).json({ error: error.message });
+
+    return res.json({
+      from,
+      to,
+      bucket,
+      property_id: propertyId,
+      ...summarizeSessions(sessions || [], { bucket }),
     });
   } catch (error) {
     return res.status(500).json({ error: error.message });
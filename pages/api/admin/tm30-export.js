@@ -0,0 +1,158 @@
+import crypto from 'crypto';
+import { requireStaff, resolvePropertyScope } from '../../../lib/adminAuth';
+import { setAdminCors } from '../../../lib/cors';
+import { getRepository } from '../../../lib/db';
+import { isDay } from '../../../lib/params';
+import { buildTm30Rows, toTm30Csv } from '../../../lib/tm30';
+
+function generateBatchId() {
+  const day = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `tm30_${day}_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+// Calendar day of arrival (YYYY-MM-DD) without shifting ISO dates through UTC.
+function arrivalDay(info) {
+  const v = String(info?.arrival_date_time || '').trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(v)) return v.slice(0, 10);
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString().slice(0, 10);
+}
+
+async function buildCsv(repo, sessions) {
+  const { data: guestsBySession, error } = await repo.guests.listForSessions(
+    sessions.map((s) => s.session_token)
+  );
+  if (error) throw new Error(`Failed to load guest records: ${error.message}`);
+
+  const rows = sessions.flatMap((s) => buildTm30Rows(s, guestsBySession[s.session_token] || []));
+  return { rows, csv: toTm30Csv(rows) };
+}
+
+function sendCsv(res, batchId, csv) {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${batchId}.csv"`);
+  res.setHeader('X-TM30-Batch-Id', batchId);
+  return res.status(200).send(csv);
+}
+
+export default async function handler(req, res) {
+  setAdminCors(req, res, {
+    methods: 'GET,POST,OPTIONS',
+    exposeHeaders: 'Content-Disposition, X-TM30-Batch-Id',
+  });
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // The export file is full guest PII, so viewers cannot download it.
+  const staff = requireStaff(req, res, 'front_desk');
+  if (!staff) return;
+
+  try {
+    const repo = getRepository();
+
+    // Re-download a previous batch; never changes state.
+    if (req.method === 'GET') {
+      const batchId = String(req.query.batch_id || '');
+      if (!batchId) return res.status(400).json({ error: 'batch_id required' });
+
+      const { data: sessions, error } = await repo.sessions.listByTm30Batch(batchId, staff.property);
+
+      if (error) return res.status(500).json({ error: error.message });
+      if (!sessions || sessions.length === 0) {
+        return res.status(404).json({ error: 'Batch not found' });
+      }
+
+      const { csv } = await buildCsv(repo, sessions);
+      return sendCsv(res, batchId, csv);
+    }
+
+    // Sessions are picked by the property that started them, never by the
+    // accommodation name in tm30_info, which the guest can edit. `property`
+    // only labels the batch.
+    const { property, property_id, from, to, dry_run } = req.body || {};
+
+    const propertyId = resolvePropertyScope(staff, property_id);
+    if (propertyId === undefined) return res.status(403).json({ error: 'No access to this property' });
+    if (!propertyId) return res.status(400).json({ error: 'property_id required' });
+
+    if (!isDay(from) || !isDay(to)) {
+      return res.status(400).json({ error: 'from and to must be YYYY-MM-DD' });
+    }
+    if (from > to) return res.status(400).json({ error: 'from must not be after to' });
+
+    const { data: ready, error: readyError } = await repo.sessions.listTm30Ready(propertyId);
+
+    if (readyError) return res.status(500).json({ error: readyError.message });
+
+    const inRange = (ready || []).filter((s) => {
+      const day = arrivalDay(s.tm30_info);
+      return day && day >= from && day <= to;
+    });
+
+    if (inRange.length === 0) {
+      return res.status(404).json({ error: 'No verified, ready TM30 records for this property and date range' });
+    }
+
+    if (dry_run) {
+      const { rows } = await buildCsv(repo, inRange);
+      return res.status(200).json({
+        success: true,
+        dry_run: true,
+        session_count: inRange.length,
+        row_count: rows.length,
+        rows,
+      });
+    }
+
+    const batchId = generateBatchId();
+    const exportedAt = new Date().toISOString();
+
+    // Claim only rows that are still "ready" so two concurrent exports can
+    // never put the same guest into two files, and only verified sessions,
+    // which a review rejection may have changed since the listing.
+    const { data: claimed, error: claimError } = await repo.sessions.updateMany(
+      inRange.map((s) => s.session_token),
+      {
+        tm30_status: 'exported',
+        tm30_export_batch_id: batchId,
+        tm30_exported_at: exportedAt,
+        updated_at: exportedAt,
+      },
+      { tm30_status: 'ready', is_verified: true }
+    );
+
+    if (claimError) return res.status(500).json({ error: claimError.message });
+    if (!claimed || claimed.length === 0) {
+      return res.status(409).json({ error: 'Records were exported by another request' });
+    }
+
+    const { rows, csv } = await buildCsv(repo, claimed);
+
+    const { error: batchError } = await repo.tm30Batches.create({
+      batch_id: batchId,
+      property: property || propertyId,
+      property_id: propertyId,
+      arrival_from: from,
+      arrival_to: to,
+      session_count: claimed.length,
+      row_count: rows.length,
+      exported_by: staff.name,
+      created_at: exportedAt,
+    });
+    if (batchError) {
+      console.warn('tm30_export_batches insert failed (non-blocking):', batchError.message);
+    }
+
+    return sendCsv(res, batchId, csv);
+  } catch (error) {
+    console.error('TM30 export error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
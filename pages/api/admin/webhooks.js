@@ -0,0 +1,87 @@
+import { canAccessProperty, requireStaff, resolvePropertyScope } from '../../../lib/adminAuth';
+import { setAdminCors } from '../../../lib/cors';
+import { getRepository } from '../../../lib/db';
+import { clampInt } from '../../../lib/params';
+import { DELIVERY_STATUSES, replayDelivery } from '../../../lib/webhooks';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function toDeliveryItem(d) {
+  return {
+    id: d.id,
+    event_id: d.event_id,
+    event: d.event,
+    endpoint_id: d.endpoint_id,
+    property_id: d.property_id ?? null,
+    session_token: d.session_token ?? null,
+    status: d.status,
+    attempts: d.attempts ?? 0,
+    next_attempt_at: d.next_attempt_at ?? null,
+    last_attempt_at: d.last_attempt_at ?? null,
+    last_status_code: d.last_status_code ?? null,
+    last_error: d.last_error ?? null,
+    delivered_at: d.delivered_at ?? null,
+    replayed_by: d.replayed_by ?? null,
+    replayed_at: d.replayed_at ?? null,
+    created_at: d.created_at,
+  };
+}
+
+export default async function handler(req, res) {
+  setAdminCors(req, res, { methods: 'GET,POST,OPTIONS' });
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Delivery log and replay of outbound webhooks.
+  const staff = requireStaff(req, res, 'manager');
+  if (!staff) return;
+
+  try {
+    const repo = getRepository();
+
+    if (req.method === 'GET') {
+      const propertyId = resolvePropertyScope(staff, req.query.property);
+      if (propertyId === undefined) return res.status(403).json({ error: 'No access to this property' });
+
+      const status = req.query.status ? String(req.query.status) : null;
+      if (status && !DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of ${DELIVERY_STATUSES.join(', ')}` });
+      }
+      const limit = clampInt(req.query.limit ?? DEFAULT_LIMIT, 1, MAX_LIMIT);
+
+      const { data, error } = await repo.webhookDeliveries.list({ status, limit }, propertyId);
+      if (error) return res.status(500).json({ error: error.message });
+      return res.json({ deliveries: (data || []).map(toDeliveryItem), limit });
+    }
+
+    const { delivery_id } = req.body || {};
+    const id = Number(delivery_id);
+    if (!Number.isInteger(id) || id < 1) return res.status(400).json({ error: 'delivery_id required' });
+
+    const { data: delivery, error } = await repo.webhookDeliveries.get(id);
+    if (error) return res.status(500).json({ error: error.message });
+    if (!delivery || !canAccessProperty(staff, delivery.property_id)) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    if (delivery.status !== 'failed') {
+      return res.status(409).json({ error: 'Only failed deliveries can be replayed' });
+    }
+
+    const { data: replayed, error: replayError } = await replayDelivery(repo, delivery, staff.name);
+    if (replayError) return res.status(500).json({ error: replayError.message });
+    if (!replayed) return res.status(409).json({ error: 'Delivery is already being replayed' });
+
+    console.log(`Webhook delivery ${id} replayed by ${staff.name}: ${replayed.status}`);
+    return res.json({ success: true, delivery: toDeliveryItem(replayed) });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+}
@@ -1,14 +1,15 @@
 import crypto from "crypto";
+import fs from "fs/promises";
 import formidable from "formidable";
-import { createClient } from "@supabase/supabase-js";
+import { ConfigError } from "../../../lib/config";
+import { parseBookingEmail } from "../../../lib/bookingParsers";
+import { collectEmailContent } from "../../../lib/bookingParsers/content";
+import { getRepository } from "../../../lib/db";
+import { propertyForRecipient } from "../../../lib/properties";
+import { recordBookingEmail } from "../../../lib/reservations";
 
 export const config = { api: { bodyParser: false } };
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-);
-
 function setCors(res) {
   res.setHeader("Access-Control-Allow-Credentials", "true");
   res.setHeader("Access-Control-Allow-Origin", "*");
@@ -35,9 +36,55 @@ function toStr(v) {
   return v.toString?.() ?? "";
 }
 
-function verifyMailgunSignature(fields) {
+// Mailgun posts attachments as attachment-1 .. attachment-N.
+async function readAttachments(files) {
+  const list = Object.entries(files || {})
+    .filter(([name]) => /^attachment-\d+$/.test(name))
+    .flatMap(([, value]) => (Array.isArray(value) ? value : [value]));
+
+  return Promise.all(
+    list.map(async (file) => ({
+      filename: file.originalFilename || file.newFilename || "",
+      contentType: file.mimetype || "",
+      content: await fs.readFile(file.filepath),
+    }))
+  );
+}
+
+// The first body (plain text, then HTML) a parser can read a booking from,
+// or the first body's failure when none can.
+function parseCandidates({ from, subject, candidates, calendar }) {
+  let first = null;
+  for (const candidate of candidates) {
+    const parsed = { ...parseBookingEmail({ from, subject, text: candidate.text, calendar }), candidate };
+    if (parsed.booking) return parsed;
+    first ||= parsed;
+  }
+  return first;
+}
+
+const DEFAULT_MAX_AGE_SECONDS = 300;
+
+// A receipt still "processing" after this long belongs to a crashed request.
+const RECEIPT_STALE_MS = 10 * 60 * 1000;
+
+// How far `timestamp` may be from now, either way, before a webhook is stale.
+function getMaxAgeSeconds() {
+  const n = Number(process.env.MAILGUN_MAX_AGE_SECONDS);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_MAX_AGE_SECONDS;
+}
+
+// Unsigned webhooks are only accepted when explicitly allowed outside production.
+function allowUnsigned() {
+  return process.env.MAILGUN_ALLOW_UNSIGNED === "true" && process.env.NODE_ENV !== "production";
+}
+
+function verifyMailgunSignature(fields, now = Date.now()) {
   const apiKey = process.env.MAILGUN_WEBHOOK_SIGNING_KEY;
-  if (!apiKey) return { ok: true, skipped: true };
+  if (!apiKey) {
+    if (allowUnsigned()) return { ok: true, skipped: true };
+    throw new ConfigError("missing MAILGUN_WEBHOOK_SIGNING_KEY", ["MAILGUN_WEBHOOK_SIGNING_KEY"]);
+  }
 
   const timestamp = toStr(fields.timestamp);
   const token = toStr(fields.token);
@@ -52,67 +99,133 @@ function verifyMailgunSignature(fields) {
     .update(timestamp + token)
     .digest("hex");
 
-  const ok = crypto.timingSafeEqual(
-    Buffer.from(hmac, "utf8"),
-    Buffer.from(signature, "utf8")
-  );
+  const expected = Buffer.from(hmac, "utf8");
+  const provided = Buffer.from(signature, "utf8");
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return { ok: false, reason: "Bad signature" };
+  }
 
-  return ok ? { ok: true, skipped: false } : { ok: false, reason: "Bad signature" };
-}
+  const maxAgeSeconds = getMaxAgeSeconds();
+  const ageSeconds = now / 1000 - Number(timestamp);
+  if (!Number.isFinite(ageSeconds) || Math.abs(ageSeconds) > maxAgeSeconds) {
+    return { ok: false, reason: "Stale timestamp" };
+  }
 
-function normLower(s) {
-  return (s || "").toLowerCase().replace(/\s+/g, " ").trim();
+  // Tokens are remembered a little longer than a timestamp stays fresh.
+  const tokenExpiresAt = new Date((Number(timestamp) + maxAgeSeconds * 2) * 1000).toISOString();
+  return { ok: true, skipped: false, token, tokenExpiresAt };
 }
 
-function normUpper(s) {
-  return (s || "").toUpperCase().replace(/\s+/g, "").trim();
+// Mailgun posts the original headers both as fields and as `message-headers`.
+function messageIdOf(fields) {
+  const direct = toStr(fields["Message-Id"]) || toStr(fields["message-id"]);
+  if (direct) return direct.trim();
+  try {
+    const headers = JSON.parse(toStr(fields["message-headers"]) || "[]");
+    const found = headers.find(([name]) => String(name).toLowerCase() === "message-id");
+    return found ? String(found[1]).trim() : "";
+  } catch {
+    return "";
+  }
 }
 
-/**
- * Extract fields from Cloudbeds-like email text.
- * Works for your sample:
- * Guest Name JANE DOE
- * Confirmation Number 986CVPX4KK
- * Source Expedia
- * Source Reservation ID 837124221
- * Adults: 1 Children: 0
- */
-function extractBooking(bodyText, subjectText = "") {
-  const text = bodyText || "";
-
-  const guestNameRaw =
-    (text.match(/Guest Name\s+([^\r\n]+)/i)?.[1] || "").trim();
+// What a receipt keeps to answer retries: never the extracted guest details.
+function receiptResult(body) {
+  return {
+    success: body.success,
+    parsed: body.parsed,
+    status: body.status ?? null,
+    booking_id: body.booking_id ?? null,
+    version: body.version ?? null,
+    unparsed_id: body.unparsed_id ?? null,
+  };
+}
 
-  const confirmationRaw =
-    (text.match(/Confirmation Number\s+([A-Z0-9-]+)/i)?.[1] || "").trim() ||
-    // fallback: sometimes it’s only in subject
-    (subjectText.match(/Confirmation Number\s+([A-Z0-9-]+)/i)?.[1] || "").trim();
+// Parses one inbound email and records the booking (or the failure to parse
+// it). Returns the { status, body } to answer Mailgun with.
+async function processEmail(repo, { property, recipient, from, subject, content, sig }) {
+  // 4) Pick the parser for this sender/format and extract the booking
+  const parsed = parseCandidates({ from, subject, ...content });
+  const bodyText = parsed.candidate.text;
+
+  // 5) Minimal, non-sensitive logs (THIS is where logging is controlled)
+  console.log("📩 Mailgun inbound received", {
+    property_id: property.id,
+    recipient,
+    from,
+    subject,
+    parser: parsed.parser,
+    event: parsed.event,
+    body_source: parsed.candidate.source,
+    extracted: parsed.booking,
+    bodyPreview: bodyText.slice(0, 200),
+  });
 
-  const sourceRaw =
-    (text.match(/Source\s+([^\r\n]+)/i)?.[1] || "").trim();
+  // 6) Keep emails we could not parse for follow-up instead of inserting a
+  // blank booking nobody can match. 200 so Mailgun does not retry them.
+  if (!parsed.booking) {
+    console.warn("Booking email not parsed:", parsed.reason, parsed.missing_fields);
+    const { data, error } = await repo.unparsedEmails.insert({
+      property_id: property.id,
+      recipient,
+      sender: from,
+      subject,
+      parser: parsed.parser,
+      reason: parsed.reason,
+      missing_fields: parsed.missing_fields,
+      raw_text: bodyText,
+    });
+    if (error) {
+      console.error("❌ Unparsed email insert error:", error);
+      return { status: 500, body: { success: false, error: "DB insert failed" } };
+    }
 
-  const sourceResIdRaw =
-    (text.match(/Source Reservation ID\s+([A-Z0-9-]+)/i)?.[1] || "").trim();
+    return {
+      status: 200,
+      body: {
+        success: true,
+        parsed: false,
+        verified: sig.skipped ? "skipped" : true,
+        reason: parsed.reason,
+        missing_fields: parsed.missing_fields,
+        parser: parsed.parser,
+        unparsed_id: data?.id,
+        property_id: property.id,
+      },
+    };
+  }
 
-  const adults =
-    parseInt(text.match(/Adults:\s*(\d+)/i)?.[1] || "0", 10) || 0;
+  // 7) Create, update or cancel the reservation in booking_email_index
+  const { data, error } = await recordBookingEmail(repo, {
+    propertyId: property.id,
+    parser: parsed.parser,
+    event: parsed.event,
+    booking: parsed.booking,
+    rawText: bodyText,
+  });
 
-  const children =
-    parseInt(text.match(/Children:\s*(\d+)/i)?.[1] || "0", 10) || 0;
+  if (error) {
+    console.error("❌ Booking upsert error:", error);
+    return { status: 500, body: { success: false, error: "DB insert failed" } };
+  }
 
   return {
-    guest_name_raw: guestNameRaw,
-    guest_name_norm: normLower(guestNameRaw),
-
-    confirmation_number_raw: confirmationRaw,
-    confirmation_number_norm: normUpper(confirmationRaw), // keeps your table style (no spaces, uppercase)
-
-    source_reservation_id_raw: sourceResIdRaw,
-    source_reservation_id_norm: normUpper(sourceResIdRaw),
-
-    source: sourceRaw || null,
-    adults,
-    children,
+    status: 200,
+    body: {
+      success: true,
+      parsed: true,
+      verified: sig.skipped ? "skipped" : true,
+      parser: parsed.parser,
+      event: parsed.event,
+      booking_id: data.booking_id,
+      version: data.version,
+      status: data.status,
+      created: data.created,
+      property_id: property.id,
+      recipient,
+      subject,
+      extracted: parsed.booking,
+    },
   };
 }
 
@@ -123,9 +236,9 @@ export default async function handler(req, res) {
   if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
 
   try {
-    const { fields } = await parseForm(req);
+    const { fields, files } = await parseForm(req);
  
-    // 1) Verify Mailgun authenticity (now that you added the key)
+    // 1) Verify Mailgun authenticity and freshness
     const sig = verifyMailgunSignature(fields);
     if (!sig.ok) {
       console.warn("❌ Mailgun signature failed:", sig.reason);
@@ -137,55 +250,87 @@ export default async function handler(req, res) {
     const from = toStr(fields.from);
     const subject = toStr(fields.subject);
 
-    // 3) Prefer stripped-text for parsing
-    const strippedText = toStr(fields["stripped-text"]);
-    const bodyPlain = toStr(fields["body-plain"]);
-    const bodyText = strippedText || bodyPlain || "";
-
-    // 4) Extract Cloudbeds fields (THIS is where extraction happens)
-    const extracted = extractBooking(bodyText, subject);
+    // Each property forwards its booking emails to its own inbound address.
+    // 406 tells Mailgun not to retry mail for an address nobody owns.
+    const property = propertyForRecipient(recipient);
+    if (!property) {
+      console.warn("Mailgun inbound for unknown recipient:", recipient);
+      return res.status(406).json({ success: false, error: "Unknown recipient" });
+    }
 
-    // 5) Minimal, non-sensitive logs (THIS is where logging is controlled)
-    console.log("📩 Mailgun inbound received", {
-      recipient,
-      from,
-      subject,
-      extracted,
-      bodyPreview: bodyText.slice(0, 200),
+    // 3) Prefer stripped-text for parsing, then the HTML body; PDF and
+    // calendar attachments add to whichever body is used.
+    const content = await collectEmailContent({
+      strippedText: toStr(fields["stripped-text"]),
+      bodyPlain: toStr(fields["body-plain"]),
+      bodyHtml: toStr(fields["body-html"]),
+      attachments: await readAttachments(files),
     });
 
-    // 6) Insert into your existing table booking_email_index
-    const { data, error } = await supabase
-      .from("booking_email_index")
-      .insert({
-        guest_name_raw: extracted.guest_name_raw,
-        guest_name_norm: extracted.guest_name_norm,
-        confirmation_number_raw: extracted.confirmation_number_raw,
-        confirmation_number_norm: extracted.confirmation_number_norm,
-        source_reservation_id_raw: extracted.source_reservation_id_raw,
-        source_reservation_id_norm: extracted.source_reservation_id_norm,
-        source: extracted.source,
-        raw_text: bodyText, // you already have raw_text in the table
-        adults: extracted.adults,
-        children: extracted.children,
-      })
-      .select("id")
-      .single();
+    const repo = getRepository();
+
+    // Mailgun retries deliver the same Message-Id; answer them with the
+    // first result instead of recording the booking again.
+    const messageId = messageIdOf(fields);
+    let receipt = null;
+    if (messageId) {
+      const { data: claim, error: claimError } = await repo.inboundReceipts.claim({
+        propertyId: property.id,
+        messageId,
+        staleBefore: new Date(Date.now() - RECEIPT_STALE_MS).toISOString(),
+      });
+      if (claimError) {
+        console.error("❌ Inbound receipt error:", claimError);
+        return res.status(500).json({ success: false, error: "DB insert failed" });
+      }
+      if (!claim.claimed) {
+        if (claim.receipt.status === "done") {
+          return res.status(200).json({ ...claim.receipt.result, duplicate: true });
+        }
+        return res.status(409).json({ success: false, error: "Message is already being processed" });
+      }
+      receipt = claim.receipt;
+    } else {
+      console.warn("Mailgun inbound without Message-Id; duplicates cannot be detected");
+    }
 
-    if (error) {
-      console.error("❌ Supabase insert error:", error);
-      return res.status(500).json({ success: false, error: "DB insert failed" });
+    // The signature does not cover the body, so a signed token is accepted
+    // once: a captured webhook cannot be replayed with different content.
+    if (sig.token) {
+      const { data: fresh, error: tokenError } = await repo.webhookTokens.claim(
+        sig.token,
+        sig.tokenExpiresAt
+      );
+      if (tokenError || !fresh) {
+        if (receipt) await repo.inboundReceipts.release(receipt.id);
+        if (tokenError) {
+          console.error("❌ Webhook token store error:", tokenError);
+          return res.status(500).json({ success: false, error: "DB insert failed" });
+        }
+        console.warn("❌ Mailgun webhook replayed:", sig.token);
+        return res.status(401).json({ success: false, error: "Unauthorized" });
+      }
     }
 
-    return res.status(200).json({
-      success: true,
-      verified: sig.skipped ? "skipped" : true,
-      inserted_id: data?.id,
-      recipient,
-      subject,
-      extracted,
-    });
+    let outcome = null;
+    try {
+      outcome = await processEmail(repo, { property, recipient, from, subject, content, sig });
+    } finally {
+      // Failures are retried by Mailgun, so let the retry through.
+      if (!outcome || outcome.status >= 300) {
+        if (receipt) await repo.inboundReceipts.release(receipt.id);
+        if (sig.token) await repo.webhookTokens.release(sig.token);
+      } else if (receipt) {
+        const { error: completeError } = await repo.inboundReceipts.complete(receipt.id, receiptResult(outcome.body));
+        if (completeError) console.warn("Inbound receipt update failed:", completeError.message);
+      }
+    }
+
+    return res.status(outcome.status).json(outcome.body);
   } catch (err) {
+    if (err instanceof ConfigError) {
+      return res.status(500).json({ success: false, error: `Server misconfigured: ${err.message}` });
+    }
     console.error("❌ inbound error:", err);
     return res.status(400).json({ success: false, error: "Parse failed" });
   }
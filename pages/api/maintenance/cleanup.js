@@ -1,4 +1,5 @@
 import { deleteOldSessionsAndImages } from '../../../lib/cleanup';
+import { requireCronSecret } from '../../../lib/cron';
 
 export default async function handler(req, res) {
   // CORS headers (optional for cron, but good practice)
@@ -15,23 +16,18 @@ export default async function handler(req, res) {
   }
   
   // Check for CRON_SECRET
-  const token = req.query.token || req.headers['x-cron-secret'];
-  const expectedSecret = process.env.CRON_SECRET;
-  
-  if (!expectedSecret) {
-    console.warn('CRON_SECRET not configured - cleanup endpoint is unprotected!');
-  } else if (token !== expectedSecret) {
-    console.error('Invalid cron token received');
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
+  if (!requireCronSecret(req, res, 'cleanup')) return;
   
   console.log('Starting scheduled cleanup job...');
   
   try {
-    const result = await deleteOldSessionsAndImages();
+    // Optional ?property= limits the run to one hotel; ?dry_run=true only
+    // reports what would be deleted.
+    const dryRun = req.query.dry_run === 'true' || req.query.dry_run === '1';
+    const result = await deleteOldSessionsAndImages({ propertyId: req.query.property || null, dryRun });
     
     if (result.success) {
-      console.log(`Cleanup successful: ${result.deletedSessions} sessions, ${result.deletedImages} images`);
+      console.log(`Cleanup ${dryRun ? 'dry run' : 'successful'}: ${result.deletedSessions} sessions, ${result.deletedImages} images`);
       return res.status(200).json(result);
     } else {
       console.error('Cleanup failed:', result.error);
@@ -0,0 +1,36 @@
+import { ConfigError } from '../../../lib/config';
+import { requireCronSecret } from '../../../lib/cron';
+import { getRepository } from '../../../lib/db';
+import { getVerificationProvider } from '../../../lib/providers';
+import { reconcileStorage } from '../../../lib/storageReconcile';
+
+// Finds uploads left behind by sessions that no longer exist and sessions
+// whose images are missing. Meant to run daily; ?dry_run=true only reports.
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!requireCronSecret(req, res, 'storage reconcile')) return;
+
+  const dryRun = req.query.dry_run === 'true' || req.query.dry_run === '1';
+
+  try {
+    const result = await reconcileStorage(getRepository(), getVerificationProvider(), { dryRun });
+    return res.status(200).json({ success: true, ...result, errors: result.errors.length ? result.errors : undefined });
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      return res.status(500).json({ success: false, error: `Server misconfigured: ${error.message}` });
+    }
+    console.error('Storage reconcile error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
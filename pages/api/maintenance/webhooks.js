@@ -0,0 +1,36 @@
+import { ConfigError } from '../../../lib/config';
+import { requireCronSecret } from '../../../lib/cron';
+import { getRepository } from '../../../lib/db';
+import { deliverDueWebhooks } from '../../../lib/webhooks';
+
+// Sends outbound webhook deliveries that are due, first attempts included.
+// Meant to run every minute; see lib/webhooks.js for the Vercel plan this needs.
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!requireCronSecret(req, res, 'webhook delivery')) return;
+
+  try {
+    const result = await deliverDueWebhooks(getRepository());
+    if (result.processed > 0) {
+      console.log(`Webhook retries: ${result.processed} processed, ${result.delivered} delivered, ${result.failed} failed`);
+    }
+    return res.status(200).json({ success: true, ...result, errors: result.errors.length ? result.errors : undefined });
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      return res.status(500).json({ success: false, error: `Server misconfigured: ${error.message}` });
+    }
+    console.error('Webhook retry error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
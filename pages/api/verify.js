@@ -1,27 +1,36 @@
 import crypto from "crypto";
-import { createClient } from "@supabase/supabase-js";
-import { S3Client, PutObjectCommand, GetObjectCommand } from "@aws-sdk/client-s3";
+import { withFailure, withStepTime } from "../../lib/analytics";
+import { ConfigError } from "../../lib/config";
+import { meterProvider } from "../../lib/costs";
+import { getRepository } from "../../lib/db";
+import { toGuestSummary } from "../../lib/guests";
+import { parseMrz } from "../../lib/mrz";
+import { compareNames } from "../../lib/nameMatch";
+import { normalizeReservationNumber } from "../../lib/names";
+import { evaluateDocumentValidity, normalizeDocumentDate } from "../../lib/documentChecks";
+import { MAX_FRAMES, MIN_FRAMES, checkSameFace, createChallenge, evaluateChallenge } from "../../lib/liveness";
+import { claimLookup, clientIp, lookupKeys, releaseLookup } from "../../lib/lookupLimiter";
+import { authenticateProperty } from "../../lib/properties";
+import { getVerificationProvider } from "../../lib/providers";
+import { matchReservation } from "../../lib/reservationMatch";
+import { reservationRefusal } from "../../lib/reservations";
+import { mrzCheckFailed, reviewStatusAfterFaceCheck } from "../../lib/review";
+import { emitWebhookEvent } from "../../lib/webhooks";
 import {
-  RekognitionClient,
-  CompareFacesCommand,
-  DetectFacesCommand,
-} from "@aws-sdk/client-rekognition";
-import { TextractClient, AnalyzeIDCommand } from "@aws-sdk/client-textract";
-
-const SUPABASE_URL = process.env.NEXT_PUBLIC_SUPABASE_URL;
-const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
-const AWS_REGION = process.env.AWS_REGION;
-const BUCKET = process.env.S3_BUCKET_NAME;
-
-if (!SUPABASE_URL) console.warn("Missing env: NEXT_PUBLIC_SUPABASE_URL");
-if (!SUPABASE_SERVICE_KEY) console.warn("Missing env: SUPABASE_SERVICE_KEY");
-if (!AWS_REGION) console.warn("Missing env: AWS_REGION");
-if (!BUCKET) console.warn("Missing env: S3_BUCKET_NAME");
-
-const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
-const s3 = new S3Client({ region: AWS_REGION });
-const rekognition = new RekognitionClient({ region: AWS_REGION });
-const textract = new TextractClient({ region: AWS_REGION });
+  ACTION_STATES,
+  SessionStateError,
+  assertActionAllowed,
+  isSessionExpired,
+  sessionExpiresAt,
+  sessionState,
+  stateAfterFaceCheck,
+} from "../../lib/sessionState";
+import {
+  computeTm30Statuses,
+  manualTm30Candidates,
+  mergeTm30Draft,
+  tm30CandidatesFromExtraction,
+} from "../../lib/tm30";
 
 function setCors(res) {
   res.setHeader("Access-Control-Allow-Credentials", "true");
@@ -29,7 +38,7 @@ function setCors(res) {
   res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS,POST");
   res.setHeader(
     "Access-Control-Allow-Headers",
-    "Content-Type, X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Date, X-Api-Version"
+    "Content-Type, X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Date, X-Api-Version, X-Property-Key"
   );
 }
 
@@ -37,14 +46,6 @@ function generateToken() {
   return crypto.randomBytes(9).toString("base64url");
 }
 
-async function streamToBuffer(readable) {
-  const chunks = [];
-  for await (const chunk of readable) {
-    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
-  }
-  return Buffer.concat(chunks);
-}
-
 function normalizeBase64(base64OrDataUrl) {
   if (typeof base64OrDataUrl !== "string") return null;
   if (base64OrDataUrl.startsWith("data:image/")) {
@@ -53,18 +54,6 @@ function normalizeBase64(base64OrDataUrl) {
   return base64OrDataUrl;
 }
 
-function normalizeGuestName(name) {
-  return String(name || "")
-    .toLowerCase()
-    .trim()
-    .replace(/\s+/g, " ")
-    .replace(/[^\p{L}\p{N}\s]/gu, "");
-}
-
-function normalizeReservationNumber(v) {
-  return String(v || "").toUpperCase().trim().replace(/[\s-]/g, "");
-}
-
 function inferStepFromSession(session) {
   if (!session) return "welcome";
   if (session?.current_step) return session.current_step;
@@ -80,149 +69,164 @@ function normalizeKey(k = "") {
   return String(k).trim().toLowerCase().replace(/\s+/g, "_");
 }
 
-function parseMrzTD3(mrz) {
-  try {
-    const clean = String(mrz || "")
-      .replace(/\r/g, "\n")
-      .split("\n")
-      .map((l) => l.trim())
-      .filter(Boolean)
-      .join("")
-      .replace(/\s+/g, "")
-      .toUpperCase();
-
-    const lines =
-      clean.includes("\n")
-        ? clean.split("\n").filter(Boolean)
-        : clean.length >= 88
-        ? [clean.slice(0, 44), clean.slice(44, 88)]
-        : clean.length >= 44
-        ? [clean.slice(0, 44), clean.slice(44, 88)]
-        : [];
-
-    if (lines.length < 2) return null;
-
-    const l2 = String(lines[1] || "").padEnd(44, "<");
-
-    const passportNumberRaw = l2.slice(0, 9);
-    const passport_number = passportNumberRaw.replace(/</g, "").trim() || null;
-
-    const nationality = l2.slice(10, 13).replace(/</g, "").trim() || null;
-
-    const dob_yymmdd_raw = l2.slice(13, 19);
-    const dob_yymmdd = dob_yymmdd_raw.replace(/</g, "").trim() || null;
-
-    const sexRaw = l2.slice(20, 21);
-    const sex = sexRaw.replace(/</g, "").trim() || null;
-
-    const exp_yymmdd_raw = l2.slice(21, 27);
-    const exp_yymmdd = exp_yymmdd_raw.replace(/</g, "").trim() || null;
-
-    return {
-      passport_number,
-      nationality,
-      sex,
-      dob_yymmdd,
-      exp_yymmdd,
-      line1: lines[0] || null,
-      line2: lines[1] || null,
-    };
-  } catch {
-    return null;
-  }
-}
-
 function parseAnalyzeIdFields(fields = []) {
   const raw = {};
+  const normalizedDates = {};
   for (const f of fields) {
     const key = normalizeKey(f?.Type?.Text);
     const val = f?.ValueDetection?.Text;
     if (key && val) raw[key] = val;
+
+    const normalized = f?.ValueDetection?.NormalizedValue;
+    if (key && normalized?.ValueType === "Date" && normalized.Value) {
+      normalizedDates[key] = normalized.Value;
+    }
   }
 
-  const first_name = raw.first_name || raw.firstname || raw.given_name || raw.givenname || null;
+  // Textract's own date normalization beats re-parsing the printed text.
+  const ocrDate = (...keys) => keys.map((k) => normalizedDates[k] || raw[k]).find(Boolean);
 
-  const middle_name =
-    raw.middle_name || raw.middlename || raw.second_name || raw.secondname || null;
+  const id_type = raw.id_type || null;
+  const mrz_code = raw.mrz_code || raw.mrz || null;
+  const mrz_parsed = mrz_code ? parseMrz(mrz_code) : null;
+
+  // Printed (OCR) values win; the MRZ fills gaps. Record which one was used.
+  const field_sources = {};
+  const pick = (key, ocrValue, mrzValue) => {
+    if (ocrValue) {
+      field_sources[key] = "ocr";
+      return ocrValue;
+    }
+    if (mrzValue) {
+      field_sources[key] = "mrz";
+      return mrzValue;
+    }
+    return null;
+  };
 
-  const last_name =
-    raw.last_name || raw.lastname || raw.surname || raw.family_name || raw.familyname || null;
+  const first_name = pick(
+    "first_name",
+    raw.first_name || raw.firstname || raw.given_name || raw.givenname,
+    mrz_parsed?.given_names
+  );
+
+  const middle_name = pick(
+    "middle_name",
+    raw.middle_name || raw.middlename || raw.second_name || raw.secondname
+  );
+
+  const last_name = pick(
+    "last_name",
+    raw.last_name || raw.lastname || raw.surname || raw.family_name || raw.familyname,
+    mrz_parsed?.surname
+  );
 
   const full_name =
     raw.full_name ||
     raw.name ||
     ([first_name, middle_name, last_name].filter(Boolean).join(" ") || null);
 
-  const dob = raw.date_of_birth || raw.dob || null;
-  const date_of_issue = raw.date_of_issue || raw.issue_date || null;
-  const expiration_date = raw.expiration_date || raw.expiry_date || raw.expiry || null;
+  const date_of_issue = pick("date_of_issue", ocrDate("date_of_issue", "issue_date"));
 
-  const document_number =
+  const document_number = pick(
+    "document_number",
     raw.document_number ||
-    raw.passport_number ||
-    raw.id_number ||
-    raw.identity_document_number ||
-    raw.personal_number ||
-    null;
-
-  const id_type = raw.id_type || null;
-  const mrz_code = raw.mrz_code || raw.mrz || null;
-
-  const sex = raw.sex || raw.gender || null;
-  let nationality = raw.nationality || raw.country || null;
-
-  const mrz_parsed = mrz_code ? parseMrzTD3(mrz_code) : null;
-
-  if (!nationality && mrz_parsed?.nationality) nationality = mrz_parsed.nationality;
-  const sexFinal = sex || mrz_parsed?.sex || null;
+      raw.passport_number ||
+      raw.id_number ||
+      raw.identity_document_number ||
+      raw.personal_number,
+    mrz_parsed?.document_number
+  );
 
-  const documentNumberFinal = document_number || mrz_parsed?.passport_number || null;
-  const dobFinal = dob || mrz_parsed?.dob_yymmdd || null;
-  const expirationFinal = expiration_date || mrz_parsed?.exp_yymmdd || null;
+  const date_of_birth = pick(
+    "date_of_birth",
+    ocrDate("date_of_birth", "dob"),
+    mrz_parsed?.dob_yymmdd
+  );
+  const expiration_date = pick(
+    "expiration_date",
+    ocrDate("expiration_date", "expiry_date", "expiry"),
+    mrz_parsed?.exp_yymmdd
+  );
+  const nationality = pick(
+    "nationality",
+    raw.nationality || raw.country,
+    mrz_parsed?.nationality
+  );
+  const sex = pick("sex", raw.sex || raw.gender, mrz_parsed?.sex);
 
   return {
     text: null,
     id_type,
-    document_number: documentNumberFinal,
+    document_number,
     last_name,
     first_name,
     middle_name,
-    date_of_birth: dobFinal,
-    date_of_issue,
-    expiration_date: expirationFinal,
+    date_of_birth: normalizeDocumentDate(date_of_birth, "birth"),
+    date_of_issue: normalizeDocumentDate(date_of_issue, "issue"),
+    expiration_date: normalizeDocumentDate(expiration_date, "expiry"),
+    dates_raw: { date_of_birth, date_of_issue, expiration_date },
     nationality,
-    sex: sexFinal,
+    sex,
     mrz_code,
     mrz_parsed,
+    mrz_format: mrz_parsed?.format || null,
+    mrz_valid: mrz_parsed ? mrz_parsed.check_digits_valid : null,
+    mrz_failed_checks: mrz_parsed?.failed_checks || [],
+    field_sources,
     full_name,
     raw,
   };
 }
 
-async function runTextractAnalyzeIdWithTimeout(imageBuffer, timeoutMs = 15000) {
+async function runTextractAnalyzeIdWithTimeout(provider, imageBuffer, timeoutMs = 15000) {
   const run = async () => {
-    const res = await textract.send(
-      new AnalyzeIDCommand({
-        DocumentPages: [{ Bytes: imageBuffer }],
-      })
-    );
-    const fields = res?.IdentityDocuments?.[0]?.IdentityDocumentFields || [];
+    const fields = await provider.analyzeId(imageBuffer);
     return parseAnalyzeIdFields(fields);
   };
 
+  let timer;
   try {
     const data = await Promise.race([
       run(),
-      new Promise((_, reject) =>
-        setTimeout(() => reject(new Error(`Textract timeout after ${timeoutMs}ms`)), timeoutMs)
-      ),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Textract timeout after ${timeoutMs}ms`)), timeoutMs);
+      }),
     ]);
     return { ok: true, data };
   } catch (e) {
     return { ok: false, error: e?.message || String(e) };
+  } finally {
+    clearTimeout(timer);
   }
 }
 
+// Textract normally answers within its 15s timeout; a document still
+// pending well after that was lost with the request that processed it.
+const DOCUMENT_PROCESSING_TIMEOUT_MS = 60 * 1000;
+
+// Why a guest's document cannot be judged yet, or null once its checks exist.
+function documentCheckStatus(guest, now = Date.now()) {
+  if (guest?.document_checks) return null;
+
+  const reupload = {
+    reason: "document_unreadable",
+    message: "Your ID could not be read. Please upload it again.",
+  };
+  if (!guest?.document_key) {
+    return { reason: "document_missing", message: "Please upload the ID first." };
+  }
+  if (guest.extracted_info?.textract_ok === false) return reupload;
+
+  const uploadedAt = new Date(guest.updated_at || 0).getTime();
+  if (now - uploadedAt > DOCUMENT_PROCESSING_TIMEOUT_MS) return reupload;
+  return {
+    reason: "document_processing",
+    message: "Your ID is still being checked. Please try again in a moment.",
+    retryAfter: 3,
+  };
+}
+
 function toIntOrNull(v) {
   if (v === null || v === undefined) return null;
   const n = Number(v);
@@ -236,6 +240,91 @@ function clampInt(n, min, max) {
   return Math.min(Math.max(x, min), max);
 }
 
+/**
+ * Recompute per-guest and session TM30 status after any draft change.
+ * Exported sessions are left untouched.
+ */
+async function refreshTm30Status(sessionToken) {
+  const repo = getRepository();
+  const { data: session, error } = await repo.sessions.get(sessionToken, [
+    "tm30_info",
+    "tm30_status",
+    "property_id",
+  ]);
+
+  if (error || !session) return { data: null, error: error || new Error("Session not found") };
+
+  const { data: guests, error: guestsError } = await repo.guests.list(sessionToken);
+  if (guestsError) return { data: null, error: guestsError };
+
+  const statuses = computeTm30Statuses(session.tm30_info || {}, guests || []);
+  if (session.tm30_status === "exported") {
+    return { data: { ...statuses, tm30_status: "exported", row: null }, error: null };
+  }
+
+  for (const g of statuses.guests) {
+    const before = (guests || []).find((row) => row.guest_index === g.guest_index);
+    if (
+      before?.tm30_status === g.tm30_status &&
+      JSON.stringify(before?.tm30_missing_fields || []) === JSON.stringify(g.missing_fields)
+    ) {
+      continue;
+    }
+
+    const { error: guestError } = await repo.guests.upsert(sessionToken, g.guest_index, {
+      tm30_status: g.tm30_status,
+      tm30_missing_fields: g.missing_fields,
+    });
+    if (guestError) return { data: null, error: guestError };
+  }
+
+  const { data: row, error: updateError } = await repo.sessions.update(
+    sessionToken,
+    { tm30_status: statuses.tm30_status, updated_at: new Date().toISOString() },
+    { tm30_status: { not: "exported" } }
+  );
+
+  if (updateError) return { data: null, error: updateError };
+
+  if (row && statuses.tm30_status === "ready" && session.tm30_status !== "ready") {
+    await emitWebhookEvent(repo, {
+      event: "tm30.ready",
+      propertyId: session.property_id ?? null,
+      sessionToken,
+      data: { guest_count: statuses.guests.length },
+    });
+  }
+  return { data: { ...statuses, row }, error: null };
+}
+
+async function prefillTm30FromExtraction(sessionToken, guestIndex, extracted) {
+  const repo = getRepository();
+  const { data: guest, error } = await repo.guests.get(sessionToken, guestIndex);
+  if (error) {
+    console.warn("TM30 prefill: guest lookup failed:", error.message);
+    return;
+  }
+
+  const merged = mergeTm30Draft(
+    guest?.tm30_info,
+    guest?.tm30_provenance,
+    tm30CandidatesFromExtraction(extracted)
+  );
+  if (merged.changed.length === 0) return;
+
+  const { error: upsertError } = await repo.guests.upsert(sessionToken, guestIndex, {
+    tm30_info: merged.info,
+    tm30_provenance: merged.provenance,
+  });
+  if (upsertError) {
+    console.warn("TM30 prefill: draft update failed:", upsertError.message);
+    return;
+  }
+
+  const { error: refreshError } = await refreshTm30Status(sessionToken);
+  if (refreshError) console.warn("TM30 prefill: status refresh failed:", refreshError.message);
+}
+
 export default async function handler(req, res) {
   setCors(res);
 
@@ -251,24 +340,68 @@ export default async function handler(req, res) {
   const { action } = req.body || {};
 
   try {
-    if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
-      return res.status(500).json({ error: "Server misconfigured: missing Supabase env vars" });
+    const repo = getRepository();
+    let provider = getVerificationProvider();
+
+    // Session as checked by the state guard; actions reuse it for bookkeeping.
+    let current = null;
+
+    if (ACTION_STATES[action]) {
+      const { session_token } = req.body || {};
+      if (!session_token) return res.status(400).json({ error: "Session token required" });
+
+      const { data, error: currentError } = await repo.sessions.get(session_token, [
+        "state",
+        "status",
+        "created_at",
+        "expires_at",
+        "tm30_status",
+        "step_times",
+        "failures",
+        "property_id",
+        "verified_guest_count",
+      ]);
+      if (currentError || !data) return res.status(404).json({ error: "Session not found" });
+      current = data;
+
+      // Bill every provider call this request makes to the session's hotel.
+      provider = meterProvider(provider, {
+        repo,
+        sessionToken: session_token,
+        propertyId: current.property_id ?? null,
+      });
+
+      if (isSessionExpired(current) && current.state !== "locked") {
+        await repo.sessions.update(session_token, {
+          state: "locked",
+          updated_at: new Date().toISOString(),
+        });
+      }
+      assertActionAllowed(action, current);
     }
 
     if (action === "start") {
+      // Sessions belong to the property whose key started them.
+      const property = authenticateProperty(req.headers["x-property-key"]);
+      if (!property) return res.status(401).json({ error: "Valid property API key required" });
+
       const token = generateToken();
 
       const expected_guest_count = 1;
       const verified_guest_count = 0;
       const requires_additional_guest = expected_guest_count > verified_guest_count;
+      const expires_at = sessionExpiresAt();
 
-      const { error } = await supabase.from("demo_sessions").insert({
+      const { error } = await repo.sessions.create({
         session_token: token,
+        property_id: property.id,
         status: "started",
+        state: "welcome",
         current_step: "welcome",
         expected_guest_count,
         verified_guest_count,
         requires_additional_guest,
+        expires_at,
         updated_at: new Date().toISOString(),
       });
 
@@ -277,51 +410,57 @@ export default async function handler(req, res) {
         return res.status(500).json({ error: "Failed to create session" });
       }
 
+      await emitWebhookEvent(repo, {
+        event: "session.started",
+        propertyId: property.id,
+        sessionToken: token,
+        data: { expires_at },
+      });
+
       return res.json({
         session_token: token,
+        property_id: property.id,
         verify_url: `/verify/${token}`,
       });
     }
 
     if (action === "get_session") {
       const { session_token } = req.body || {};
-      if (!session_token) return res.status(400).json({ error: "Session token required" });
 
-      const { data: session, error } = await supabase
-        .from("demo_sessions")
-        .select(
-          [
-            "session_token",
-            "status",
-            "current_step",
-            "consent_given",
-            "consent_time",
-            "consent_locale",
-            "guest_name",
-            "room_number",
-            "adults",
-            "children",
-            "document_url",
-            "selfie_url",
-            "is_verified",
-            "verification_score",
-            "liveness_score",
-            "face_match_score",
-            "extracted_info",
-            "tm30_info",
-            "tm30_status",
-            "expected_guest_count",
-            "verified_guest_count",
-            "requires_additional_guest",
-            "created_at",
-            "updated_at",
-          ].join(",")
-        )
-        .eq("session_token", session_token)
-        .single();
+      const { data: session, error } = await repo.sessions.get(session_token, [
+        "session_token",
+        "status",
+        "current_step",
+        "consent_given",
+        "consent_time",
+        "consent_locale",
+        "guest_name",
+        "room_number",
+        "adults",
+        "children",
+        "document_url",
+        "selfie_url",
+        "is_verified",
+        "verification_score",
+        "liveness_score",
+        "face_match_score",
+        "extracted_info",
+        "tm30_info",
+        "tm30_status",
+        "state",
+        "expires_at",
+        "expected_guest_count",
+        "verified_guest_count",
+        "requires_additional_guest",
+        "created_at",
+        "updated_at",
+      ]);
 
       if (error || !session) return res.status(404).json({ error: "Session not found" });
 
+      const { data: guestRows, error: guestsError } = await repo.guests.list(session_token);
+      if (guestsError) console.warn("Guest records lookup failed:", guestsError.message);
+
       const current_step = inferStepFromSession(session);
       const expected = clampInt(session.expected_guest_count, 1, 10);
       const verified = clampInt(session.verified_guest_count, 0, 10);
@@ -338,6 +477,8 @@ export default async function handler(req, res) {
         session: {
           session_token: session.session_token,
           status: session.status ?? null,
+          state: sessionState(session),
+          expires_at: session.expires_at ?? null,
           current_step,
 
           consent_given: session.consent_given ?? null,
@@ -367,33 +508,25 @@ export default async function handler(req, res) {
           verified_guest_count: verified,
           requires_additional_guest: requires,
           remaining_guest_verifications: Math.max(expected - verified, 0),
+
+          guests: (guestRows || []).map(toGuestSummary),
         },
       });
     }
 
     if (action === "log_consent") {
       const { session_token, consent_given, consent_time, consent_locale } = req.body || {};
-      if (!session_token) return res.status(400).json({ error: "Session token required" });
 
-      const { data: existing, error: findError } = await supabase
-        .from("demo_sessions")
-        .select("session_token")
-        .eq("session_token", session_token)
-        .single();
-
-      if (findError || !existing) return res.status(404).json({ error: "Session not found" });
-
-      const { error: updateError } = await supabase
-        .from("demo_sessions")
-        .update({
-          consent_given: Boolean(consent_given),
-          consent_time: consent_time || new Date().toISOString(),
-          consent_locale: consent_locale || "en",
-          status: "consent_logged",
-          current_step: "welcome",
-          updated_at: new Date().toISOString(),
-        })
-        .eq("session_token", session_token);
+      const { error: updateError } = await repo.sessions.update(session_token, {
+        consent_given: Boolean(consent_given),
+        consent_time: consent_time || new Date().toISOString(),
+        consent_locale: consent_locale || "en",
+        status: "consent_logged",
+        state: "consent",
+        current_step: "welcome",
+        step_times: withStepTime(current.step_times, "consent"),
+        updated_at: new Date().toISOString(),
+      });
 
       if (updateError) {
         console.error("Error updating consent:", updateError);
@@ -406,7 +539,6 @@ export default async function handler(req, res) {
     if (action === "update_guest") {
       const { session_token, guest_name, booking_ref, room_number, expected_guest_count } =
         req.body || {};
-      if (!session_token) return res.status(400).json({ error: "Session token required" });
 
       const bookingValue = booking_ref || room_number || null;
 
@@ -414,29 +546,99 @@ export default async function handler(req, res) {
         return res.status(400).json({ error: "Guest name and reservation number are required" });
       }
 
-      const guestNameNorm = normalizeGuestName(guest_name);
       const resNorm = normalizeReservationNumber(bookingValue);
 
-      const { data: matches, error: matchErr } = await supabase
-        .from("booking_email_index")
-        .select("id, adults, children")
-        .eq("guest_name_norm", guestNameNorm)
-        .or(`confirmation_number_norm.eq.${resNorm},source_reservation_id_norm.eq.${resNorm}`)
-        .limit(1);
+      // Wrong guesses slow down and then lock out the session, the client IP
+      // and the reservation number, so the index cannot be enumerated.
+      const ip = clientIp(req);
+      const limitKeys = lookupKeys({
+        propertyId: current.property_id,
+        sessionToken: session_token,
+        ip,
+        reservationNorm: resNorm,
+      });
+      const { data: gate, error: gateErr } = await claimLookup(repo, limitKeys, {
+        propertyId: current.property_id ?? null,
+      });
+      if (gateErr) {
+        console.error("Lookup limiter error:", gateErr);
+        return res.status(500).json({ error: "Failed to verify reservation" });
+      }
+
+      if (!gate.allowed) {
+        const { error: blockErr } = await repo.lookupBlocks.insert({
+          property_id: current.property_id ?? null,
+          session_token,
+          ip,
+          reservation_norm: resNorm,
+          scope: gate.scope,
+          reason: gate.reason,
+          failures: gate.failures,
+          retry_after_seconds: gate.retry_after_seconds,
+        });
+        if (blockErr) console.warn("Lookup block log insert failed:", blockErr.message);
+
+        await repo.sessions.update(session_token, {
+          failures: withFailure(current.failures, "lookup_blocked"),
+        });
+        res.setHeader("Retry-After", String(gate.retry_after_seconds));
+        return res.status(429).json({
+          error:
+            gate.reason === "lockout"
+              ? "Too many failed attempts. Please try again later or ask the front desk for help."
+              : "Please wait a moment before trying again.",
+          reason: gate.reason,
+          retry_after: gate.retry_after_seconds,
+        });
+      }
+
+      // The reservation number must match exactly; the name is matched
+      // tolerantly against each reservation carrying it.
+      const { data: candidates, error: matchErr } = await repo.bookings.findCandidates({
+        propertyId: current.property_id,
+        reservationNorm: resNorm,
+      });
+
+      // The claimed attempt counts as a failure unless the reservation is found.
+      const match = matchErr ? null : matchReservation(candidates, guest_name);
+      if (matchErr || match) {
+        const { error: releaseErr } = await releaseLookup(repo, gate.attemptIds);
+        if (releaseErr) console.error("Lookup attempt release error:", releaseErr);
+      }
 
       if (matchErr) {
         console.error("booking_email_index lookup error:", matchErr);
         return res.status(500).json({ error: "Failed to verify reservation" });
       }
 
-      if (!matches || matches.length === 0) {
+      if (!match) {
+        await repo.sessions.update(session_token, {
+          failures: withFailure(current.failures, "reservation_not_found"),
+        });
         return res.status(403).json({
           error:
-            "Reservation not found. Please enter your name and reservation number exactly as shown in your confirmation email.",
+            "Reservation not found. Please check your name and reservation number against your confirmation email.",
         });
       }
 
-      const bookingRow = matches[0];
+      const bookingRow = match.booking;
+      const reservationMatch = {
+        booking_id: bookingRow.id,
+        confidence: match.confidence,
+        rule: match.rule,
+        matched_at: new Date().toISOString(),
+        arrival_date: bookingRow.arrival_date ?? null,
+        // The document is held to the booked name, not the one typed here.
+        guest_name: bookingRow.guest_name_raw || bookingRow.guest_name_norm || null,
+      };
+
+      const refusal = reservationRefusal(bookingRow);
+      if (refusal) {
+        await repo.sessions.update(session_token, {
+          failures: withFailure(current.failures, refusal.reason),
+        });
+        return res.status(403).json({ error: refusal.message, reason: refusal.reason });
+      }
 
       const adultsFromEmail = Number.isFinite(Number(bookingRow.adults))
         ? Number(bookingRow.adults)
@@ -453,38 +655,49 @@ export default async function handler(req, res) {
       const expectedToSet =
         expectedOverride === null ? expectedFromEmail : clampInt(expectedOverride, 1, 10);
 
-      const { data: s, error: sErr } = await supabase
-        .from("demo_sessions")
-        .select("verified_guest_count")
-        .eq("session_token", session_token)
-        .single();
+      const { data: s, error: sErr } = await repo.sessions.get(session_token, [
+        "verified_guest_count",
+      ]);
 
       const verified = !sErr && s ? clampInt(s.verified_guest_count, 0, 10) : 0;
 
       const updatePayload = {
         guest_name: guest_name || null,
         room_number: bookingValue,
+        reservation_match: reservationMatch,
 
         adults: clampInt(adultsFromEmail, 0, 10),
         children: clampInt(childrenFromEmail, 0, 10),
 
         status: "guest_info_saved",
+        state: "guest",
         current_step: "document",
+        step_times: withStepTime(current.step_times, "guest"),
         expected_guest_count: expectedToSet,
         requires_additional_guest: verified < expectedToSet,
         updated_at: new Date().toISOString(),
       };
 
-      const { error: updateError } = await supabase
-        .from("demo_sessions")
-        .update(updatePayload)
-        .eq("session_token", session_token);
+      const { error: updateError } = await repo.sessions.update(session_token, updatePayload);
 
       if (updateError) {
         console.error("Error saving guest info:", updateError);
         return res.status(500).json({ error: "Failed to save guest info" });
       }
 
+      await emitWebhookEvent(repo, {
+        event: "reservation.matched",
+        propertyId: current.property_id ?? null,
+        sessionToken: session_token,
+        data: {
+          booking_id: reservationMatch.booking_id,
+          confidence: reservationMatch.confidence,
+          rule: reservationMatch.rule,
+          matched_at: reservationMatch.matched_at,
+          expected_guest_count: expectedToSet,
+        },
+      });
+
       return res.json({
         success: true,
         adults: clampInt(adultsFromEmail, 0, 10),
@@ -497,65 +710,77 @@ export default async function handler(req, res) {
     }
 
     if (action === "tm30_update") {
-      const { session_token, tm30_info } = req.body || {};
-      if (!session_token) return res.status(400).json({ error: "Session token required" });
+      const { session_token, tm30_info, guest_index } = req.body || {};
 
       const payload = tm30_info && typeof tm30_info === "object" ? tm30_info : {};
 
-      const requiredKeys = [
-        "nationality",
-        "sex",
-        "arrival_date_time",
-        "departure_date",
-        "property",
-        "room_number",
-      ];
-
-      const missing = requiredKeys.filter((k) => {
-        const v = payload[k];
-        return v === undefined || v === null || String(v).trim() === "";
-      });
+      if (current.tm30_status === "exported") {
+        return res.status(409).json({ error: "TM30 info already exported and can no longer be edited" });
+      }
 
-      const tm30_status = missing.length === 0 ? "ready" : "draft";
+      if (guest_index !== undefined && guest_index !== null) {
+        // Per-guest edits are manual and take precedence over OCR/MRZ prefill.
+        const guestIndex = clampInt(guest_index, 1, 10);
+        const { data: guest, error: guestError } = await repo.guests.get(session_token, guestIndex);
+        if (guestError) {
+          console.error("tm30_update guest lookup error:", guestError);
+          return res.status(500).json({ error: "Failed to update TM30 info" });
+        }
+
+        const merged = mergeTm30Draft(
+          guest?.tm30_info,
+          guest?.tm30_provenance,
+          manualTm30Candidates(payload)
+        );
 
-      const { data, error } = await supabase
-        .from("demo_sessions")
-        .update({
+        const { error: draftError } = await repo.guests.upsert(session_token, guestIndex, {
+          tm30_info: merged.info,
+          tm30_provenance: merged.provenance,
+        });
+        if (draftError) {
+          console.error("tm30_update guest draft error:", draftError);
+          return res.status(500).json({ error: draftError.message || "Failed to update TM30 info" });
+        }
+      } else {
+        const { error } = await repo.sessions.update(session_token, {
           tm30_info: payload,
-          tm30_status,
           updated_at: new Date().toISOString(),
-        })
-        .eq("session_token", session_token)
-        .select("*")
-        .single();
+        });
 
-      if (error || !data) {
-        console.error("tm30_update error:", error);
-        return res.status(500).json({ error: error?.message || "Failed to update TM30 info" });
+        if (error) {
+          console.error("tm30_update error:", error);
+          return res.status(500).json({ error: error.message || "Failed to update TM30 info" });
+        }
+      }
+
+      const { data: refreshed, error: refreshError } = await refreshTm30Status(session_token);
+      if (refreshError || !refreshed) {
+        console.error("tm30_update status error:", refreshError);
+        return res.status(500).json({ error: refreshError?.message || "Failed to update TM30 info" });
       }
 
       return res.status(200).json({
         success: true,
-        tm30_status,
-        missing_fields: missing,
-        row: data,
+        tm30_status: refreshed.tm30_status,
+        missing_fields: refreshed.missing_fields,
+        guests: refreshed.guests,
+        row: refreshed.row,
       });
     }
 
     if (action === "upload_document") {
       const { session_token, image_data } = req.body || {};
 
-      if (!session_token) return res.status(400).json({ error: "Session token required" });
       if (!image_data) return res.status(400).json({ error: "image_data required" });
-      if (!AWS_REGION || !BUCKET)
-        return res.status(500).json({ error: "Server misconfigured: missing AWS env vars" });
 
       // ✅ Gate: must have completed Step 1
-      const { data: sess, error: sessErr } = await supabase
-        .from("demo_sessions")
-        .select("guest_name, room_number, expected_guest_count, verified_guest_count")
-        .eq("session_token", session_token)
-        .single();
+      const { data: sess, error: sessErr } = await repo.sessions.get(session_token, [
+        "guest_name",
+        "room_number",
+        "reservation_match",
+        "expected_guest_count",
+        "verified_guest_count",
+      ]);
 
       if (sessErr || !sess) return res.status(404).json({ error: "Session not found" });
       if (!sess.guest_name || !sess.room_number) {
@@ -576,40 +801,66 @@ export default async function handler(req, res) {
 
       const s3Key = `demo/${session_token}/document_${guestIndex}.jpg`;
 
-      await s3.send(
-        new PutObjectCommand({
-          Bucket: BUCKET,
-          Key: s3Key,
-          Body: imageBuffer,
-          ContentType: "image/jpeg",
-        })
-      );
+      await provider.storage.put(s3Key, imageBuffer, "image/jpeg");
 
-      const documentUrl = `s3://${BUCKET}/${s3Key}`;
-
-      const { error: updateError } = await supabase
-        .from("demo_sessions")
-        .update({
-          status: "document_uploaded",
-          current_step: "selfie",
-          document_url: documentUrl, // latest document for UI/debug
-          extracted_info: {
-            text: `Textract pending (async) [guest ${guestIndex}]`,
-            textract_ok: null,
-            textract_error: null,
-            textract: null,
-            guest_index: guestIndex,
-          },
-          updated_at: new Date().toISOString(),
-        })
-        .eq("session_token", session_token);
+      const documentUrl = provider.storage.url(s3Key);
+
+      const pendingInfo = {
+        text: `Textract pending (async) [guest ${guestIndex}]`,
+        textract_ok: null,
+        textract_error: null,
+        textract: null,
+        guest_index: guestIndex,
+      };
+
+      // ✅ per-guest evidence; re-uploading resets the verdict for this guest only
+      const { error: guestError } = await repo.guests.upsert(session_token, guestIndex, {
+        document_key: s3Key,
+        extracted_info: pendingInfo,
+        name_match_score: null,
+        name_match_verdict: null,
+        name_match: null,
+        document_checks: null,
+        verdict: "pending",
+        review_status: null,
+      });
+
+      if (guestError) {
+        console.error("Error saving guest document record:", guestError);
+        return res.status(500).json({ error: "Failed to save document state" });
+      }
+
+      const { error: updateError } = await repo.sessions.update(session_token, {
+        status: "document_uploaded",
+        state: "document",
+        current_step: "selfie",
+        step_times: withStepTime(current.step_times, "document"),
+        document_url: documentUrl, // latest document for UI/debug
+        extracted_info: pendingInfo,
+        updated_at: new Date().toISOString(),
+      });
 
       if (updateError) {
         console.error("Error updating document session:", updateError);
         return res.status(500).json({ error: "Failed to save document state" });
       }
 
-      runTextractAnalyzeIdWithTimeout(imageBuffer, 15000)
+      const saveExtractedInfo = async (extractedInfo, guestPatch = {}) => {
+        const { error: guestInfoError } = await repo.guests.upsert(session_token, guestIndex, {
+          ...guestPatch,
+          extracted_info: extractedInfo,
+        });
+        if (guestInfoError) {
+          console.warn("Guest extracted_info update failed:", guestInfoError.message);
+        }
+
+        await repo.sessions.update(session_token, {
+          extracted_info: extractedInfo,
+          updated_at: new Date().toISOString(),
+        });
+      };
+
+      runTextractAnalyzeIdWithTimeout(provider, imageBuffer, 15000)
         .then(async (result) => {
           if (result.ok) {
             const extracted = result.data;
@@ -625,37 +876,81 @@ export default async function handler(req, res) {
                 extracted.date_of_birth ? `DOB: ${extracted.date_of_birth}` : null,
                 extracted.document_number ? `Doc#: ${extracted.document_number}` : null,
                 extracted.expiration_date ? `Exp: ${extracted.expiration_date}` : null,
+                extracted.mrz_failed_checks.length
+                  ? `MRZ check digits failed: ${extracted.mrz_failed_checks.join(", ")}`
+                  : null,
               ]
                 .filter(Boolean)
                 .join(" | ") || "Textract extracted fields";
 
-            await supabase
-              .from("demo_sessions")
-              .update({
-                extracted_info: {
-                  text: `${extractedText} [guest ${guestIndex}]`,
-                  textract_ok: true,
-                  textract_error: null,
-                  textract: extracted,
-                  guest_index: guestIndex,
-                },
-                updated_at: new Date().toISOString(),
-              })
-              .eq("session_token", session_token);
+            // Reservations only carry the lead guest's name, so additional
+            // guests are not held to it. The booked name, since the typed one
+            // only had to match it loosely.
+            const nameMatch =
+              guestIndex === 1
+                ? compareNames(sess.reservation_match?.guest_name || sess.guest_name, extracted)
+                : { score: null, verdict: "not_applicable", reason: "Not the lead guest" };
+
+            // Checked against the booked arrival, never the guest's own TM30
+            // entry; without a booking, against today.
+            const documentChecks = evaluateDocumentValidity(extracted, {
+              arrivalDate: sess.reservation_match?.arrival_date || null,
+            });
+
+            await saveExtractedInfo(
+              {
+                text: `${extractedText} [guest ${guestIndex}]`,
+                textract_ok: true,
+                textract_error: null,
+                textract: extracted,
+                mrz_valid: extracted.mrz_valid,
+                mrz_failed_checks: extracted.mrz_failed_checks,
+                name_match: nameMatch,
+                document_checks: documentChecks,
+                guest_index: guestIndex,
+              },
+              {
+                name_match_score: nameMatch.score,
+                name_match_verdict: nameMatch.verdict,
+                name_match: nameMatch,
+                document_checks: documentChecks,
+              }
+            );
+
+            await emitWebhookEvent(repo, {
+              event: "document.extracted",
+              propertyId: current.property_id ?? null,
+              sessionToken: session_token,
+              data: {
+                guest_index: guestIndex,
+                ok: true,
+                mrz_valid: extracted.mrz_valid,
+                name_match_verdict: nameMatch.verdict,
+                document_status: documentChecks.status,
+              },
+            });
+
+            await prefillTm30FromExtraction(session_token, guestIndex, extracted);
           } else {
-            await supabase
-              .from("demo_sessions")
-              .update({
-                extracted_info: {
-                  text: `Textract failed (async) [guest ${guestIndex}]`,
-                  textract_ok: false,
-                  textract_error: result.error,
-                  textract: null,
-                  guest_index: guestIndex,
-                },
-                updated_at: new Date().toISOString(),
-              })
-              .eq("session_token", session_token);
+            const { data: latest } = await repo.sessions.get(session_token, ["failures"]);
+            await repo.sessions.update(session_token, {
+              failures: withFailure(latest?.failures, "textract_failed"),
+            });
+
+            await saveExtractedInfo({
+              text: `Textract failed (async) [guest ${guestIndex}]`,
+              textract_ok: false,
+              textract_error: result.error,
+              textract: null,
+              guest_index: guestIndex,
+            });
+
+            await emitWebhookEvent(repo, {
+              event: "document.extracted",
+              propertyId: current.property_id ?? null,
+              sessionToken: session_token,
+              data: { guest_index: guestIndex, ok: false },
+            });
           }
         })
         .catch((e) => {
@@ -673,19 +968,70 @@ export default async function handler(req, res) {
       });
     }
 
+    if (action === "liveness_challenge") {
+      const { session_token } = req.body || {};
+
+      const { data: session, error: sessionError } = await repo.sessions.get(session_token, [
+        "expected_guest_count",
+        "verified_guest_count",
+      ]);
+
+      if (sessionError || !session) return res.status(404).json({ error: "Session not found" });
+
+      const expected = clampInt(session.expected_guest_count, 1, 10);
+      const guestIndex = clampInt(clampInt(session.verified_guest_count, 0, 10) + 1, 1, expected);
+
+      const challenge = createChallenge();
+
+      const { error: insertError } = await repo.challenges.create({
+        challenge_id: challenge.challenge_id,
+        session_token,
+        guest_index: guestIndex,
+        type: challenge.type,
+        issued_at: challenge.issued_at,
+        expires_at: challenge.expires_at,
+      });
+
+      if (insertError) {
+        console.error("Error creating liveness challenge:", insertError);
+        return res.status(500).json({ error: "Failed to create liveness challenge" });
+      }
+
+      return res.json({
+        success: true,
+        guest_index: guestIndex,
+        challenge_id: challenge.challenge_id,
+        challenge: challenge.type,
+        instructions: challenge.instructions,
+        expires_at: challenge.expires_at,
+        min_frames: MIN_FRAMES,
+        max_frames: MAX_FRAMES,
+      });
+    }
+
     if (action === "verify_face") {
-      const { session_token, selfie_data } = req.body || {};
+      const { session_token, challenge_id, frames } = req.body || {};
 
-      if (!session_token) return res.status(400).json({ error: "Session token required" });
-      if (!selfie_data) return res.status(400).json({ error: "selfie_data required" });
-      if (!AWS_REGION || !BUCKET)
-        return res.status(500).json({ error: "Server misconfigured: missing AWS env vars" });
+      if (!challenge_id) {
+        return res.status(400).json({ error: "challenge_id required (request a liveness_challenge first)" });
+      }
+      if (!Array.isArray(frames) || frames.length < MIN_FRAMES || frames.length > MAX_FRAMES) {
+        return res
+          .status(400)
+          .json({ error: `frames must be an array of ${MIN_FRAMES}-${MAX_FRAMES} images` });
+      }
 
-      const { data: session, error: sessionError } = await supabase
-        .from("demo_sessions")
-        .select("*")
-        .eq("session_token", session_token)
-        .single();
+      const frameBuffers = [];
+      for (const frame of frames) {
+        const frameBase64 = normalizeBase64(frame);
+        if (!frameBase64) return res.status(400).json({ error: "Invalid frame format" });
+
+        const frameBuffer = Buffer.from(frameBase64, "base64");
+        if (frameBuffer.length < 1000) return res.status(400).json({ error: "Image too small" });
+        frameBuffers.push(frameBuffer);
+      }
+
+      const { data: session, error: sessionError } = await repo.sessions.get(session_token);
 
       if (sessionError || !session) return res.status(404).json({ error: "Session not found" });
 
@@ -693,70 +1039,112 @@ export default async function handler(req, res) {
       const verifiedBefore = clampInt(session.verified_guest_count, 0, 10);
       const guestIndex = clampInt(verifiedBefore + 1, 1, expected);
 
+      const { data: guestRecord, error: guestError } = await repo.guests.get(
+        session_token,
+        guestIndex
+      );
+      if (guestError) {
+        console.error("Guest record lookup failed:", guestError);
+        return res.status(500).json({ error: "Failed to load guest record" });
+      }
+
+      // No verdict without the document checks (expiry, age): Textract runs
+      // after upload_document has answered. Checked before the challenge is
+      // claimed so the guest can simply retry.
+      const documentPending = documentCheckStatus(guestRecord);
+      if (documentPending) {
+        if (documentPending.retryAfter) res.setHeader("Retry-After", String(documentPending.retryAfter));
+        return res.status(409).json({ error: documentPending.message, reason: documentPending.reason });
+      }
+
+      // ✅ single-use: claiming the challenge marks it used, even if it turns out expired
+      const { data: challenge, error: challengeError } = await repo.challenges.claim(
+        challenge_id,
+        session_token
+      );
+
+      if (challengeError) {
+        console.error("Error claiming liveness challenge:", challengeError);
+        return res.status(500).json({ error: "Failed to check liveness challenge" });
+      }
+      if (!challenge) {
+        return res
+          .status(400)
+          .json({ error: "Liveness challenge invalid or already used. Please request a new one." });
+      }
+      if (new Date(challenge.expires_at).getTime() < Date.now()) {
+        return res.status(400).json({ error: "Liveness challenge expired. Please request a new one." });
+      }
+      if (challenge.guest_index !== guestIndex) {
+        return res
+          .status(400)
+          .json({ error: "Liveness challenge was issued for another guest. Please request a new one." });
+      }
+
       // ✅ must match the per-guest doc
-      const docKey = `demo/${session_token}/document_${guestIndex}.jpg`;
+      const docKey = guestRecord?.document_key || `demo/${session_token}/document_${guestIndex}.jpg`;
 
       let docBuffer;
       try {
-        const docObj = await s3.send(
-          new GetObjectCommand({
-            Bucket: BUCKET,
-            Key: docKey,
-          })
-        );
-        const docStream = docObj.Body;
-        if (!docStream) return res.status(500).json({ error: "Failed to read document from S3" });
-        docBuffer = await streamToBuffer(docStream);
+        docBuffer = await provider.storage.get(docKey);
       } catch {
         return res.status(400).json({
           error: `Document not uploaded for guest ${guestIndex}. Please upload the ID first.`,
         });
       }
 
-      const selfieBase64 = normalizeBase64(selfie_data);
-      if (!selfieBase64) return res.status(400).json({ error: "Invalid selfie_data format" });
+      const frameFaces = [];
+      for (const frameBuffer of frameBuffers) {
+        frameFaces.push(await provider.detectFaces(frameBuffer));
+      }
 
-      const selfieBuffer = Buffer.from(selfieBase64, "base64");
-      if (selfieBuffer.length < 1000) return res.status(400).json({ error: "Image too small" });
+      let liveness = evaluateChallenge(challenge.type, frameFaces);
+      if (liveness.passed) {
+        // Every frame must show the selfie's face: a challenge performed by
+        // someone else does not make the selfie live.
+        const sameFace = await checkSameFace(provider, frameBuffers, liveness.best_frame_index);
+        if (!sameFace.passed) {
+          liveness = { ...liveness, passed: false, score: 0, reasons: [...liveness.reasons, ...sameFace.reasons] };
+        }
+      }
+      const isLive = liveness.passed;
+      const livenessScore = liveness.score;
 
+      // The sharpest frontal challenge frame is the selfie, so the face that
+      // performed the challenge is the one compared with the document.
+      const selfieBuffer = frameBuffers[liveness.best_frame_index ?? 0];
       const selfieKey = `demo/${session_token}/selfie_${guestIndex}.jpg`;
 
-      await s3.send(
-        new PutObjectCommand({
-          Bucket: BUCKET,
-          Key: selfieKey,
-          Body: selfieBuffer,
-          ContentType: "image/jpeg",
-        })
-      );
-
-      const selfieUrl = `s3://${BUCKET}/${selfieKey}`;
-
-      const livenessResult = await rekognition.send(
-        new DetectFacesCommand({
-          Image: { Bytes: selfieBuffer },
-          Attributes: ["ALL"],
-        })
-      );
-
-      const face = livenessResult.FaceDetails?.[0];
-      const isLive = Boolean(face?.EyesOpen?.Value) && (face?.Quality?.Brightness || 0) > 40;
-      const livenessScore = (face?.Confidence || 0) / 100;
+      await provider.storage.put(selfieKey, selfieBuffer, "image/jpeg");
 
-      const compareResult = await rekognition.send(
-        new CompareFacesCommand({
-          SourceImage: { Bytes: selfieBuffer },
-          TargetImage: { Bytes: docBuffer },
-          SimilarityThreshold: 80,
-        })
-      );
+      const selfieUrl = provider.storage.url(selfieKey);
 
-      const similarity = (compareResult.FaceMatches?.[0]?.Similarity || 0) / 100;
+      let similarity = 0;
+      if (isLive) {
+        ({ similarity } = await provider.compareFaces(selfieBuffer, docBuffer));
+      }
 
       const verificationScore = (isLive ? 0.4 : 0) + livenessScore * 0.3 + similarity * 0.3;
 
+      // Document validity was evaluated when Textract finished; a failing
+      // document blocks the guest regardless of the face result.
+      const documentChecks = guestRecord.document_checks;
+      const documentFailed = documentChecks?.status === "fail";
+      // Broken MRZ check digits hold the guest for staff review whatever the
+      // face result; a reviewer can still approve them.
+      const mrzFailed = mrzCheckFailed(guestRecord);
+
+      const verdictReasons = [
+        ...(isLive ? [] : ["liveness_failed"]),
+        ...(!isLive || similarity >= 0.65 ? [] : ["face_mismatch"]),
+        ...(documentChecks?.reasons || [])
+          .filter((r) => r.severity === "fail")
+          .map((r) => r.code),
+        ...(mrzFailed ? ["mrz_check_failed"] : []),
+      ];
+
       // ✅ per-guest result (what Lovable should use to advance)
-      const guest_verified = isLive && similarity >= 0.65;
+      const guest_verified = isLive && similarity >= 0.65 && !documentFailed && !mrzFailed;
 
       let verifiedAfter = verifiedBefore;
       if (guest_verified) verifiedAfter = Math.min(verifiedBefore + 1, expected);
@@ -770,62 +1158,112 @@ export default async function handler(req, res) {
       // ✅ session-level overall verified = all guests verified
       const overallVerified = verifiedAfter >= expected;
 
+      let stepTimes = withStepTime(session.step_times, "selfie");
+      if (overallVerified) stepTimes = withStepTime(stepTimes, "results");
+
+      let failures = session.failures;
+      if (!isLive) failures = withFailure(failures, "liveness_failed");
+      if (verdictReasons.includes("face_mismatch")) failures = withFailure(failures, "face_mismatch");
+      if (documentFailed) failures = withFailure(failures, "document_failed");
+      if (mrzFailed) failures = withFailure(failures, "mrz_check_failed");
+
       // ✅ IMPORTANT: set next step to avoid “guest 1 selfie loop”
       // If guest passed and more guests remain -> next step is document (guest 2 upload)
       // If guest passed and done -> results
-      // If guest failed -> selfie
+      // If guest failed -> selfie (or document, when the document itself failed
+      // or its MRZ did not check out)
       const next_step = guest_verified
         ? requiresAdditionalGuest
           ? "document"
           : "results"
+        : documentFailed || mrzFailed
+        ? "document"
         : "selfie";
 
-      const { error: updateError } = await supabase
-        .from("demo_sessions")
-        .update({
-          status: statusToSet,
-          current_step: next_step,
+      const { error: guestUpdateError } = await repo.guests.upsert(session_token, guestIndex, {
+        document_key: docKey,
+        selfie_key: selfieKey,
+        face_match_score: similarity,
+        liveness_score: livenessScore,
+        verification_score: verificationScore,
+        attempts: (guestRecord?.attempts || 0) + 1,
+        verdict: guest_verified ? "verified" : "failed",
+        verdict_reasons: verdictReasons,
+        review_status: reviewStatusAfterFaceCheck(guestRecord, guest_verified),
+        liveness: {
+          challenge: challenge.type,
+          passed: isLive,
+          score: livenessScore,
+          reasons: liveness.reasons,
+          frame_count: frameBuffers.length,
+        },
+      });
 
-          // keep latest assets for UI/debug
-          selfie_url: selfieUrl,
-          document_url: `s3://${BUCKET}/${docKey}`,
+      if (guestUpdateError) {
+        console.error("Error saving guest verification record:", guestUpdateError);
+        return res.status(500).json({ error: "Failed to save verification result" });
+      }
 
-          is_verified: overallVerified,
-          verification_score: verificationScore,
-          liveness_score: livenessScore,
-          face_match_score: similarity,
+      const { error: updateError } = await repo.sessions.update(session_token, {
+        status: statusToSet,
+        state: stateAfterFaceCheck({
+          guestVerified: guest_verified,
+          requiresAdditionalGuest,
+          documentFailed: documentFailed || mrzFailed,
+        }),
+        current_step: next_step,
+        step_times: stepTimes,
+        failures,
+
+        // keep latest assets for UI/debug
+        selfie_url: selfieUrl,
+        document_url: provider.storage.url(docKey),
 
-          expected_guest_count: expected,
-          verified_guest_count: verifiedAfter,
-          requires_additional_guest: requiresAdditionalGuest,
+        is_verified: overallVerified,
+        verification_score: verificationScore,
+        liveness_score: livenessScore,
+        face_match_score: similarity,
 
-          updated_at: new Date().toISOString(),
-        })
-        .eq("session_token", session_token);
+        expected_guest_count: expected,
+        verified_guest_count: verifiedAfter,
+        requires_additional_guest: requiresAdditionalGuest,
+
+        updated_at: new Date().toISOString(),
+      });
 
       if (updateError) {
         console.error("Error updating verification session:", updateError);
         return res.status(500).json({ error: "Failed to save verification result" });
       }
 
-      try {
-        await supabase.from("demo_api_costs").insert([
-          { session_id: session_token, operation: "liveness", cost_usd: 0.001 },
-          { session_id: session_token, operation: "face_compare", cost_usd: 0.001 },
-        ]);
-      } catch (e) {
-        console.warn("Cost insert failed (non-blocking):", e?.message || e);
-      }
-
-      try {
-        await supabase.rpc("increment_demo_stats", {
-          verified: overallVerified,
-          cost: 0.052,
+      await emitWebhookEvent(repo, {
+        event: guest_verified ? "guest.verified" : "guest.failed",
+        propertyId: current.property_id ?? null,
+        sessionToken: session_token,
+        data: {
+          guest_index: guestIndex,
+          verdict_reasons: verdictReasons,
+          verification_score: verificationScore,
+          verified_guest_count: verifiedAfter,
+          expected_guest_count: expected,
+        },
+      });
+      if (guest_verified && overallVerified) {
+        await emitWebhookEvent(repo, {
+          event: "session.verified",
+          propertyId: current.property_id ?? null,
+          sessionToken: session_token,
+          data: { verified_guest_count: verifiedAfter, expected_guest_count: expected },
         });
-      } catch (e) {
-        console.warn("increment_demo_stats failed (non-blocking):", e?.message || e);
       }
 
+      // Non-blocking, like the cost ledger: the verdict is already saved.
+      await Promise.resolve(repo.stats.increment({ verified: overallVerified, cost: provider.spentUsd() }))
+        .then(({ error: statsError } = {}) => {
+          if (statsError) console.warn("increment_demo_stats failed (non-blocking):", statsError.message);
+        })
+        .catch((e) => console.warn("increment_demo_stats failed (non-blocking):", e?.message || e));
+
       return res.json({
         success: true,
         guest_index: guestIndex,
@@ -853,6 +1291,9 @@ export default async function handler(req, res) {
           liveness_score: livenessScore,
           face_match_score: similarity,
           verification_score: verificationScore,
+          verdict_reasons: verdictReasons,
+          liveness_reasons: liveness.reasons,
+          document_checks: documentChecks,
 
           is_verified: overallVerified,
           requires_additional_guest: requiresAdditionalGuest,
@@ -865,6 +1306,12 @@ export default async function handler(req, res) {
 
     return res.status(400).json({ error: "Invalid action" });
   } catch (error) {
+    if (error instanceof SessionStateError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (error instanceof ConfigError) {
+      return res.status(500).json({ error: `Server misconfigured: ${error.message}` });
+    }
     console.error("Error:", error);
     return res.status(500).json({ error: error?.message || "Unknown server error" });
   }
@@ -0,0 +1,21 @@
+-- One verification record per guest of a session, so additional guests no
+-- longer overwrite earlier guests' evidence on demo_sessions.
+create table if not exists demo_session_guests (
+  id bigint generated always as identity primary key,
+  session_token text not null,
+  guest_index integer not null,
+  document_key text,
+  selfie_key text,
+  extracted_info jsonb,
+  face_match_score double precision,
+  liveness_score double precision,
+  verification_score double precision,
+  attempts integer not null default 0,
+  verdict text not null default 'pending',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (session_token, guest_index)
+);
+
+create index if not exists demo_session_guests_session_token_idx
+  on demo_session_guests (session_token);
@@ -0,0 +1,5 @@
+-- Reservation name vs ID document name consistency, per guest.
+alter table demo_session_guests
+  add column if not exists name_match_score double precision,
+  add column if not exists name_match_verdict text,
+  add column if not exists name_match jsonb;
@@ -0,0 +1,18 @@
+-- TM30 bulk-upload export batches. Exported sessions move to
+-- tm30_status = 'exported' and keep the batch they were submitted in.
+alter table demo_sessions
+  add column if not exists tm30_export_batch_id text,
+  add column if not exists tm30_exported_at timestamptz;
+
+create index if not exists demo_sessions_tm30_export_batch_id_idx
+  on demo_sessions (tm30_export_batch_id);
+
+create table if not exists tm30_export_batches (
+  batch_id text primary key,
+  property text not null,
+  arrival_from date not null,
+  arrival_to date not null,
+  session_count integer not null,
+  row_count integer not null,
+  created_at timestamptz not null default now()
+);
@@ -0,0 +1,7 @@
+-- Per-guest TM30 draft prefilled from Textract/MRZ, with per-field provenance
+-- (ocr, mrz, manual).
+alter table demo_session_guests
+  add column if not exists tm30_info jsonb not null default '{}'::jsonb,
+  add column if not exists tm30_provenance jsonb not null default '{}'::jsonb,
+  add column if not exists tm30_status text not null default 'draft',
+  add column if not exists tm30_missing_fields jsonb not null default '[]'::jsonb;
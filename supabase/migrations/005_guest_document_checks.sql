@@ -0,0 +1,5 @@
+-- Document validity (expiry on arrival, issue date, minimum age) and the
+-- reasons behind each guest verdict.
+alter table demo_session_guests
+  add column if not exists document_checks jsonb,
+  add column if not exists verdict_reasons jsonb not null default '[]'::jsonb;
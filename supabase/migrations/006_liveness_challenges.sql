@@ -0,0 +1,16 @@
+-- Single-use, expiring liveness challenges issued per verification attempt.
+create table if not exists demo_liveness_challenges (
+  challenge_id text primary key,
+  session_token text not null,
+  guest_index integer not null,
+  type text not null,
+  issued_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  used_at timestamptz
+);
+
+create index if not exists demo_liveness_challenges_session_token_idx
+  on demo_liveness_challenges (session_token);
+
+alter table demo_session_guests
+  add column if not exists liveness jsonb;
@@ -0,0 +1,27 @@
+-- Explicit session state machine and link expiry (see lib/sessionState.js).
+alter table demo_sessions
+  add column if not exists state text,
+  add column if not exists expires_at timestamptz;
+
+update demo_sessions
+set state = case status
+    when 'consent_logged' then 'consent'
+    when 'guest_info_saved' then 'guest'
+    when 'document_uploaded' then 'document'
+    when 'partial_verified' then 'guest'
+    when 'failed' then 'selfie'
+    when 'verified' then 'results'
+    when 'rejected' then 'locked'
+    else 'welcome'
+  end
+where state is null;
+
+update demo_sessions
+set expires_at = created_at + interval '24 hours'
+where expires_at is null;
+
+alter table demo_sessions
+  alter column state set default 'welcome',
+  alter column state set not null,
+  add constraint demo_sessions_state_check
+    check (state in ('welcome', 'consent', 'guest', 'document', 'selfie', 'results', 'locked'));
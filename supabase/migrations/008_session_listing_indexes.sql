@@ -0,0 +1,9 @@
+-- Keyset pagination and filters for the admin session listing.
+create index if not exists demo_sessions_created_at_token_idx
+  on demo_sessions (created_at, session_token);
+
+create index if not exists demo_sessions_updated_at_token_idx
+  on demo_sessions (updated_at, session_token);
+
+create index if not exists demo_sessions_status_idx
+  on demo_sessions (status);
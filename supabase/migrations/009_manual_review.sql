@@ -0,0 +1,40 @@
+-- Manual review queue for failed or flagged guests, with an append-only
+-- audit log of every staff decision.
+alter table demo_session_guests
+  add column if not exists review_status text
+    check (review_status in ('pending', 'approved', 'rejected')),
+  add column if not exists reviewed_by text,
+  add column if not exists reviewed_at timestamptz;
+
+create index if not exists demo_session_guests_review_status_idx
+  on demo_session_guests (review_status, updated_at)
+  where review_status = 'pending';
+
+create table if not exists review_audit_log (
+  id bigint generated always as identity primary key,
+  session_token text not null,
+  guest_index integer not null,
+  decision text not null check (decision in ('approve', 'reject')),
+  reason text not null,
+  reviewer_name text not null,
+  reviewer_role text not null,
+  previous_verdict text,
+  new_verdict text not null,
+  details jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists review_audit_log_guest_idx
+  on review_audit_log (session_token, guest_index);
+
+create or replace function review_audit_log_immutable() returns trigger
+language plpgsql as $$
+begin
+  raise exception 'review_audit_log is append-only';
+end;
+$$;
+
+drop trigger if exists review_audit_log_no_change on review_audit_log;
+create trigger review_audit_log_no_change
+  before update or delete on review_audit_log
+  for each row execute function review_audit_log_immutable();
@@ -0,0 +1,4 @@
+-- Per-session funnel timestamps and failure counters used by the stats API.
+alter table demo_sessions
+  add column if not exists step_times jsonb not null default '{}'::jsonb,
+  add column if not exists failures jsonb not null default '{}'::jsonb;
@@ -0,0 +1,16 @@
+-- One row per billable provider call, priced from the configured price table.
+-- Rows outlive their sessions so hotels can be billed after cleanup.
+alter table demo_api_costs
+  add column if not exists id bigint generated by default as identity,
+  add column if not exists created_at timestamptz not null default now(),
+  add column if not exists property text,
+  add column if not exists provider text not null default 'aws',
+  add column if not exists status text not null default 'ok'
+    check (status in ('ok', 'error')),
+  add column if not exists error text,
+  add column if not exists attempts integer not null default 1,
+  add column if not exists unit_cost_usd numeric(12, 7);
+
+create index if not exists demo_api_costs_created_at_idx on demo_api_costs (created_at, id);
+create index if not exists demo_api_costs_session_idx on demo_api_costs (session_id);
+create index if not exists demo_api_costs_property_idx on demo_api_costs (property, created_at);
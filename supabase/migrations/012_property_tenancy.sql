@@ -0,0 +1,30 @@
+-- Every session, guest, booking email and cost record belongs to one hotel
+-- property (PROPERTIES in the environment). Rows created before tenancy keep
+-- a null property_id: no property can match or list them.
+alter table demo_sessions add column if not exists property_id text;
+alter table demo_session_guests add column if not exists property_id text;
+alter table booking_email_index add column if not exists property_id text;
+alter table tm30_export_batches add column if not exists property_id text;
+
+-- Guests always inherit the property of their session.
+create or replace function demo_session_guests_set_property()
+returns trigger language plpgsql as $$
+begin
+  select property_id into new.property_id
+    from demo_sessions
+   where session_token = new.session_token;
+  return new;
+end;
+$$;
+
+drop trigger if exists demo_session_guests_set_property on demo_session_guests;
+create trigger demo_session_guests_set_property
+  before insert on demo_session_guests
+  for each row execute function demo_session_guests_set_property();
+
+create index if not exists demo_sessions_property_created_idx
+  on demo_sessions (property_id, created_at);
+create index if not exists demo_session_guests_property_review_idx
+  on demo_session_guests (property_id, review_status);
+create index if not exists booking_email_index_property_name_idx
+  on booking_email_index (property_id, guest_name_norm);
@@ -0,0 +1,20 @@
+-- Inbound booking emails no parser could handle, or that came back without a
+-- guest name or reservation number. Kept for follow-up instead of inserting
+-- blank rows into booking_email_index.
+create table if not exists booking_email_unparsed (
+  id bigint generated always as identity primary key,
+  property_id text,
+  recipient text,
+  sender text,
+  subject text,
+  parser text,
+  reason text not null check (reason in ('no_parser', 'missing_fields')),
+  missing_fields text[] not null default '{}',
+  raw_text text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists booking_email_unparsed_property_created_idx
+  on booking_email_unparsed (property_id, created_at);
+
+alter table booking_email_index add column if not exists parser text;
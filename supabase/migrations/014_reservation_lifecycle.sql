@@ -0,0 +1,30 @@
+-- booking_email_index holds one row per reservation, updated in place by
+-- modification and cancellation emails; booking_email_versions keeps what
+-- each email changed it to.
+alter table booking_email_index
+  add column if not exists status text not null default 'confirmed'
+    check (status in ('confirmed', 'cancelled')),
+  add column if not exists version integer not null default 1,
+  add column if not exists last_event text,
+  add column if not exists arrival_date date,
+  add column if not exists departure_date date,
+  add column if not exists room_type text,
+  add column if not exists updated_at timestamptz not null default now();
+
+create index if not exists booking_email_index_property_confirmation_idx
+  on booking_email_index (property_id, confirmation_number_norm);
+create index if not exists booking_email_index_property_source_res_idx
+  on booking_email_index (property_id, source_reservation_id_norm);
+
+create table if not exists booking_email_versions (
+  id bigint generated always as identity primary key,
+  booking_id bigint not null references booking_email_index (id) on delete cascade,
+  property_id text,
+  version integer not null,
+  event text not null check (event in ('new', 'modified', 'cancelled')),
+  parser text,
+  snapshot jsonb not null,
+  raw_text text,
+  created_at timestamptz not null default now(),
+  unique (booking_id, version)
+);
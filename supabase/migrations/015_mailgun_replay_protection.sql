@@ -0,0 +1,23 @@
+-- Signed Mailgun webhook tokens already accepted, kept until they could no
+-- longer pass the freshness check anyway.
+create table if not exists mailgun_webhook_tokens (
+  token text primary key,
+  expires_at timestamptz not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists mailgun_webhook_tokens_expires_at_idx
+  on mailgun_webhook_tokens (expires_at);
+
+-- One receipt per inbound Message-Id and property. Retries of a message that
+-- was processed get the stored result back instead of a second booking.
+create table if not exists mailgun_inbound_receipts (
+  id bigint generated always as identity primary key,
+  property_id text not null,
+  message_id text not null,
+  status text not null default 'processing' check (status in ('processing', 'done')),
+  result jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (property_id, message_id)
+);
@@ -0,0 +1,28 @@
+-- Failed reservation lookups, one row per limiter key (session, client IP,
+-- reservation number). Counted over a sliding window by every instance.
+create table if not exists reservation_lookup_failures (
+  id bigint generated always as identity primary key,
+  limit_key text not null,
+  property_id text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists reservation_lookup_failures_key_created_idx
+  on reservation_lookup_failures (limit_key, created_at);
+
+-- Lookups refused by the limiter, for staff to review.
+create table if not exists reservation_lookup_blocks (
+  id bigint generated always as identity primary key,
+  property_id text,
+  session_token text,
+  ip text,
+  reservation_norm text,
+  scope text not null check (scope in ('session', 'ip', 'reservation')),
+  reason text not null check (reason in ('delay', 'lockout')),
+  failures int not null default 0,
+  retry_after_seconds int not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists reservation_lookup_blocks_property_created_idx
+  on reservation_lookup_blocks (property_id, created_at);
@@ -0,0 +1,16 @@
+-- How each check-in lookup matched its reservation:
+-- { booking_id, confidence, rule, matched_at } (see lib/reservationMatch.js).
+alter table demo_sessions add column if not exists reservation_match jsonb;
+
+-- Booking emails and the check-in lookup now share one normalization
+-- (lib/names.js). Reservation numbers keep letters and digits only; names
+-- are re-folded here as closely as SQL allows (Cyrillic is left as is, but
+-- lookups compare against guest_name_raw in the app anyway).
+create extension if not exists unaccent;
+
+update booking_email_index
+   set confirmation_number_norm = upper(regexp_replace(coalesce(confirmation_number_raw, ''), '[^A-Za-z0-9]', '', 'g')),
+       source_reservation_id_norm = upper(regexp_replace(coalesce(source_reservation_id_raw, ''), '[^A-Za-z0-9]', '', 'g')),
+       guest_name_norm = btrim(regexp_replace(lower(unaccent(coalesce(guest_name_raw, ''))), '[^a-z0-9]+', ' ', 'g'));
+
+drop index if exists booking_email_index_property_name_idx;
@@ -0,0 +1,30 @@
+-- One row per outbound webhook event and endpoint (WEBHOOK_ENDPOINTS), with
+-- the outcome of its latest attempt. Pending rows are retried by
+-- /api/maintenance/webhooks; failed ones can be replayed by a manager.
+create table if not exists webhook_deliveries (
+  id bigint generated always as identity primary key,
+  event_id uuid not null,
+  endpoint_id text not null,
+  event text not null,
+  property_id text,
+  session_token text,
+  payload jsonb not null,
+  status text not null default 'pending'
+    check (status in ('pending', 'sending', 'delivered', 'failed')),
+  attempts int not null default 0,
+  next_attempt_at timestamptz,
+  last_attempt_at timestamptz,
+  last_status_code int,
+  last_error text,
+  delivered_at timestamptz,
+  replayed_by text,
+  replayed_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (event_id, endpoint_id)
+);
+
+create index if not exists webhook_deliveries_due_idx
+  on webhook_deliveries (status, next_attempt_at);
+create index if not exists webhook_deliveries_property_idx
+  on webhook_deliveries (property_id, id);
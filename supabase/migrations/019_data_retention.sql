@@ -0,0 +1,12 @@
+-- Retention cleanup (/api/maintenance/cleanup) deletes a session's images
+-- before the session itself when RETENTION_IMAGES_HOURS is shorter than
+-- RETENTION_SESSIONS_HOURS, and records when it did.
+alter table demo_sessions add column if not exists images_deleted_at timestamptz;
+
+-- Booking email text still to be purged under RETENTION_BOOKING_EMAILS_DAYS.
+create index if not exists booking_email_index_raw_text_updated_idx
+  on booking_email_index (updated_at) where raw_text is not null;
+create index if not exists booking_email_versions_raw_text_created_idx
+  on booking_email_versions (created_at) where raw_text is not null;
+create index if not exists booking_email_unparsed_raw_text_created_idx
+  on booking_email_unparsed (created_at) where raw_text is not null;
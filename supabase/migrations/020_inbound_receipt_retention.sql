@@ -0,0 +1,16 @@
+-- Inbound receipts keep only what a Mailgun retry is answered with. Results
+-- stored before this carried the extracted guest details; strip them.
+update mailgun_inbound_receipts
+set result = jsonb_build_object(
+  'success', result->'success',
+  'parsed', result->'parsed',
+  'status', result->'status',
+  'booking_id', result->'booking_id',
+  'version', result->'version',
+  'unparsed_id', result->'unparsed_id'
+)
+where result is not null;
+
+-- Retention cleanup deletes receipts by age.
+create index if not exists mailgun_inbound_receipts_created_at_idx
+  on mailgun_inbound_receipts (created_at);
@@ -0,0 +1,21 @@
+-- Cost rows carry the tenant as property_id (see 012). 011 added the column
+-- as "property"; databases that still have it get it renamed, the others get
+-- the column if they lack it.
+do $$
+begin
+  if exists (
+    select 1 from information_schema.columns
+     where table_name = 'demo_api_costs' and column_name = 'property'
+  ) and not exists (
+    select 1 from information_schema.columns
+     where table_name = 'demo_api_costs' and column_name = 'property_id'
+  ) then
+    alter table demo_api_costs rename column property to property_id;
+  end if;
+end;
+$$;
+
+alter table demo_api_costs add column if not exists property_id text;
+
+drop index if exists demo_api_costs_property_idx;
+create index if not exists demo_api_costs_property_idx on demo_api_costs (property_id, created_at);
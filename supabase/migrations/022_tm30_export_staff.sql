@@ -0,0 +1,3 @@
+-- Who ran each TM30 export, recorded with the batch instead of the logs.
+alter table tm30_export_batches
+  add column if not exists exported_by text;
@@ -0,0 +1,31 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { callApi } from "./api.mjs";
+
+Object.assign(process.env, {
+  DATA_STORE: "memory",
+  VERIFICATION_PROVIDER: "mock",
+  ADMIN_API_KEYS: "mara:manager:manager-key,vic:viewer:viewer-key",
+});
+
+const { default: handler } = await import("../pages/api/admin/sessions.js");
+
+const list = (query, key = "manager-key") => callApi(handler, { query, headers: { "X-Admin-Key": key } });
+
+test("accepts days and ISO timestamps", async () => {
+  assert.equal((await list({ from: "2026-02-01", to: "2026-02-28" })).status, 200);
+  assert.equal((await list({ from: "2026-02-01T08:30:00Z" })).status, 200);
+});
+
+test("rejects impossible and free-form dates", async () => {
+  for (const from of ["2026-02-30", "2026-02-30T10:00:00Z", "Feb 1 2026", "1700000000000"]) {
+    const { status, body } = await list({ from });
+    assert.equal(status, 400, from);
+    assert.match(body.error, /from and to/);
+  }
+});
+
+test("keeps guest name search from viewers", async () => {
+  assert.equal((await list({ q: "doe" }, "viewer-key")).status, 403);
+  assert.equal((await list({ q: "doe" })).status, 200);
+});
@@ -0,0 +1,37 @@
+// Calls a Next.js API route handler with a minimal request and response.
+
+export async function callApi(handler, { method = "GET", query = {}, headers = {}, body = undefined } = {}) {
+  const req = {
+    method,
+    query,
+    headers: Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v])),
+    body,
+    socket: { remoteAddress: "127.0.0.1" },
+  };
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(value) {
+      this.body = value;
+      return this;
+    },
+    send(value) {
+      this.body = value;
+      return this;
+    },
+    end() {
+      return this;
+    },
+  };
+  await handler(req, res);
+  return { status: res.statusCode, body: res.body, headers: res.headers };
+}
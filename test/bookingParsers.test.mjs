@@ -0,0 +1,93 @@
+import assert from "node:assert/strict";
+import { readdirSync, readFileSync } from "node:fs";
+import { test } from "node:test";
+import { parseBookingEmail } from "../lib/bookingParsers/index.js";
+import { collectEmailContent, htmlToText, parseIcs, pdfToText } from "../lib/bookingParsers/content.js";
+
+// Every sample email in fixtures/booking-emails/<parser>/ parses to its
+// `expected`. A sample is { from, subject, text?, html?, attachments? }, each
+// attachment naming a file next to the sample, and goes through the same
+// content extraction as an inbound email.
+const FIXTURES = new URL("../fixtures/booking-emails/", import.meta.url);
+
+const fixtures = readdirSync(FIXTURES, { recursive: true })
+  .filter((name) => name.endsWith(".json"))
+  .sort();
+
+// As the inbound route does: the first body a booking can be read from.
+async function parseSample(name, { from, subject, text = "", html = "", attachments = [] }) {
+  const { candidates, calendar } = await collectEmailContent({
+    bodyPlain: text,
+    bodyHtml: html,
+    attachments: attachments.map(({ filename, contentType, file }) => ({
+      filename,
+      contentType,
+      content: readFileSync(new URL(file, new URL(name, FIXTURES))),
+    })),
+  });
+  const results = candidates.map((c) => parseBookingEmail({ from, subject, text: c.text, calendar }));
+  return results.find((r) => r.booking) || results[0];
+}
+
+test("there are booking email fixtures", () => {
+  assert.ok(fixtures.length > 0);
+});
+
+for (const name of fixtures) {
+  test(`parses ${name}`, async () => {
+    const { expected, ...email } = JSON.parse(readFileSync(new URL(name, FIXTURES), "utf8"));
+    assert.deepEqual(await parseSample(name, email), expected);
+  });
+}
+
+test("htmlToText keeps table cells as label/value lines", () => {
+  const html =
+    "<style>p { color: red }</style><table><tr><td>Guest Name:</td><td>Jane &amp; John Doe</td>" +
+    "<td>Nights</td><td>3</td></tr><tr><td colspan=2>Total &#x20AC;300</td></tr></table>" +
+    "<p>Line one<br/>Line&nbsp;two</p>";
+  assert.equal(
+    htmlToText(html),
+    "Guest Name: Jane & John Doe\nNights: 3\nTotal €300\nLine one\nLine two"
+  );
+});
+
+test("parseIcs reads the first event with folded lines and escapes", () => {
+  const ics = [
+    "BEGIN:VCALENDAR",
+    "BEGIN:VEVENT",
+    "DTSTART;TZID=Asia/Bangkok:20261102T150000",
+    "DTEND;TZID=Asia/Bangkok:20261105T110000",
+    "SUMMARY:Riverside\\, Deluxe King",
+    "DESCRIPTION:Guest: Jane Doe\\nConfirma",
+    " tion: 12345",
+    "END:VEVENT",
+    "BEGIN:VEVENT",
+    "DTSTART;VALUE=DATE:20270101",
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ].join("\r\n");
+  assert.deepEqual(parseIcs(ics), {
+    arrival_date: "2026-11-02",
+    departure_date: "2026-11-05",
+    summary: "Riverside, Deluxe King",
+    description: "Guest: Jane Doe\nConfirmation: 12345",
+  });
+});
+
+test("parseIcs without an event has no dates", () => {
+  assert.deepEqual(parseIcs("not a calendar"), {
+    arrival_date: null,
+    departure_date: null,
+    summary: "",
+    description: "",
+  });
+});
+
+test("pdfToText reads the text of a PDF, including from a pooled Buffer", async () => {
+  const pdf = readFileSync(new URL("direct/voucher.pdf", FIXTURES));
+  const pooled = Buffer.concat([Buffer.from("padding"), pdf]).subarray("padding".length);
+
+  const text = await pdfToText(pooled);
+  assert.match(text, /^Booking voucher\nBooked via: RoomQuest Direct\n/);
+  assert.match(text, /Reservation Code: RQ-9M4T7C/);
+});
@@ -0,0 +1,55 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+
+const storageDir = mkdtempSync(path.join(tmpdir(), "roomquest-cleanup-test-"));
+Object.assign(process.env, {
+  DATA_STORE: "memory",
+  VERIFICATION_PROVIDER: "mock",
+  MOCK_STORAGE_DIR: storageDir,
+  RETENTION_IMAGES_HOURS: "24",
+  RETENTION_SESSIONS_HOURS: "72",
+});
+after(() => rmSync(storageDir, { recursive: true, force: true }));
+
+const { deleteOldSessionsAndImages } = await import("../lib/cleanup.js");
+const { getRepository } = await import("../lib/db/index.js");
+const { getVerificationProvider } = await import("../lib/providers/index.js");
+
+const NOW = new Date();
+const hoursAgo = (hours) => new Date(NOW.getTime() - hours * 60 * 60 * 1000).toISOString();
+
+const repo = getRepository();
+const store = globalThis.__roomquestMemoryStore;
+const { storage } = getVerificationProvider();
+
+// One session per retention stage, each with an uploaded document.
+for (const [token, age] of [["fresh", 1], ["old", 48], ["expired", 100]]) {
+  await repo.sessions.create({ session_token: token, property_id: "riverside", created_at: hoursAgo(age) });
+  await storage.put(`demo/${token}/document_1.jpg`, Buffer.from(token));
+}
+
+const snapshot = () => JSON.stringify({ sessions: store.sessions, costs: store.costs });
+
+test("a dry run reports without changing anything", async () => {
+  const before = snapshot();
+  const result = await deleteOldSessionsAndImages({ dryRun: true, now: NOW });
+  assert.equal(result.success, true);
+  assert.equal(result.deletedImages, 2);
+  assert.equal(result.deletedSessions, 1);
+  assert.equal(snapshot(), before);
+  assert.equal((await storage.list("demo/")).length, 3);
+});
+
+test("deletes images past their cutoff and sessions past theirs", async () => {
+  const result = await deleteOldSessionsAndImages({ now: NOW });
+  assert.equal(result.success, true);
+  assert.equal(result.deletedImages, 2);
+  assert.equal(result.deletedSessions, 1);
+
+  assert.deepEqual(store.sessions.map((s) => s.session_token).sort(), ["fresh", "old"]);
+  assert.ok(store.sessions.find((s) => s.session_token === "old").images_deleted_at);
+  assert.deepEqual((await storage.list("demo/")).map((o) => o.key), ["demo/fresh/document_1.jpg"]);
+});
@@ -0,0 +1,46 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { evaluateDocumentValidity, normalizeDocumentDate } from "../lib/documentChecks.js";
+
+const NOW = new Date("2026-10-19T12:00:00Z");
+const ADULT = { date_of_birth: "1990-02-03", date_of_issue: "2011-05-01" };
+
+const check = (document, arrivalDate = null) =>
+  evaluateDocumentValidity(document, { arrivalDate, minAge: 18, now: NOW });
+
+const codes = (result) => result.reasons.map((r) => r.code);
+
+test("normalizes document dates", () => {
+  assert.equal(normalizeDocumentDate("01 MAY 2021", "expiry", NOW), "2021-05-01");
+  assert.equal(normalizeDocumentDate("210501", "expiry", NOW), "2021-05-01");
+  assert.equal(normalizeDocumentDate("30/02/2026", "expiry", NOW), null);
+});
+
+test("passes a valid document", () => {
+  const result = check({ ...ADULT, expiration_date: "2030-01-01" }, "2026-11-02");
+  assert.equal(result.status, "pass");
+  assert.equal(result.arrival_date, "2026-11-02");
+});
+
+test("fails a document that expires before the booked arrival", () => {
+  const result = check({ ...ADULT, expiration_date: "2026-10-31" }, "2026-11-02");
+  assert.equal(result.status, "fail");
+  assert.deepEqual(codes(result), ["document_expired"]);
+});
+
+test("a past arrival date does not pass an expired document", () => {
+  const result = check({ ...ADULT, expiration_date: "2021-05-01" }, "2020-01-01");
+  assert.equal(result.status, "fail");
+  assert.deepEqual(codes(result), ["document_expired"]);
+  assert.equal(result.arrival_date, "2026-10-19");
+});
+
+test("checks against today without an arrival date", () => {
+  assert.equal(check({ ...ADULT, expiration_date: "2026-10-18" }).status, "fail");
+  assert.equal(check({ ...ADULT, expiration_date: "2026-10-19" }).status, "pass");
+});
+
+test("fails guests under the minimum age", () => {
+  const result = check({ date_of_birth: "2010-01-01", expiration_date: "2030-01-01" }, "2026-11-02");
+  assert.deepEqual(codes(result), ["under_minimum_age"]);
+});
@@ -0,0 +1,30 @@
+// Module hooks installed by register.mjs.
+
+const ROOT = new URL("../", import.meta.url).href;
+
+function isAppModule(url) {
+  return url.startsWith(ROOT) && !url.startsWith(`${ROOT}node_modules/`);
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    if (!specifier.startsWith(".")) throw error;
+    for (const candidate of [`${specifier}.js`, `${specifier}/index.js`]) {
+      try {
+        return await nextResolve(candidate, context);
+      } catch {
+        // try the next form
+      }
+    }
+    throw error;
+  }
+}
+
+export async function load(url, context, nextLoad) {
+  if (isAppModule(url) && url.endsWith(".js")) {
+    return nextLoad(url, { ...context, format: "module" });
+  }
+  return nextLoad(url, context);
+}
@@ -0,0 +1,38 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { checkSameFace, evaluateChallenge } from "../lib/liveness.js";
+import { createMockProvider } from "../lib/providers/mock.js";
+
+const provider = createMockProvider();
+
+// A mock frame: the descriptor steers DetectFaces and CompareFaces.
+const frame = (mock) => Buffer.from(JSON.stringify({ mock }).padEnd(1000, " "));
+
+const turnLeft = [frame({ face: { yaw: 0 } }), frame({ face: { yaw: -30 } }), frame({ face: { yaw: 0 } })];
+
+async function evaluate(frames) {
+  const faces = await Promise.all(frames.map((f) => provider.detectFaces(f)));
+  return evaluateChallenge("turn_left", faces);
+}
+
+test("passes a challenge performed by one face", async () => {
+  const liveness = await evaluate(turnLeft);
+  assert.equal(liveness.passed, true);
+  assert.equal(liveness.best_frame_index, 0);
+
+  const sameFace = await checkSameFace(provider, turnLeft, liveness.best_frame_index);
+  assert.deepEqual(sameFace, { passed: true, reasons: [], min_similarity: 0.99 });
+});
+
+test("fails when a challenge frame shows a different face than the selfie", async () => {
+  const frames = [...turnLeft];
+  frames[1] = frame({ face: { yaw: -30 }, similarity: 0.1 });
+
+  const liveness = await evaluate(frames);
+  assert.equal(liveness.passed, true);
+
+  const sameFace = await checkSameFace(provider, frames, liveness.best_frame_index);
+  assert.equal(sameFace.passed, false);
+  assert.deepEqual(sameFace.reasons, ["face_changed_frame_1"]);
+  assert.equal(sameFace.min_similarity, 0.1);
+});
@@ -0,0 +1,70 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, mock, test } from "node:test";
+import { createMemoryRepository } from "../lib/db/memory.js";
+import { claimLookup, clientIp, getLookupLimits, lookupKeys, releaseLookup } from "../lib/lookupLimiter.js";
+
+const LIMITS = getLookupLimits({ LOOKUP_MAX_FAILURES: "session:3" });
+const KEYS = lookupKeys({ propertyId: "riverside", sessionToken: "tok", ip: "203.0.113.5", reservationNorm: "ABC123" });
+
+let repo;
+beforeEach(() => {
+  // The repository stamps attempts with the clock, so it is frozen.
+  mock.timers.enable({ apis: ["Date"], now: new Date("2026-10-19T12:00:00Z") });
+  delete globalThis.__roomquestMemoryStore;
+  repo = createMemoryRepository();
+});
+afterEach(() => mock.timers.reset());
+
+function claim() {
+  return claimLookup(repo, KEYS, { propertyId: "riverside", limits: LIMITS });
+}
+
+test("records an attempt per key before counting", async () => {
+  const { data } = await claim();
+  assert.equal(data.allowed, true);
+  assert.equal(data.attemptIds.length, 3);
+  assert.equal(globalThis.__roomquestMemoryStore.lookupFailures.length, 3);
+});
+
+test("delays after the second failure and locks out at the limit", async () => {
+  assert.equal((await claim()).data.allowed, true);
+  assert.equal((await claim()).data.allowed, true);
+
+  const delayed = (await claim()).data;
+  assert.equal(delayed.allowed, false);
+  assert.equal(delayed.reason, "delay");
+  assert.equal(delayed.retry_after_seconds, 2);
+
+  // Refused attempts are not counted.
+  assert.equal(globalThis.__roomquestMemoryStore.lookupFailures.length, 6);
+
+  mock.timers.tick(3000);
+  assert.equal((await claim()).data.allowed, true);
+  mock.timers.tick(10000);
+  const locked = (await claim()).data;
+  assert.equal(locked.allowed, false);
+  assert.equal(locked.scope, "session");
+  assert.equal(locked.reason, "lockout");
+});
+
+test("parallel claims see each other", async () => {
+  const results = await Promise.all([claim(), claim(), claim(), claim()]);
+  assert.ok(results.filter((r) => r.data.allowed).length <= 2);
+});
+
+test("a released attempt does not count", async () => {
+  for (let i = 0; i < 5; i += 1) {
+    const { data } = await claim();
+    await releaseLookup(repo, data.attemptIds);
+  }
+  assert.equal((await claim()).data.allowed, true);
+});
+
+test("takes the client IP from the platform, never X-Forwarded-For", () => {
+  const req = {
+    headers: { "x-forwarded-for": "198.51.100.1", "x-real-ip": "203.0.113.5" },
+    socket: { remoteAddress: "10.0.0.1" },
+  };
+  assert.equal(clientIp(req, { VERCEL: "1" }), "203.0.113.5");
+  assert.equal(clientIp(req, {}), "10.0.0.1");
+});
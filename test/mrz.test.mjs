@@ -0,0 +1,59 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { computeCheckDigit, parseMrz } from "../lib/mrz.js";
+
+// ICAO 9303 specimen documents.
+const TD3 = [
+  "P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<",
+  "L898902C36UTO7408122F1204159ZE184226B<<<<<10",
+];
+const TD1 = [
+  "I<UTOD231458907<<<<<<<<<<<<<<<",
+  "7408122F1204159UTO<<<<<<<<<<<6",
+  "ERIKSSON<<ANNA<MARIA<<<<<<<<<<",
+];
+
+test("computes ICAO check digits", () => {
+  assert.equal(computeCheckDigit("L898902C3"), 6);
+  assert.equal(computeCheckDigit("740812"), 2);
+  assert.equal(computeCheckDigit("120415"), 9);
+});
+
+test("parses a TD3 passport", () => {
+  const mrz = parseMrz(TD3.join("\n"));
+  assert.equal(mrz.format, "TD3");
+  assert.equal(mrz.document_number, "L898902C3");
+  assert.equal(mrz.passport_number, "L898902C3");
+  assert.equal(mrz.nationality, "UTO");
+  assert.equal(mrz.surname, "ERIKSSON");
+  assert.equal(mrz.given_names, "ANNA MARIA");
+  assert.equal(mrz.dob_yymmdd, "740812");
+  assert.equal(mrz.exp_yymmdd, "120415");
+  assert.equal(mrz.sex, "F");
+  assert.equal(mrz.check_digits_valid, true);
+  assert.deepEqual(mrz.failed_checks, []);
+});
+
+test("parses concatenated lines", () => {
+  assert.equal(parseMrz(TD3.join("")).document_number, "L898902C3");
+});
+
+test("parses a TD1 identity card", () => {
+  const mrz = parseMrz(TD1.join("\n"));
+  assert.equal(mrz.format, "TD1");
+  assert.equal(mrz.document_number, "D23145890");
+  assert.equal(mrz.surname, "ERIKSSON");
+  assert.equal(mrz.given_names, "ANNA MARIA");
+  assert.equal(mrz.check_digits_valid, true);
+});
+
+test("lists failed check digits", () => {
+  const mrz = parseMrz([TD3[0], TD3[1].replace("L898902C36", "L898902C37")].join("\n"));
+  assert.equal(mrz.check_digits_valid, false);
+  assert.deepEqual(mrz.failed_checks, ["document_number", "composite"]);
+});
+
+test("returns null for text that is not an MRZ", () => {
+  assert.equal(parseMrz("hello"), null);
+  assert.equal(parseMrz(""), null);
+});
@@ -0,0 +1,10 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { compareNames } from "../lib/nameMatch.js";
+
+test("compares reservation and document names", () => {
+  assert.equal(compareNames("Jane Doe", { first_name: "JANE", last_name: "DOE" }).verdict, "match");
+  assert.equal(compareNames("Mary Ann Lee", "MARYANN LEE").verdict, "match");
+  assert.equal(compareNames("Jane Doe", "John Smith").verdict, "mismatch");
+  assert.equal(compareNames("", "Jane Doe").verdict, "unavailable");
+});
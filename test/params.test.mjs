@@ -0,0 +1,26 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { addDays, clampInt, isDay } from "../lib/params.js";
+
+test("accepts real calendar days only", () => {
+  assert.equal(isDay("2026-02-28"), true);
+  assert.equal(isDay("2028-02-29"), true);
+  assert.equal(isDay("2026-02-29"), false);
+  assert.equal(isDay("2026-02-30"), false);
+  assert.equal(isDay("2026-13-01"), false);
+  assert.equal(isDay("2026-1-01"), false);
+  assert.equal(isDay(undefined), false);
+});
+
+test("adds days across month and year ends", () => {
+  assert.equal(addDays("2026-02-28", 1), "2026-03-01");
+  assert.equal(addDays("2026-12-31", 1), "2027-01-01");
+  assert.equal(addDays("2026-01-01", -1), "2025-12-31");
+});
+
+test("clamps to an integer range", () => {
+  assert.equal(clampInt("7.9", 1, 10), 7);
+  assert.equal(clampInt(50, 1, 10), 10);
+  assert.equal(clampInt("abc", 1, 10), 1);
+  assert.equal(clampInt(-3, 0, 10), 0);
+});
@@ -0,0 +1,5 @@
+// Lets `node --test` load the app's modules the way Next.js bundles them:
+// ES modules in .js files, imported without extensions.
+import { register } from "node:module";
+
+register("./hooks.mjs", import.meta.url);
@@ -0,0 +1,31 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { matchGuestName, matchReservation } from "../lib/reservationMatch.js";
+
+test("matches entered names by the most certain rule", () => {
+  const cases = [
+    ["Jane Doe", "Jane Doe", "exact"],
+    ["Jose Garcia", "José García", "diacritics"],
+    ["Doe Jane", "Jane Doe", "name_order"],
+    ["Jane Mary Doe", "Jane Doe", "missing_token"],
+    ["Jane Do", "Jane Doe", "edit_distance"],
+  ];
+  for (const [entered, booked, rule] of cases) {
+    assert.equal(matchGuestName(entered, booked)?.rule, rule, `${entered} / ${booked}`);
+  }
+});
+
+test("refuses names that do not identify the guest", () => {
+  assert.equal(matchGuestName("Doe", "Jane Doe"), null);
+  assert.equal(matchGuestName("John Smith", "Jane Doe"), null);
+  assert.equal(matchGuestName("", "Jane Doe"), null);
+});
+
+test("picks the best matching reservation, newest on ties", () => {
+  const newer = { id: 2, guest_name_raw: "Jane Doe" };
+  const older = { id: 1, guest_name_raw: "Jane Doe" };
+  const other = { id: 3, guest_name_raw: "Jane Do" };
+  assert.equal(matchReservation([other, newer, older], "Jane Doe").booking, newer);
+  assert.equal(matchReservation([newer], "John Smith"), null);
+  assert.equal(matchReservation([], "Jane Doe"), null);
+});
@@ -0,0 +1,41 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { ConfigError } from "../lib/config.js";
+import { getRetention, retentionCutoffs } from "../lib/retention.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+test("uses the default periods", () => {
+  assert.deepEqual(getRetention({}), {
+    images: 72 * HOUR_MS,
+    sessions: 72 * HOUR_MS,
+    costs: null,
+    bookingEmails: 90 * 24 * HOUR_MS,
+  });
+});
+
+test("accepts never for costs and booking emails only", () => {
+  const retention = getRetention({ RETENTION_COSTS_DAYS: "never", RETENTION_BOOKING_EMAILS_DAYS: "Never" });
+  assert.equal(retention.costs, null);
+  assert.equal(retention.bookingEmails, null);
+  assert.throws(() => getRetention({ RETENTION_SESSIONS_HOURS: "never" }), ConfigError);
+  assert.throws(() => getRetention({ RETENTION_IMAGES_HOURS: "-1" }), ConfigError);
+});
+
+test("refuses keeping images longer than sessions", () => {
+  assert.throws(
+    () => getRetention({ RETENTION_IMAGES_HOURS: "96", RETENTION_SESSIONS_HOURS: "48" }),
+    ConfigError
+  );
+});
+
+test("turns periods into cutoffs", () => {
+  const now = new Date("2026-10-19T12:00:00Z");
+  const cutoffs = retentionCutoffs(getRetention({ RETENTION_IMAGES_HOURS: "24", RETENTION_COSTS_DAYS: "30" }), now);
+  assert.deepEqual(cutoffs, {
+    images: "2026-10-18T12:00:00.000Z",
+    sessions: "2026-10-16T12:00:00.000Z",
+    costs: "2026-09-19T12:00:00.000Z",
+    bookingEmails: "2026-07-21T12:00:00.000Z",
+  });
+});
@@ -0,0 +1,28 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { reviewFlags, reviewStatusAfterFaceCheck } from "../lib/review.js";
+
+const passed = {
+  name_match_verdict: "match",
+  extracted_info: { mrz_valid: true, mrz_failed_checks: [] },
+  document_checks: { status: "pass", reasons: [] },
+};
+
+test("a clean pass is not queued for review", () => {
+  assert.deepEqual(reviewFlags(passed), []);
+  assert.equal(reviewStatusAfterFaceCheck(passed, true), null);
+});
+
+test("failed MRZ check digits flag the guest for review", () => {
+  const guest = {
+    ...passed,
+    extracted_info: { mrz_valid: false, mrz_failed_checks: ["document_number", "composite"] },
+  };
+  assert.deepEqual(reviewFlags(guest), ["mrz_check_failed"]);
+  assert.equal(reviewStatusAfterFaceCheck(guest, true), "pending");
+});
+
+test("documents without an MRZ are not flagged", () => {
+  const guest = { ...passed, extracted_info: { mrz_valid: null, mrz_failed_checks: [] } };
+  assert.deepEqual(reviewFlags(guest), []);
+});
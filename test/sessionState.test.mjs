@@ -0,0 +1,55 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  SessionStateError,
+  assertActionAllowed,
+  sessionState,
+  stateAfterFaceCheck,
+} from "../lib/sessionState.js";
+
+const NOW = new Date("2026-10-19T12:00:00Z");
+const LATER = "2026-10-20T12:00:00Z";
+
+function refusal(action, session) {
+  try {
+    assertActionAllowed(action, session, NOW);
+  } catch (error) {
+    assert.ok(error instanceof SessionStateError);
+    return error;
+  }
+  assert.fail(`${action} was allowed`);
+}
+
+test("maps legacy statuses to states", () => {
+  assert.equal(sessionState({ status: "guest_info_saved" }), "guest");
+  assert.equal(sessionState({ status: "rejected" }), "locked");
+  assert.equal(sessionState({ status: "unknown" }), "welcome");
+  assert.equal(sessionState({ state: "selfie", status: "verified" }), "selfie");
+});
+
+test("allows actions from their states only", () => {
+  assert.equal(assertActionAllowed("upload_document", { state: "guest", expires_at: LATER }, NOW), "guest");
+  const error = refusal("verify_face", { state: "consent", expires_at: LATER });
+  assert.equal(error.code, "invalid_state");
+  assert.equal(error.status, 409);
+});
+
+test("refuses expired and locked sessions", () => {
+  assert.equal(refusal("get_session", { state: "guest", expires_at: "2026-10-19T11:00:00Z" }).status, 410);
+  assert.equal(refusal("get_session", { state: "locked", expires_at: LATER }).status, 423);
+});
+
+test("keeps the reservation once a guest is verified", () => {
+  const session = { state: "guest", expires_at: LATER, verified_guest_count: 0 };
+  assert.equal(assertActionAllowed("update_guest", session, NOW), "guest");
+  assert.equal(refusal("update_guest", { ...session, verified_guest_count: 1 }).code, "reservation_locked");
+});
+
+test("moves on after a face check", () => {
+  const next = (guestVerified, requiresAdditionalGuest, documentFailed) =>
+    stateAfterFaceCheck({ guestVerified, requiresAdditionalGuest, documentFailed });
+  assert.equal(next(true, true, false), "guest");
+  assert.equal(next(true, false, false), "results");
+  assert.equal(next(false, false, true), "guest");
+  assert.equal(next(false, false, false), "selfie");
+});
@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { computeTm30Statuses } from "../lib/tm30.js";
+
+const SESSION_INFO = {
+  arrival_date_time: "2026-11-02T14:00",
+  departure_date: "2026-11-05",
+  property: "Riverside Hotel",
+  room_number: "204",
+};
+
+const GUEST_INFO = {
+  first_name: "ANNA",
+  last_name: "ERIKSSON",
+  passport_number: "L898902C3",
+  nationality: "SWE",
+  sex: "F",
+};
+
+test("is ready once every guest has a name and passport number", () => {
+  const statuses = computeTm30Statuses(SESSION_INFO, [{ guest_index: 1, tm30_info: GUEST_INFO }]);
+  assert.equal(statuses.tm30_status, "ready");
+  assert.deepEqual(statuses.missing_fields, []);
+});
+
+test("stays a draft without the guest's name or passport number", () => {
+  const { passport_number, last_name, ...partial } = GUEST_INFO;
+  const statuses = computeTm30Statuses(SESSION_INFO, [
+    { guest_index: 1, tm30_info: GUEST_INFO },
+    { guest_index: 2, tm30_info: partial },
+  ]);
+  assert.equal(statuses.tm30_status, "draft");
+  assert.deepEqual(statuses.missing_fields, ["last_name", "passport_number"]);
+  assert.deepEqual(
+    statuses.guests.map((g) => g.tm30_status),
+    ["ready", "draft"]
+  );
+});
+
+test("a session without guests needs the names on the session", () => {
+  assert.equal(computeTm30Statuses(SESSION_INFO, []).tm30_status, "draft");
+});
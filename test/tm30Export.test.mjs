@@ -0,0 +1,74 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { callApi } from "./api.mjs";
+
+Object.assign(process.env, {
+  DATA_STORE: "memory",
+  VERIFICATION_PROVIDER: "mock",
+  ADMIN_API_KEYS: "dana@riverside:front_desk:desk-key,mara:manager:manager-key",
+});
+
+const { default: handler } = await import("../pages/api/admin/tm30-export.js");
+const { getRepository } = await import("../lib/db/index.js");
+
+const repo = getRepository();
+const store = globalThis.__roomquestMemoryStore;
+
+const TM30_INFO = {
+  arrival_date_time: "2026-11-02T14:00",
+  departure_date: "2026-11-05",
+  property: "Riverside Hotel",
+  room_number: "204",
+};
+
+async function seed(token, propertyId, fields = {}) {
+  await repo.sessions.create({
+    session_token: token,
+    property_id: propertyId,
+    tm30_status: "ready",
+    is_verified: true,
+    tm30_info: TM30_INFO,
+    ...fields,
+  });
+}
+
+await seed("riverside-guest", "riverside");
+await seed("unverified-guest", "riverside", { is_verified: false });
+// A guest elsewhere who typed Riverside's accommodation name.
+await seed("hillside-guest", "hillside");
+
+const exportFor = (body, key = "desk-key") =>
+  callApi(handler, { method: "POST", headers: { "X-Admin-Key": key }, body });
+
+test("exports verified sessions of the staff member's property only", async () => {
+  const { status, body } = await exportFor({ from: "2026-11-01", to: "2026-11-30", dry_run: true });
+  assert.equal(status, 200);
+  assert.deepEqual(
+    body.rows.map((r) => r.session_token),
+    ["riverside-guest"]
+  );
+});
+
+test("staff who see every property name the one to export", async () => {
+  const body = { from: "2026-11-01", to: "2026-11-30", dry_run: true };
+  assert.equal((await exportFor(body, "manager-key")).status, 400);
+
+  const { body: hillside } = await exportFor({ ...body, property_id: "hillside" }, "manager-key");
+  assert.deepEqual(
+    hillside.rows.map((r) => r.session_token),
+    ["hillside-guest"]
+  );
+});
+
+test("rejects impossible dates", async () => {
+  assert.equal((await exportFor({ from: "2026-02-30", to: "2026-03-01" })).status, 400);
+});
+
+test("records the export in its batch", async () => {
+  const { status, headers } = await exportFor({ from: "2026-11-01", to: "2026-11-30" });
+  assert.equal(status, 200);
+  const batch = store.tm30Batches.find((b) => b.batch_id === headers["x-tm30-batch-id"]);
+  assert.equal(batch.property_id, "riverside");
+  assert.equal(batch.session_count, 1);
+  assert.equal(batch.exported_by, "dana");
+});
@@ -0,0 +1,141 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, mock, test } from "node:test";
+import { callApi } from "./api.mjs";
+
+const storageDir = mkdtempSync(path.join(tmpdir(), "verify-flow-"));
+after(() => rmSync(storageDir, { recursive: true, force: true }));
+
+Object.assign(process.env, {
+  DATA_STORE: "memory",
+  VERIFICATION_PROVIDER: "mock",
+  MOCK_STORAGE_DIR: storageDir,
+  PROPERTIES: "riverside:bookings@riverside.example:pk_riverside",
+});
+
+const { default: handler } = await import("../pages/api/verify.js");
+const { getRepository } = await import("../lib/db/index.js");
+const { parseBookingEmail } = await import("../lib/bookingParsers/index.js");
+const { recordBookingEmail } = await import("../lib/reservations.js");
+
+const repo = getRepository();
+
+// Jane Doe's RQ-7F3K2P, as the inbound route would have recorded it.
+const email = JSON.parse(
+  readFileSync(new URL("../fixtures/booking-emails/direct/confirmation.json", import.meta.url), "utf8")
+);
+const parsed = parseBookingEmail(email);
+await recordBookingEmail(repo, { propertyId: "riverside", ...parsed, rawText: email.text });
+
+// A mock image: the descriptor steers OCR, DetectFaces and CompareFaces.
+const image = (mock = {}) =>
+  `data:image/jpeg;base64,${Buffer.from(JSON.stringify({ mock }).padEnd(1000, " ")).toString("base64")}`;
+
+// Frames that perform each challenge, starting from a frontal face.
+const CHALLENGE_FRAMES = {
+  turn_left: [{ yaw: 0 }, { yaw: -30 }, { yaw: 0 }],
+  turn_right: [{ yaw: 0 }, { yaw: 30 }, { yaw: 0 }],
+  smile: [{ smile: false }, { smile: true }, { smile: false }],
+  blink: [{ eyes_open: true }, { eyes_open: false }, { eyes_open: true }],
+};
+
+const verify = (body, headers) => callApi(handler, { method: "POST", headers, body });
+
+async function startSession() {
+  const started = await verify({ action: "start" }, { "X-Property-Key": "pk_riverside" });
+  assert.equal(started.status, 200);
+  const { session_token } = started.body;
+
+  assert.equal((await verify({ action: "log_consent", session_token, consent_given: true })).status, 200);
+
+  const guest = await verify({
+    action: "update_guest",
+    session_token,
+    guest_name: "jane doe",
+    booking_ref: "rq7f3k2p",
+  });
+  assert.equal(guest.status, 200);
+  assert.equal(guest.body.expected_guest_count, 2);
+  return session_token;
+}
+
+// Textract runs after upload_document has answered.
+async function uploadDocument(session_token, mock) {
+  const uploaded = await verify({ action: "upload_document", session_token, image_data: image(mock) });
+  assert.equal(uploaded.status, 200);
+
+  for (let i = 0; i < 50; i++) {
+    const { data } = await repo.guests.get(session_token, uploaded.body.guest_index);
+    if (data?.document_checks) return data;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.fail("document checks never finished");
+}
+
+async function verifyFace(session_token) {
+  const challenge = await verify({ action: "liveness_challenge", session_token });
+  assert.equal(challenge.status, 200);
+
+  return verify({
+    action: "verify_face",
+    session_token,
+    challenge_id: challenge.body.challenge_id,
+    frames: CHALLENGE_FRAMES[challenge.body.challenge].map((face) => image({ face })),
+  });
+}
+
+test("a guest with a matching booking, document and selfie is verified", async () => {
+  const session_token = await startSession();
+
+  const guest = await uploadDocument(session_token);
+  assert.equal(guest.extracted_info.mrz_valid, true);
+  assert.equal(guest.name_match_verdict, "match");
+  assert.equal(guest.document_checks.status, "pass");
+
+  const face = await verifyFace(session_token);
+  assert.equal(face.status, 200);
+  assert.equal(face.body.guest_verified, true);
+  assert.deepEqual(face.body.data.verdict_reasons, []);
+  assert.equal(face.body.verified_guest_count, 1);
+  assert.equal(face.body.next_step, "document");
+
+  const { data: session } = await repo.sessions.get(session_token);
+  assert.equal(session.status, "partial_verified");
+  assert.equal(session.is_verified, false);
+});
+
+test("an expired document fails the guest and sends them back to the upload", async () => {
+  const session_token = await startSession();
+
+  const guest = await uploadDocument(session_token, { ocr: "expired" });
+  assert.equal(guest.document_checks.status, "fail");
+
+  const face = await verifyFace(session_token);
+  assert.equal(face.status, 200);
+  assert.equal(face.body.guest_verified, false);
+  assert.ok(face.body.data.verdict_reasons.includes("document_expired"));
+  assert.equal(face.body.next_step, "document");
+
+  const { data: record } = await repo.guests.get(session_token, 1);
+  assert.equal(record.verdict, "failed");
+  assert.equal(record.review_status, "pending");
+});
+
+test("a failed stats update is logged without failing the verdict", async () => {
+  const session_token = await startSession();
+  await uploadDocument(session_token);
+
+  mock.method(repo.stats, "increment", async () => ({ data: null, error: { message: "rpc unavailable" } }));
+  const warn = mock.method(console, "warn", () => {});
+  try {
+    const face = await verifyFace(session_token);
+    assert.equal(face.status, 200);
+    assert.equal(face.body.guest_verified, true);
+    const warnings = warn.mock.calls.map((call) => call.arguments.join(" "));
+    assert.ok(warnings.includes("increment_demo_stats failed (non-blocking): rpc unavailable"));
+  } finally {
+    mock.restoreAll();
+  }
+});
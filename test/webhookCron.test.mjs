@@ -0,0 +1,54 @@
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { after, before, test } from "node:test";
+import { callApi } from "./api.mjs";
+
+const received = [];
+const server = createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    received.push({ signature: req.headers["x-webhook-signature"], payload: JSON.parse(body) });
+    res.end("ok");
+  });
+});
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  Object.assign(process.env, {
+    DATA_STORE: "memory",
+    VERIFICATION_PROVIDER: "mock",
+    CRON_SECRET: "cron-secret",
+    WEBHOOK_ENDPOINTS: JSON.stringify([
+      { id: "pms", url: `http://127.0.0.1:${server.address().port}/hook`, secret: "hook-secret" },
+    ]),
+  });
+});
+after(() => server.close());
+
+const { default: handler } = await import("../pages/api/maintenance/webhooks.js");
+const { getRepository } = await import("../lib/db/index.js");
+const { emitWebhookEvent } = await import("../lib/webhooks.js");
+
+test("refuses calls without the cron secret", async () => {
+  assert.equal((await callApi(handler)).status, 401);
+  assert.equal((await callApi(handler, { headers: { Authorization: "Bearer wrong" } })).status, 401);
+});
+
+test("delivers queued events when Vercel Cron calls with the Bearer secret", async () => {
+  const repo = getRepository();
+  await emitWebhookEvent(repo, { event: "session.started", propertyId: "riverside", sessionToken: "tok" });
+  assert.equal(received.length, 0);
+
+  const { status, body } = await callApi(handler, { headers: { Authorization: "Bearer cron-secret" } });
+  assert.equal(status, 200);
+  assert.equal(body.delivered, 1);
+  assert.equal(received.length, 1);
+  assert.equal(received[0].payload.event, "session.started");
+  assert.ok(received[0].signature);
+});
+
+test("still accepts the X-Cron-Secret header", async () => {
+  const { status } = await callApi(handler, { headers: { "X-Cron-Secret": "cron-secret" } });
+  assert.equal(status, 200);
+});